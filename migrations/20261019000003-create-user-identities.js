@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE users ALTER COLUMN password DROP NOT NULL;
+
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id SERIAL PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        provider VARCHAR(32) NOT NULL,
+        provider_user_id VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (provider, provider_user_id),
+        UNIQUE (user_id, provider)
+      );
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query('DROP TABLE IF EXISTS user_identities;');
+  }
+};
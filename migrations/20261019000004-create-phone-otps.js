@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS phone VARCHAR(20);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified BOOLEAN NOT NULL DEFAULT FALSE;
+      CREATE UNIQUE INDEX IF NOT EXISTS users_verified_phone_idx ON users (phone) WHERE phone_verified;
+
+      CREATE TABLE IF NOT EXISTS phone_otps (
+        id SERIAL PRIMARY KEY,
+        phone VARCHAR(20) NOT NULL,
+        purpose VARCHAR(16) NOT NULL,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        code_hash CHAR(64) NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMPTZ NOT NULL,
+        consumed_at TIMESTAMPTZ,
+        requested_ip VARCHAR(64),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS phone_otps_phone_created_idx ON phone_otps (phone, created_at);
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP TABLE IF EXISTS phone_otps;
+      DROP INDEX IF EXISTS users_verified_phone_idx;
+      ALTER TABLE users DROP COLUMN IF EXISTS phone_verified;
+      ALTER TABLE users DROP COLUMN IF EXISTS phone;
+    `);
+  }
+};
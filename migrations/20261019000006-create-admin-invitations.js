@@ -0,0 +1,33 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS permissions JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+      CREATE TABLE IF NOT EXISTS admin_invitations (
+        id UUID PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        role VARCHAR(32) NOT NULL,
+        permissions JSONB NOT NULL DEFAULT '[]'::jsonb,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        accepted_at TIMESTAMPTZ,
+        accepted_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        revoked_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS admin_invitations_email_idx ON admin_invitations (email);
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP TABLE IF EXISTS admin_invitations;
+      ALTER TABLE users DROP COLUMN IF EXISTS permissions;
+    `);
+  }
+};
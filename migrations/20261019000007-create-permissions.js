@@ -0,0 +1,106 @@
+'use strict';
+
+// Role grants as they stood when this migration was written; later
+// changes to the defaults come in their own migrations
+const ROLE_PERMISSIONS = {
+  super_admin: ['*'],
+  admin: [
+    'dashboard:read',
+    'users:read',
+    'users:suspend',
+    'drivers:verify',
+    'jobs:read',
+    'jobs:reassign',
+    'jobs:cancel',
+    'payments:read',
+    'payments:refund',
+    'analytics:read',
+    'disputes:read',
+    'disputes:resolve',
+    'settings:read',
+    'activity_logs:read'
+  ],
+  operations_admin: [
+    'dashboard:read',
+    'users:read',
+    'drivers:verify',
+    'jobs:read',
+    'jobs:reassign',
+    'jobs:cancel',
+    'disputes:read',
+    'disputes:resolve'
+  ],
+  finance_admin: [
+    'dashboard:read',
+    'payments:read',
+    'payments:refund',
+    'analytics:read',
+    'disputes:read'
+  ],
+  support_admin: [
+    'dashboard:read',
+    'users:read',
+    'users:suspend',
+    'jobs:read',
+    'payments:read',
+    'disputes:read',
+    'disputes:resolve'
+  ],
+  analytics_admin: [
+    'dashboard:read',
+    'jobs:read',
+    'payments:read',
+    'analytics:read',
+    'activity_logs:read'
+  ]
+};
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role VARCHAR(32) NOT NULL,
+        permission VARCHAR(64) NOT NULL,
+        PRIMARY KEY (role, permission)
+      );
+
+      CREATE TABLE IF NOT EXISTS user_permissions (
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        permission VARCHAR(64) NOT NULL,
+        effect VARCHAR(5) NOT NULL CHECK (effect IN ('grant', 'deny')),
+        granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, permission)
+      );
+    `);
+
+    const rows = Object.entries(ROLE_PERMISSIONS)
+      .flatMap(([role, permissions]) => permissions.map(permission => ({ role, permission })));
+    await queryInterface.bulkInsert('role_permissions', rows);
+
+    // Permissions chosen at invite time become per-user grants
+    await queryInterface.sequelize.query(`
+      INSERT INTO user_permissions (user_id, permission, effect)
+      SELECT id, jsonb_array_elements_text(permissions), 'grant' FROM users
+      ON CONFLICT DO NOTHING;
+
+      ALTER TABLE users DROP COLUMN IF EXISTS permissions;
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS permissions JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+      UPDATE users u SET permissions = grants.list
+      FROM (
+        SELECT user_id, jsonb_agg(permission) AS list FROM user_permissions
+        WHERE effect = 'grant' GROUP BY user_id
+      ) grants
+      WHERE grants.user_id = u.id;
+
+      DROP TABLE IF EXISTS user_permissions;
+      DROP TABLE IF EXISTS role_permissions;
+    `);
+  }
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS status_reason TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS status_changed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE users DROP COLUMN IF EXISTS status_changed_by;
+      ALTER TABLE users DROP COLUMN IF EXISTS status_changed_at;
+      ALTER TABLE users DROP COLUMN IF EXISTS status_reason;
+    `);
+  }
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+      CREATE TABLE IF NOT EXISTS login_history (
+        id BIGSERIAL PRIMARY KEY,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        email VARCHAR(255),
+        method VARCHAR(16) NOT NULL,
+        success BOOLEAN NOT NULL,
+        failure_reason VARCHAR(32),
+        ip VARCHAR(64),
+        user_agent TEXT,
+        device_key CHAR(64),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS login_history_user_created_idx ON login_history (user_id, created_at DESC);
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP TABLE IF EXISTS login_history;
+      ALTER TABLE users DROP COLUMN IF EXISTS locked_until;
+      ALTER TABLE users DROP COLUMN IF EXISTS failed_login_attempts;
+    `);
+  }
+};
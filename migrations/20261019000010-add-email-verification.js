@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verification_sent_at TIMESTAMPTZ;
+
+      -- Accounts created before verification existed are treated as verified
+      UPDATE users SET email_verified_at = NOW() WHERE email_verified_at IS NULL AND status <> 'pending';
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE users DROP COLUMN IF EXISTS email_verification_sent_at;
+      ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
+    `);
+  }
+};
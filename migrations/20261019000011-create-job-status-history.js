@@ -0,0 +1,36 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS driver_id UUID REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+      -- "active" is now split into assigned / en_route / arrived / in_progress
+      UPDATE jobs SET status = 'assigned' WHERE status = 'active';
+
+      CREATE TABLE IF NOT EXISTS job_status_history (
+        id BIGSERIAL PRIMARY KEY,
+        job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        changed_by_role VARCHAR(32) NOT NULL,
+        reason TEXT,
+        metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS job_status_history_job_id_idx ON job_status_history (job_id, created_at);
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP TABLE IF EXISTS job_status_history;
+      UPDATE jobs SET status = 'active' WHERE status IN ('assigned', 'en_route', 'arrived', 'in_progress');
+      ALTER TABLE jobs DROP COLUMN IF EXISTS updated_at;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS driver_id;
+    `);
+  }
+};
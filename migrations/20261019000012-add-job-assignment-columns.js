@@ -0,0 +1,58 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS final_price NUMERIC(10, 2);
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS accepted_bid_id UUID;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS completion_photos JSONB NOT NULL DEFAULT '[]'::jsonb;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS completion_notes TEXT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS driver_lat DOUBLE PRECISION;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS driver_lng DOUBLE PRECISION;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS driver_location_at TIMESTAMPTZ;
+
+      CREATE INDEX IF NOT EXISTS jobs_customer_id_idx ON jobs (customer_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS jobs_driver_id_idx ON jobs (driver_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs (status);
+
+      ALTER TABLE bids ADD COLUMN IF NOT EXISTS status VARCHAR(16) NOT NULL DEFAULT 'pending';
+      ALTER TABLE bids ADD COLUMN IF NOT EXISTS eta TIMESTAMPTZ;
+      ALTER TABLE bids ADD COLUMN IF NOT EXISTS notes TEXT;
+      ALTER TABLE bids ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+      CREATE INDEX IF NOT EXISTS bids_job_id_idx ON bids (job_id);
+
+      CREATE TABLE IF NOT EXISTS ratings (
+        id BIGSERIAL PRIMARY KEY,
+        job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        rater_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        ratee_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        review TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (job_id, rater_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS ratings_ratee_id_idx ON ratings (ratee_id);
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP TABLE IF EXISTS ratings;
+      ALTER TABLE bids DROP COLUMN IF EXISTS updated_at;
+      ALTER TABLE bids DROP COLUMN IF EXISTS notes;
+      ALTER TABLE bids DROP COLUMN IF EXISTS eta;
+      ALTER TABLE bids DROP COLUMN IF EXISTS status;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS driver_location_at;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS driver_lng;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS driver_lat;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS completed_at;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS completion_notes;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS completion_photos;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS accepted_bid_id;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS final_price;
+    `);
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE EXTENSION IF NOT EXISTS postgis;
+
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS lat DOUBLE PRECISION;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS lng DOUBLE PRECISION;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS location GEOGRAPHY(Point, 4326)
+        GENERATED ALWAYS AS (ST_SetSRID(ST_MakePoint(lng, lat), 4326)::geography) STORED;
+
+      CREATE INDEX IF NOT EXISTS jobs_location_idx ON jobs USING GIST (location);
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS jobs_location_idx;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS location;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS lng;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS lat;
+    `);
+  }
+};
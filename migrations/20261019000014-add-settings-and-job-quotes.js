@@ -0,0 +1,31 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS system_settings (
+        key VARCHAR(64) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS quote_estimate NUMERIC(10, 2);
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS quote_low NUMERIC(10, 2);
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS quote_high NUMERIC(10, 2);
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS quote_breakdown JSONB;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS pricing_model_version VARCHAR(32);
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE jobs DROP COLUMN IF EXISTS pricing_model_version;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS quote_breakdown;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS quote_high;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS quote_low;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS quote_estimate;
+      DROP TABLE IF EXISTS system_settings;
+    `);
+  }
+};
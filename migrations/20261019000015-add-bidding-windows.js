@@ -0,0 +1,39 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS bidding_closes_at TIMESTAMPTZ;
+
+      CREATE INDEX IF NOT EXISTS jobs_bidding_closes_at_idx ON jobs (bidding_closes_at)
+        WHERE status = 'bidding';
+
+      -- One bid per driver per job. Of a driver's duplicates, keep the bid
+      -- the job points at, then an accepted one, then the latest, so no
+      -- assignment loses its bid.
+      DELETE FROM bids
+      WHERE id IN (
+        SELECT id FROM (
+          SELECT b.id, ROW_NUMBER() OVER (
+            PARTITION BY b.job_id, b.driver_id
+            ORDER BY (j.accepted_bid_id = b.id) IS TRUE DESC, b.status = 'accepted' DESC,
+              b.submitted_at DESC, b.id::text DESC
+          ) AS rank
+          FROM bids b
+          LEFT JOIN jobs j ON j.id = b.job_id
+        ) ranked
+        WHERE rank > 1
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS bids_job_id_driver_id_key ON bids (job_id, driver_id);
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS bids_job_id_driver_id_key;
+      DROP INDEX IF EXISTS jobs_bidding_closes_at_idx;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS bidding_closes_at;
+    `);
+  }
+};
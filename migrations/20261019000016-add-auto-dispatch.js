@@ -0,0 +1,56 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS driver_locations (
+        driver_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        lat DOUBLE PRECISION NOT NULL,
+        lng DOUBLE PRECISION NOT NULL,
+        location GEOGRAPHY(Point, 4326)
+          GENERATED ALWAYS AS (ST_SetSRID(ST_MakePoint(lng, lat), 4326)::geography) STORED,
+        available BOOLEAN NOT NULL DEFAULT FALSE,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS driver_locations_location_idx ON driver_locations USING GIST (location);
+
+      CREATE TABLE IF NOT EXISTS dispatch_offers (
+        id BIGSERIAL PRIMARY KEY,
+        job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(16) NOT NULL DEFAULT 'offered',
+        score NUMERIC(6, 3),
+        distance_miles NUMERIC(8, 2),
+        offered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        responded_at TIMESTAMPTZ,
+        UNIQUE (job_id, driver_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS dispatch_offers_driver_id_idx ON dispatch_offers (driver_id, offered_at DESC);
+      CREATE INDEX IF NOT EXISTS dispatch_offers_expires_at_idx ON dispatch_offers (expires_at)
+        WHERE status = 'offered';
+
+      -- Every dispatch decision, so ops can see why a job went unassigned
+      CREATE TABLE IF NOT EXISTS dispatch_log (
+        id BIGSERIAL PRIMARY KEY,
+        job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        event VARCHAR(32) NOT NULL,
+        driver_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        details JSONB NOT NULL DEFAULT '{}'::jsonb,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS dispatch_log_job_id_idx ON dispatch_log (job_id, created_at);
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP TABLE IF EXISTS dispatch_log;
+      DROP TABLE IF EXISTS dispatch_offers;
+      DROP TABLE IF EXISTS driver_locations;
+    `);
+  }
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS media_assets (
+        id UUID PRIMARY KEY,
+        owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+        purpose VARCHAR(16),
+        kind VARCHAR(8) NOT NULL,
+        mime_type VARCHAR(64) NOT NULL,
+        size_bytes BIGINT NOT NULL,
+        status VARCHAR(16) NOT NULL DEFAULT 'processing',
+        variants JSONB NOT NULL DEFAULT '{}'::jsonb,
+        duration_seconds NUMERIC(8, 2),
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ
+      );
+
+      CREATE INDEX IF NOT EXISTS media_assets_owner_id_idx ON media_assets (owner_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS media_assets_job_id_idx ON media_assets (job_id);
+
+      -- jobs.media_files and jobs.completion_photos now hold media asset IDs.
+      -- Older rows keep their raw URLs and are returned as they are.
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP TABLE IF EXISTS media_assets;
+    `);
+  }
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      -- Customer edits and reschedules, field by field
+      CREATE TABLE IF NOT EXISTS job_changes (
+        id BIGSERIAL PRIMARY KEY,
+        job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        change_type VARCHAR(16) NOT NULL,
+        changes JSONB NOT NULL,
+        reason TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS job_changes_job_id_idx ON job_changes (job_id, created_at);
+
+      CREATE TABLE IF NOT EXISTS job_cancellations (
+        job_id UUID PRIMARY KEY REFERENCES jobs(id) ON DELETE CASCADE,
+        cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        cancelled_by_role VARCHAR(32) NOT NULL,
+        status_at_cancellation VARCHAR(20) NOT NULL,
+        reason TEXT,
+        fee NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        driver_compensation NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        policy JSONB NOT NULL,
+        payment_action VARCHAR(16),
+        payment_status VARCHAR(16),
+        payment_reference VARCHAR(255),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP TABLE IF EXISTS job_cancellations;
+      DROP TABLE IF EXISTS job_changes;
+    `);
+  }
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS recurring_schedules (
+        id UUID PRIMARY KEY,
+        customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        template JSONB NOT NULL,
+        frequency VARCHAR(16) NOT NULL,
+        rrule TEXT NOT NULL,
+        starts_at TIMESTAMPTZ NOT NULL,
+        status VARCHAR(16) NOT NULL DEFAULT 'active',
+        paused_until TIMESTAMPTZ,
+        prefer_same_driver BOOLEAN NOT NULL DEFAULT FALSE,
+        preferred_driver_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        payment_method_id VARCHAR(255),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ
+      );
+
+      CREATE INDEX IF NOT EXISTS recurring_schedules_customer_id_idx ON recurring_schedules (customer_id);
+
+      CREATE TABLE IF NOT EXISTS recurring_occurrences (
+        id BIGSERIAL PRIMARY KEY,
+        schedule_id UUID NOT NULL REFERENCES recurring_schedules(id) ON DELETE CASCADE,
+        scheduled_for TIMESTAMPTZ NOT NULL,
+        status VARCHAR(16) NOT NULL DEFAULT 'scheduled',
+        job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+        payment_status VARCHAR(16),
+        payment_reference VARCHAR(255),
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ,
+        UNIQUE (schedule_id, scheduled_for)
+      );
+
+      CREATE INDEX IF NOT EXISTS recurring_occurrences_due_idx ON recurring_occurrences (scheduled_for)
+        WHERE status = 'scheduled';
+
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS recurring_schedule_id UUID REFERENCES recurring_schedules(id) ON DELETE SET NULL;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS preferred_driver_id UUID REFERENCES users(id) ON DELETE SET NULL;
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE jobs DROP COLUMN IF EXISTS preferred_driver_id;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS recurring_schedule_id;
+      DROP TABLE IF EXISTS recurring_occurrences;
+      DROP TABLE IF EXISTS recurring_schedules;
+    `);
+  }
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+const NEW_ROLE_PERMISSIONS = {
+  admin: ['ratings:read', 'ratings:moderate'],
+  operations_admin: ['ratings:read', 'ratings:moderate'],
+  support_admin: ['ratings:read', 'ratings:moderate']
+};
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE ratings ADD COLUMN IF NOT EXISTS rater_role VARCHAR(16) NOT NULL DEFAULT 'customer';
+      ALTER TABLE ratings ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+      ALTER TABLE ratings ADD COLUMN IF NOT EXISTS revealed_at TIMESTAMPTZ;
+      ALTER TABLE ratings ADD COLUMN IF NOT EXISTS status VARCHAR(16) NOT NULL DEFAULT 'visible';
+      ALTER TABLE ratings ADD COLUMN IF NOT EXISTS moderated_by UUID REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE ratings ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMPTZ;
+      ALTER TABLE ratings ADD COLUMN IF NOT EXISTS moderation_reason TEXT;
+
+      -- Ratings left before the blind period existed are already public
+      UPDATE ratings SET revealed_at = created_at WHERE revealed_at IS NULL;
+      ALTER TABLE ratings ALTER COLUMN revealed_at SET NOT NULL;
+
+      CREATE INDEX IF NOT EXISTS ratings_ratee_revealed_idx ON ratings (ratee_id, revealed_at);
+      CREATE INDEX IF NOT EXISTS ratings_status_idx ON ratings (status, created_at);
+    `);
+
+    const rows = Object.entries(NEW_ROLE_PERMISSIONS)
+      .flatMap(([role, permissions]) => permissions.map(permission => `('${role}', '${permission}')`));
+    await queryInterface.sequelize.query(`
+      INSERT INTO role_permissions (role, permission) VALUES ${rows.join(', ')}
+      ON CONFLICT DO NOTHING;
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DELETE FROM user_permissions WHERE permission IN ('ratings:read', 'ratings:moderate');
+      DELETE FROM role_permissions WHERE permission IN ('ratings:read', 'ratings:moderate');
+
+      DROP INDEX IF EXISTS ratings_status_idx;
+      DROP INDEX IF EXISTS ratings_ratee_revealed_idx;
+      ALTER TABLE ratings DROP COLUMN IF EXISTS moderation_reason;
+      ALTER TABLE ratings DROP COLUMN IF EXISTS moderated_at;
+      ALTER TABLE ratings DROP COLUMN IF EXISTS moderated_by;
+      ALTER TABLE ratings DROP COLUMN IF EXISTS status;
+      ALTER TABLE ratings DROP COLUMN IF EXISTS revealed_at;
+      ALTER TABLE ratings DROP COLUMN IF EXISTS tags;
+      ALTER TABLE ratings DROP COLUMN IF EXISTS rater_role;
+    `);
+  }
+};
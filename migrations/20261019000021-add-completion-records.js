@@ -0,0 +1,46 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      -- Evidence bundled when a driver completes a job. Rows are write-once
+      -- so disputes can rely on them; content_hash covers the evidence.
+      CREATE TABLE IF NOT EXISTS completion_records (
+        id UUID PRIMARY KEY,
+        job_id UUID NOT NULL UNIQUE REFERENCES jobs(id),
+        driver_id UUID NOT NULL REFERENCES users(id),
+        customer_id UUID NOT NULL REFERENCES users(id),
+        evidence JSONB NOT NULL,
+        content_hash CHAR(64) NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE OR REPLACE FUNCTION completion_records_immutable() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'completion records cannot be changed or deleted';
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS completion_records_immutable ON completion_records;
+      CREATE TRIGGER completion_records_immutable
+        BEFORE UPDATE OR DELETE ON completion_records
+        FOR EACH ROW EXECUTE FUNCTION completion_records_immutable();
+
+      -- Code the customer reads out to confirm the work is done
+      CREATE TABLE IF NOT EXISTS job_completion_pins (
+        job_id UUID PRIMARY KEY REFERENCES jobs(id) ON DELETE CASCADE,
+        pin VARCHAR(6) NOT NULL,
+        failed_attempts SMALLINT NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP TABLE IF EXISTS job_completion_pins;
+      DROP TABLE IF EXISTS completion_records;
+      DROP FUNCTION IF EXISTS completion_records_immutable();
+    `);
+  }
+};
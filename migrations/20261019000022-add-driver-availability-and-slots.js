@@ -0,0 +1,72 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      -- Where a driver takes scheduled work and how many jobs per time window
+      CREATE TABLE IF NOT EXISTS driver_service_areas (
+        driver_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        lat DOUBLE PRECISION NOT NULL,
+        lng DOUBLE PRECISION NOT NULL,
+        location GEOGRAPHY(Point, 4326)
+          GENERATED ALWAYS AS (ST_SetSRID(ST_MakePoint(lng, lat), 4326)::geography) STORED,
+        radius_miles NUMERIC(6, 2) NOT NULL,
+        jobs_per_slot SMALLINT NOT NULL DEFAULT 1,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS driver_service_areas_location_idx ON driver_service_areas USING GIST (location);
+
+      -- Recurring weekly hours, in the service time zone (weekday 0 = Sunday)
+      CREATE TABLE IF NOT EXISTS driver_availability (
+        id BIGSERIAL PRIMARY KEY,
+        driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL CHECK (end_time > start_time)
+      );
+
+      CREATE INDEX IF NOT EXISTS driver_availability_driver_idx ON driver_availability (driver_id, weekday);
+
+      CREATE TABLE IF NOT EXISTS driver_blockouts (
+        id BIGSERIAL PRIMARY KEY,
+        driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        starts_at TIMESTAMPTZ NOT NULL,
+        ends_at TIMESTAMPTZ NOT NULL CHECK (ends_at > starts_at),
+        reason TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS driver_blockouts_driver_idx ON driver_blockouts (driver_id, ends_at);
+
+      -- A slot reserved for a customer while they check out
+      CREATE TABLE IF NOT EXISTS slot_holds (
+        id UUID PRIMARY KEY,
+        customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        slot_start TIMESTAMPTZ NOT NULL,
+        slot_end TIMESTAMPTZ NOT NULL,
+        lat DOUBLE PRECISION NOT NULL,
+        lng DOUBLE PRECISION NOT NULL,
+        location GEOGRAPHY(Point, 4326)
+          GENERATED ALWAYS AS (ST_SetSRID(ST_MakePoint(lng, lat), 4326)::geography) STORED,
+        expires_at TIMESTAMPTZ NOT NULL,
+        job_id UUID REFERENCES jobs(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS slot_holds_slot_idx ON slot_holds (slot_start, expires_at);
+
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS slot_end TIMESTAMPTZ;
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE jobs DROP COLUMN IF EXISTS slot_end;
+      DROP TABLE IF EXISTS slot_holds;
+      DROP TABLE IF EXISTS driver_blockouts;
+      DROP TABLE IF EXISTS driver_availability;
+      DROP TABLE IF EXISTS driver_service_areas;
+    `);
+  }
+};
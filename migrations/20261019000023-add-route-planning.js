@@ -0,0 +1,54 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      -- Landfills, transfer stations and the like drivers unload at mid-route
+      CREATE TABLE IF NOT EXISTS disposal_sites (
+        id BIGSERIAL PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        kind VARCHAR(32) NOT NULL,
+        lat DOUBLE PRECISION NOT NULL,
+        lng DOUBLE PRECISION NOT NULL,
+        location GEOGRAPHY(Point, 4326)
+          GENERATED ALWAYS AS (ST_SetSRID(ST_MakePoint(lng, lat), 4326)::geography) STORED,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS disposal_sites_location_idx ON disposal_sites USING GIST (location);
+
+      -- Road distances imported offline; anything missing falls back to
+      -- straight-line estimates. Coordinates are rounded to 4 decimals.
+      CREATE TABLE IF NOT EXISTS distance_cache (
+        from_lat NUMERIC(8, 4) NOT NULL,
+        from_lng NUMERIC(8, 4) NOT NULL,
+        to_lat NUMERIC(8, 4) NOT NULL,
+        to_lng NUMERIC(8, 4) NOT NULL,
+        meters INTEGER NOT NULL,
+        seconds INTEGER NOT NULL,
+        PRIMARY KEY (from_lat, from_lng, to_lat, to_lng)
+      );
+
+      CREATE TABLE IF NOT EXISTS route_plans (
+        driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        plan_date DATE NOT NULL,
+        job_ids UUID[] NOT NULL,
+        plan JSONB NOT NULL,
+        computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (driver_id, plan_date)
+      );
+
+      ALTER TABLE driver_service_areas ADD COLUMN IF NOT EXISTS truck_capacity_units SMALLINT;
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE driver_service_areas DROP COLUMN IF EXISTS truck_capacity_units;
+      DROP TABLE IF EXISTS route_plans;
+      DROP TABLE IF EXISTS distance_cache;
+      DROP TABLE IF EXISTS disposal_sites;
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      -- Itemised contents of the load, screened against src/config/itemTypes.js
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS items JSONB NOT NULL DEFAULT '[]';
+      -- Disposal and handling fees for the listed items; bids can't go below it
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS items_surcharge NUMERIC(10, 2) NOT NULL DEFAULT 0;
+      -- Restricted items the description appears to mention, for the driver to check
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS screening_flags JSONB NOT NULL DEFAULT '[]';
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE jobs DROP COLUMN IF EXISTS screening_flags;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS items_surcharge;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS items;
+    `);
+  }
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      -- Stripe customer that saved cards are attached to
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_customer_id VARCHAR(255) UNIQUE;
+
+      -- One row per Stripe PaymentIntent. kind is 'job' (the job price, paid
+      -- by the customer) or 'cancellation_fee'. driver_amount is the
+      -- driver's share, transferred to their Connect account once the job
+      -- is completed or cancelled.
+      CREATE TABLE IF NOT EXISTS payments (
+        id UUID PRIMARY KEY,
+        job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+        customer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        driver_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        kind VARCHAR(20) NOT NULL DEFAULT 'job',
+        amount NUMERIC(10, 2) NOT NULL,
+        currency CHAR(3) NOT NULL DEFAULT 'usd',
+        status VARCHAR(16) NOT NULL DEFAULT 'pending',
+        platform_fee NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        driver_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        amount_refunded NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        stripe_payment_intent_id VARCHAR(255) UNIQUE,
+        stripe_charge_id VARCHAR(255),
+        transfer_status VARCHAR(16) NOT NULL DEFAULT 'pending',
+        stripe_transfer_id VARCHAR(255),
+        failure_reason TEXT,
+        paid_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS payments_job_id_idx ON payments (job_id);
+      CREATE INDEX IF NOT EXISTS payments_customer_id_idx ON payments (customer_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS payments_driver_id_idx ON payments (driver_id, paid_at DESC);
+      CREATE INDEX IF NOT EXISTS payments_status_idx ON payments (status, created_at DESC);
+      CREATE INDEX IF NOT EXISTS payments_stripe_charge_id_idx ON payments (stripe_charge_id);
+
+      -- Customer requests start as 'requested' until staff process them;
+      -- staff refunds go straight to Stripe
+      CREATE TABLE IF NOT EXISTS payment_refunds (
+        id UUID PRIMARY KEY,
+        payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+        amount NUMERIC(10, 2) NOT NULL,
+        reason TEXT,
+        status VARCHAR(16) NOT NULL,
+        stripe_refund_id VARCHAR(255) UNIQUE,
+        requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        processed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        processed_at TIMESTAMPTZ
+      );
+
+      CREATE INDEX IF NOT EXISTS payment_refunds_payment_id_idx ON payment_refunds (payment_id);
+
+      CREATE TABLE IF NOT EXISTS payment_disputes (
+        id BIGSERIAL PRIMARY KEY,
+        payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+        stripe_dispute_id VARCHAR(255) NOT NULL UNIQUE,
+        amount NUMERIC(10, 2) NOT NULL,
+        reason VARCHAR(64),
+        status VARCHAR(32) NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS driver_connect_accounts (
+        driver_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        stripe_account_id VARCHAR(255) NOT NULL UNIQUE,
+        charges_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        payouts_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        details_submitted BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS driver_payouts (
+        id UUID PRIMARY KEY,
+        driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        stripe_payout_id VARCHAR(255) NOT NULL UNIQUE,
+        amount NUMERIC(10, 2) NOT NULL,
+        currency CHAR(3) NOT NULL DEFAULT 'usd',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS driver_payouts_driver_id_idx ON driver_payouts (driver_id, created_at DESC);
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP TABLE IF EXISTS driver_payouts;
+      DROP TABLE IF EXISTS driver_connect_accounts;
+      DROP TABLE IF EXISTS payment_disputes;
+      DROP TABLE IF EXISTS payment_refunds;
+      DROP TABLE IF EXISTS payments;
+      ALTER TABLE users DROP COLUMN IF EXISTS stripe_customer_id;
+    `);
+  }
+};
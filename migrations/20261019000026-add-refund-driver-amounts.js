@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      -- Refunds are recorded before they are sent to Stripe, so a refund
+      -- left 'processing' can be sent again with what it was going to do
+      -- to the driver's share
+      ALTER TABLE payment_refunds
+        ADD COLUMN IF NOT EXISTS driver_amount NUMERIC(10, 2),
+        ADD COLUMN IF NOT EXISTS driver_reversal NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS payment_refunds_one_processing_idx
+        ON payment_refunds (payment_id) WHERE status = 'processing';
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS payment_refunds_one_processing_idx;
+      ALTER TABLE payment_refunds
+        DROP COLUMN IF EXISTS driver_reversal,
+        DROP COLUMN IF EXISTS driver_amount;
+    `);
+  }
+};
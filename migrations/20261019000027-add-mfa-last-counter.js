@@ -0,0 +1,17 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      -- Time step of the last TOTP code accepted, so a code can't be used
+      -- twice while it is still inside the drift window
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_last_counter BIGINT;
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE users DROP COLUMN IF EXISTS mfa_last_counter;
+    `);
+  }
+};
@@ -11,18 +11,29 @@ const path = require('path');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const jobRoutes = require('./routes/jobs');
-//const driverRoutes = require('./routes/drivers');
+const driverRoutes = require('./routes/drivers');
 const paymentRoutes = require('./routes/payments');
+const stripeWebhookRoutes = require('./routes/stripeWebhooks');
 //const chatRoutes = require('./routes/chat');
 const adminRoutes = require('./routes/admin');
+const mediaRoutes = require('./routes/media');
+const recurringRoutes = require('./routes/recurring');
+const slotRoutes = require('./routes/slots');
 //const aiRoutes = require('./routes/ai');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
+const { requireMfa } = require('./middleware/rbac');
 
 // Import services
 const socketService = require('./services/socketService');
+const biddingScheduler = require('./services/biddingScheduler');
+const dispatchScheduler = require('./services/dispatchScheduler');
+const mediaQueue = require('./services/mediaQueue');
+const recurringScheduler = require('./services/recurringScheduler');
+const routeScheduler = require('./services/routeScheduler');
+const storageService = require('./services/storageService');
 //const notificationService = require('./services/notificationService');
 
 const app = express();
@@ -42,6 +53,9 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
+// Stripe webhooks need the unparsed body to verify their signature
+app.use('/api/payments/webhook', stripeWebhookRoutes);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -82,12 +96,21 @@ const authLimiter = rateLimit({
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
 app.use('/api/jobs', authMiddleware, jobRoutes);
-//app.use('/api/drivers', authMiddleware, driverRoutes);
+app.use('/api/drivers', authMiddleware, driverRoutes);
 app.use('/api/payments', authMiddleware, paymentRoutes);
 //app.use('/api/chat', authMiddleware, chatRoutes);
-app.use('/api/admin', authMiddleware, adminRoutes);
+app.use('/api/admin', authMiddleware, requireMfa(), adminRoutes);
+app.use('/api/media', authMiddleware, mediaRoutes);
+app.use('/api/recurring-pickups', authMiddleware, recurringRoutes);
+app.use('/api/slots', authMiddleware, slotRoutes);
 //app.use('/api/ai', authMiddleware, aiRoutes);
 
+// Uploaded media, when stored on local disk. Like S3's, the URLs handed
+// out are signed and expire.
+if (storageService.isLocal()) {
+  app.use('/uploads', storageService.verifySignedUrl, express.static(storageService.UPLOAD_DIR));
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -124,6 +147,19 @@ const server = app.listen(PORT, () => {
 // Initialize Socket.IO
 const io = socketService.initialize(server);
 
+// Close bidding windows and expire dispatch offers on time
+biddingScheduler.start();
+dispatchScheduler.start();
+
+// Transcode uploaded videos
+mediaQueue.start();
+
+// Create jobs for recurring pickups
+recurringScheduler.start();
+
+// Keep drivers' day routes current as their jobs change
+routeScheduler.start();
+
 // Initialize notification service
 //notificationService.initialize();
 
@@ -0,0 +1,18 @@
+// src/config/database.js
+// Connection settings used by sequelize-cli for `npm run db:migrate`.
+require('dotenv').config();
+
+const base = {
+  username: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  dialect: 'postgres'
+};
+
+module.exports = {
+  development: base,
+  test: { ...base, database: process.env.DB_TEST_NAME || base.database },
+  production: base
+};
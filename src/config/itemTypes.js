@@ -0,0 +1,73 @@
+// src/config/itemTypes.js
+// Catalogue of item types customers can list on a job. `handling` decides
+// what happens at /api/jobs/create:
+//   standard   - accepted as is
+//   surcharge  - accepted; `surcharge` is added per unit (disposal or
+//                handling fees). These amounts are part of the pricing model:
+//                bump its version in pricingService when they change.
+//   restricted - rejected; we can't legally or safely haul them
+
+const ITEM_TYPES = {
+  sofa: { label: 'Sofa / couch', handling: 'standard' },
+  chair: { label: 'Chair', handling: 'standard' },
+  table: { label: 'Table', handling: 'standard' },
+  desk: { label: 'Desk', handling: 'standard' },
+  dresser: { label: 'Dresser / chest of drawers', handling: 'standard' },
+  bed_frame: { label: 'Bed frame', handling: 'standard' },
+  bookshelf: { label: 'Bookshelf / cabinet', handling: 'standard' },
+  washer: { label: 'Washing machine', handling: 'standard' },
+  dryer: { label: 'Dryer', handling: 'standard' },
+  dishwasher: { label: 'Dishwasher', handling: 'standard' },
+  stove: { label: 'Stove / oven', handling: 'standard' },
+  flat_screen_tv: { label: 'Flat-screen TV', handling: 'standard' },
+  computer: { label: 'Computer / monitor', handling: 'standard' },
+  exercise_equipment: { label: 'Exercise equipment', handling: 'standard' },
+  boxes: { label: 'Boxes', handling: 'standard' },
+  bags: { label: 'Bags of household junk', handling: 'standard' },
+  yard_waste: { label: 'Yard waste', handling: 'standard' },
+  construction_debris: { label: 'Construction debris', handling: 'standard' },
+  other: { label: 'Other item', handling: 'standard' },
+
+  mattress: { label: 'Mattress', handling: 'surcharge', surcharge: 25 },
+  box_spring: { label: 'Box spring', handling: 'surcharge', surcharge: 20 },
+  tire: { label: 'Tire', handling: 'surcharge', surcharge: 15 },
+  refrigerator: { label: 'Refrigerator', handling: 'surcharge', surcharge: 40, note: 'Refrigerant must be recovered' },
+  freezer: { label: 'Freezer', handling: 'surcharge', surcharge: 40, note: 'Refrigerant must be recovered' },
+  air_conditioner: { label: 'Air conditioner', handling: 'surcharge', surcharge: 40, note: 'Refrigerant must be recovered' },
+  dehumidifier: { label: 'Dehumidifier', handling: 'surcharge', surcharge: 30, note: 'Refrigerant must be recovered' },
+  crt_tv: { label: 'CRT TV / monitor', handling: 'surcharge', surcharge: 35, note: 'Contains leaded glass' },
+  latex_paint: { label: 'Latex paint (dried out)', handling: 'surcharge', surcharge: 5, note: 'Cans must be dry or solidified' },
+  piano: { label: 'Piano', handling: 'surcharge', surcharge: 150 },
+  hot_tub: { label: 'Hot tub / spa', handling: 'surcharge', surcharge: 200 },
+  safe: { label: 'Safe', handling: 'surcharge', surcharge: 100 },
+
+  oil_paint: { label: 'Oil-based or liquid paint', handling: 'restricted', note: 'Household hazardous waste' },
+  solvents: { label: 'Solvents, pesticides or other chemicals', handling: 'restricted', note: 'Household hazardous waste' },
+  motor_oil: { label: 'Motor oil or fuel', handling: 'restricted', note: 'Flammable liquid' },
+  propane_tank: { label: 'Propane or gas cylinder', handling: 'restricted', note: 'Pressurised flammable gas' },
+  car_battery: { label: 'Car battery', handling: 'restricted', note: 'Lead-acid battery' },
+  asbestos: { label: 'Asbestos', handling: 'restricted', note: 'Needs a licensed abatement contractor' },
+  medical_waste: { label: 'Medical waste or sharps', handling: 'restricted', note: 'Biohazard' },
+  ammunition: { label: 'Ammunition or explosives', handling: 'restricted', note: 'Explosive' }
+};
+
+const ITEM_SIZES = ['small', 'medium', 'large'];
+
+// Mentions in a job description that suggest a restricted item. These only
+// flag the job for the driver; the item list is what gets enforced.
+const RESTRICTED_KEYWORDS = [
+  { type: 'asbestos', pattern: /\basbestos\b/i },
+  { type: 'propane_tank', pattern: /\b(propane|gas (tank|cylinder|bottle))\b/i },
+  { type: 'motor_oil', pattern: /\b(motor oil|gasoline|petrol|diesel|kerosene)\b/i },
+  { type: 'solvents', pattern: /\b(chemicals?|pesticides?|herbicides?|solvents?|pool chlorine)\b/i },
+  { type: 'oil_paint', pattern: /\b(oil[- ]based paint|wet paint|paint thinner)\b/i },
+  { type: 'car_battery', pattern: /\b(car|lead[- ]acid) batter(y|ies)\b/i },
+  { type: 'medical_waste', pattern: /\b(needles|sharps|medical waste)\b/i },
+  { type: 'ammunition', pattern: /\b(ammunition|ammo|explosives?|fireworks)\b/i }
+];
+
+module.exports = {
+  ITEM_TYPES,
+  ITEM_SIZES,
+  RESTRICTED_KEYWORDS
+};
@@ -0,0 +1,42 @@
+// src/config/jwt.js
+// Signing keys for access tokens and other short-lived JWTs.
+//
+// JWT_SIGNING_KEYS holds `kid:secret` pairs separated by commas. The first
+// pair signs new tokens; the rest are only accepted for verification, so a
+// key can be rotated by prepending a new pair and dropping the old one once
+// its tokens have expired. Without it, JWT_SECRET is used under kid "primary".
+// Tokens issued before kids were introduced have no kid and verify against
+// JWT_SECRET, but only until JWT_SIGNING_KEYS is set: after that they are
+// rejected, so the old secret can be retired.
+
+const parseKeys = () => {
+  if (!process.env.JWT_SIGNING_KEYS) {
+    return [{ kid: 'primary', secret: process.env.JWT_SECRET }];
+  }
+
+  return process.env.JWT_SIGNING_KEYS.split(',').map(pair => {
+    const separator = pair.indexOf(':');
+    return {
+      kid: pair.slice(0, separator).trim(),
+      secret: pair.slice(separator + 1).trim()
+    };
+  });
+};
+
+const keys = parseKeys();
+
+const getSigningKey = () => keys[0];
+
+const getVerificationKey = (kid) => {
+  if (!kid) {
+    return process.env.JWT_SIGNING_KEYS ? null : process.env.JWT_SECRET;
+  }
+  const key = keys.find(k => k.kid === kid);
+  return key ? key.secret : null;
+};
+
+module.exports = {
+  ALGORITHM: 'HS256',
+  getSigningKey,
+  getVerificationKey
+};
@@ -0,0 +1,62 @@
+// src/config/passport.js
+const passport = require('passport');
+const { Strategy: GoogleStrategy } = require('passport-google-oauth20');
+const OAuthService = require('../services/oauthService');
+const TokenService = require('../services/tokenService');
+
+// Stateless OAuth `state` values so the API doesn't need a session store
+const stateStore = {
+  store: (req, meta, callback) => {
+    callback(null, TokenService.signToken({ purpose: 'oauth_state' }, { expiresIn: '10m' }));
+  },
+  verify: (req, state, callback) => {
+    const claims = TokenService.verifyToken(state);
+    if (!claims || claims.purpose !== 'oauth_state') {
+      return callback(null, false, { message: 'Invalid or expired OAuth state' });
+    }
+    callback(null, true);
+  }
+};
+
+const fromGoogleProfile = (profile) => ({
+  provider: 'google',
+  providerUserId: profile.id,
+  email: profile.emails && profile.emails[0] ? profile.emails[0].value : null,
+  emailVerified: Boolean(profile._json && profile._json.email_verified),
+  name: profile.displayName
+});
+
+// The endpoint URLs can be overridden to point at a fake OAuth server in tests
+const createGoogleStrategy = () => new GoogleStrategy({
+  clientID: process.env.GOOGLE_CLIENT_ID,
+  clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+  callbackURL: process.env.GOOGLE_CALLBACK_URL || '/api/auth/google/callback',
+  authorizationURL: process.env.GOOGLE_AUTHORIZATION_URL,
+  tokenURL: process.env.GOOGLE_TOKEN_URL,
+  userProfileURL: process.env.GOOGLE_USER_PROFILE_URL,
+  store: stateStore
+}, async (accessToken, refreshToken, profile, done) => {
+  try {
+    const user = await OAuthService.findOrCreateUser(fromGoogleProfile(profile));
+    done(null, user);
+  } catch (err) {
+    done(err);
+  }
+});
+
+if (process.env.GOOGLE_CLIENT_ID) {
+  passport.use('google', createGoogleStrategy());
+}
+
+// Replace the strategy registered under a provider name, e.g. with a fake in tests
+const useProvider = (name, strategy) => {
+  passport.use(name, strategy);
+};
+
+const isProviderEnabled = (name) => Boolean(passport._strategy(name));
+
+module.exports = {
+  passport,
+  useProvider,
+  isProviderEnabled
+};
@@ -0,0 +1,96 @@
+// src/config/permissions.js
+// Catalogue of permission strings checked by requirePermission(). The role
+// mappings below are only the seed data; the live mapping is the
+// role_permissions table, editable through /api/admin/roles.
+
+const PERMISSIONS = [
+  'dashboard:read',
+  'users:read',
+  'users:suspend',
+  'users:delete',
+  'drivers:verify',
+  'jobs:read',
+  'jobs:reassign',
+  'jobs:cancel',
+  'payments:read',
+  'payments:refund',
+  'analytics:read',
+  'disputes:read',
+  'disputes:resolve',
+  'ratings:read',
+  'ratings:moderate',
+  'settings:read',
+  'settings:update',
+  'admins:invite',
+  'admins:remove',
+  'activity_logs:read',
+  'permissions:manage'
+];
+
+// Grants every permission, including ones added later
+const WILDCARD = '*';
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  super_admin: [WILDCARD],
+  admin: [
+    'dashboard:read',
+    'users:read',
+    'users:suspend',
+    'drivers:verify',
+    'jobs:read',
+    'jobs:reassign',
+    'jobs:cancel',
+    'payments:read',
+    'payments:refund',
+    'analytics:read',
+    'disputes:read',
+    'disputes:resolve',
+    'ratings:read',
+    'ratings:moderate',
+    'settings:read',
+    'activity_logs:read'
+  ],
+  operations_admin: [
+    'dashboard:read',
+    'users:read',
+    'drivers:verify',
+    'jobs:read',
+    'jobs:reassign',
+    'jobs:cancel',
+    'disputes:read',
+    'disputes:resolve',
+    'ratings:read',
+    'ratings:moderate'
+  ],
+  finance_admin: [
+    'dashboard:read',
+    'payments:read',
+    'payments:refund',
+    'analytics:read',
+    'disputes:read'
+  ],
+  support_admin: [
+    'dashboard:read',
+    'users:read',
+    'users:suspend',
+    'jobs:read',
+    'payments:read',
+    'disputes:read',
+    'disputes:resolve',
+    'ratings:read',
+    'ratings:moderate'
+  ],
+  analytics_admin: [
+    'dashboard:read',
+    'jobs:read',
+    'payments:read',
+    'analytics:read',
+    'activity_logs:read'
+  ]
+};
+
+module.exports = {
+  PERMISSIONS,
+  WILDCARD,
+  DEFAULT_ROLE_PERMISSIONS
+};
@@ -1,6 +1,8 @@
-const jwt = require('jsonwebtoken');
+const TokenService = require('../services/tokenService');
 
-module.exports = function authenticate(req, res, next) {
+// Authenticates HTTP requests with a Bearer access token. Socket.IO
+// connections go through the same TokenService check in socketService.
+module.exports = async function authenticate(req, res, next) {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -10,10 +12,12 @@ module.exports = function authenticate(req, res, next) {
   const token = authHeader.split(' ')[1];
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    req.user = await TokenService.authenticateAccessToken(token);
     next();
   } catch (err) {
-    return res.status(403).json({ error: 'Invalid or expired token' });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
   }
 };
@@ -0,0 +1,20 @@
+const EmailVerificationService = require('../services/emailVerificationService');
+
+// Refuses `action` (e.g. 'jobs:create') for users who haven't verified their
+// email, when EMAIL_VERIFICATION_REQUIRED_FOR gates that action
+module.exports = function requireVerifiedEmail(action) {
+  return async (req, res, next) => {
+    try {
+      const allowed = await EmailVerificationService.isActionAllowed(req.user.id, action);
+      if (!allowed) {
+        return res.status(403).json({
+          error: 'Please verify your email address first',
+          code: 'EMAIL_NOT_VERIFIED'
+        });
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
@@ -1,3 +1,17 @@
+const PermissionService = require('../services/permissionService');
+
+// Staff roles a super_admin can invite. super_admin itself is never invitable.
+const ADMIN_ROLES = ['admin', 'operations_admin', 'finance_admin', 'support_admin', 'analytics_admin'];
+
+// Roles whose sessions must have passed a second factor to reach admin routes
+const MFA_REQUIRED_ROLES = process.env.MFA_REQUIRED_ROLES
+  ? process.env.MFA_REQUIRED_ROLES.split(',').map(role => role.trim()).filter(Boolean)
+  : [...ADMIN_ROLES];
+
+if (!MFA_REQUIRED_ROLES.includes('super_admin')) {
+  MFA_REQUIRED_ROLES.push('super_admin');
+}
+
 function hasRole(allowedRoles = []) {
   return (req, res, next) => {
     const user = req.user;
@@ -8,4 +22,44 @@ function hasRole(allowedRoles = []) {
   };
 }
 
-module.exports = { hasRole };
+// Allows the request only if the user holds every listed permission, e.g.
+// requirePermission('payments:refund'). Effective permissions are loaded
+// once per request and left on req.permissions.
+function requirePermission(...requiredPermissions) {
+  return async (req, res, next) => {
+    const user = req.user;
+    if (!user) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    try {
+      if (!req.permissions) {
+        const { permissions } = await PermissionService.getEffectivePermissions(user.id);
+        req.permissions = permissions;
+      }
+
+      const missing = requiredPermissions.filter(permission => !req.permissions.includes(permission));
+      if (missing.length > 0) {
+        return res.status(403).json({ error: 'Access denied', missingPermissions: missing });
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+function requireMfa(roles = MFA_REQUIRED_ROLES) {
+  return (req, res, next) => {
+    const user = req.user;
+    if (user && roles.includes(user.role) && !user.mfa) {
+      return res.status(403).json({
+        error: 'Two-factor authentication required',
+        code: 'MFA_REQUIRED'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { hasRole, requirePermission, requireMfa, ADMIN_ROLES, MFA_REQUIRED_ROLES };
@@ -2,11 +2,20 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const AdminService = require('../services/adminService');
-const { hasRole } = require('../middleware/rbac');
+const PermissionService = require('../services/permissionService');
+const LoginSecurityService = require('../services/loginSecurityService');
+const JobService = require('../services/jobService');
+const DispatchService = require('../services/dispatchService');
+const CancellationService = require('../services/cancellationService');
+const RatingService = require('../services/ratingService');
+const RouteService = require('../services/routeService');
+const { requirePermission, ADMIN_ROLES } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../config/permissions');
+const { STATUS_FILTERS } = require('../services/jobStateMachine');
 
 // Dashboard analytics
 router.get('/dashboard', [
-  hasRole(['admin', 'super_admin'])
+  requirePermission('dashboard:read')
 ], async (req, res, next) => {
   try {
     const analytics = await AdminService.getDashboardAnalytics();
@@ -18,7 +27,7 @@ router.get('/dashboard', [
 
 // User management
 router.get('/users', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('users:read'),
   query('role').isIn(['customer', 'driver', 'admin']).optional(),
   query('status').isIn(['active', 'suspended', 'pending']).optional(),
   query('search').isString().optional(),
@@ -47,7 +56,7 @@ router.get('/users', [
 });
 
 router.get('/users/:userId', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('users:read'),
   param('userId').isUUID()
 ], async (req, res, next) => {
   try {
@@ -64,7 +73,7 @@ router.get('/users/:userId', [
 });
 
 router.put('/users/:userId/status', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('users:suspend'),
   param('userId').isUUID(),
   body('status').isIn(['active', 'suspended']),
   body('reason').isString().isLength({ min: 5 })
@@ -87,8 +96,49 @@ router.put('/users/:userId/status', [
   }
 });
 
+router.post('/users/:userId/unlock', [
+  requirePermission('users:suspend'),
+  param('userId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await LoginSecurityService.unlock(req.params.userId);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/users/:userId/login-history', [
+  requirePermission('users:read'),
+  param('userId').isUUID(),
+  query('page').isInt({ min: 1 }).optional(),
+  query('limit').isInt({ min: 1, max: 100 }).optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const options = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    };
+
+    const result = await LoginSecurityService.getLoginHistory(req.params.userId, options);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.delete('/users/:userId', [
-  hasRole(['super_admin']),
+  requirePermission('users:delete'),
   param('userId').isUUID(),
   body('reason').isString().isLength({ min: 5 })
 ], async (req, res, next) => {
@@ -109,9 +159,82 @@ router.delete('/users/:userId', [
   }
 });
 
+// Permission management
+router.get('/users/:userId/permissions', [
+  requirePermission('users:read'),
+  param('userId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await PermissionService.getEffectivePermissions(req.params.userId);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/users/:userId/permissions', [
+  requirePermission('permissions:manage'),
+  param('userId').isUUID(),
+  body('grant').isArray(),
+  body('grant.*').isIn(PERMISSIONS),
+  body('deny').isArray(),
+  body('deny.*').isIn(PERMISSIONS)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await PermissionService.setUserOverrides(
+      req.params.userId,
+      { grant: req.body.grant, deny: req.body.deny },
+      req.user.id
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/roles/permissions', [
+  requirePermission('permissions:manage')
+], async (req, res, next) => {
+  try {
+    const roles = await PermissionService.getRolePermissions();
+    res.json({ roles, permissions: PERMISSIONS });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/roles/:role/permissions', [
+  requirePermission('permissions:manage'),
+  param('role').isIn(['customer', 'driver', ...ADMIN_ROLES]),
+  body('permissions').isArray(),
+  body('permissions.*').isIn(PERMISSIONS)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await PermissionService.setRolePermissions(req.params.role, req.body.permissions);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Driver verification
 router.get('/drivers/pending-verification', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('drivers:verify'),
   query('page').isInt({ min: 1 }).optional(),
   query('limit').isInt({ min: 1, max: 50 }).optional()
 ], async (req, res, next) => {
@@ -134,7 +257,7 @@ router.get('/drivers/pending-verification', [
 });
 
 router.put('/drivers/:driverId/verify', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('drivers:verify'),
   param('driverId').isUUID(),
   body('status').isIn(['approved', 'rejected']),
   body('notes').isString().optional()
@@ -159,8 +282,8 @@ router.put('/drivers/:driverId/verify', [
 
 // Job management
 router.get('/jobs', [
-  hasRole(['admin', 'super_admin']),
-  query('status').isIn(['pending', 'active', 'completed', 'cancelled', 'disputed']).optional(),
+  requirePermission('jobs:read'),
+  query('status').isIn(STATUS_FILTERS).optional(),
   query('customerId').isUUID().optional(),
   query('driverId').isUUID().optional(),
   query('startDate').isISO8601().optional(),
@@ -191,8 +314,26 @@ router.get('/jobs', [
   }
 });
 
+// Why auto-dispatch did or didn't assign a job
+router.get('/jobs/:jobId/dispatch-log', [
+  requirePermission('jobs:read'),
+  param('jobId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const log = await DispatchService.getDispatchLog(req.params.jobId);
+    res.json({ log });
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.put('/jobs/:jobId/reassign', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('jobs:reassign'),
   param('jobId').isUUID(),
   body('driverId').isUUID(),
   body('reason').isString().isLength({ min: 5 })
@@ -203,11 +344,11 @@ router.put('/jobs/:jobId/reassign', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const result = await AdminService.reassignJob(
+    const result = await JobService.reassignJob(
       req.params.jobId,
       req.body.driverId,
-      req.body.reason,
-      req.user.id
+      req.user,
+      { reason: req.body.reason }
     );
     res.json(result);
   } catch (error) {
@@ -216,7 +357,7 @@ router.put('/jobs/:jobId/reassign', [
 });
 
 router.put('/jobs/:jobId/cancel', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('jobs:cancel'),
   param('jobId').isUUID(),
   body('reason').isString().isLength({ min: 5 }),
   body('refundAmount').isFloat({ min: 0 }).optional()
@@ -227,12 +368,10 @@ router.put('/jobs/:jobId/cancel', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const result = await AdminService.cancelJob(
-      req.params.jobId,
-      req.body.reason,
-      req.body.refundAmount,
-      req.user.id
-    );
+    const result = await CancellationService.cancelJob(req.params.jobId, req.user, {
+      reason: req.body.reason,
+      refundAmount: req.body.refundAmount
+    });
     res.json(result);
   } catch (error) {
     next(error);
@@ -241,7 +380,7 @@ router.put('/jobs/:jobId/cancel', [
 
 // Payment management
 router.get('/payments', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('payments:read'),
   query('status').isIn(['pending', 'completed', 'failed', 'refunded', 'disputed']).optional(),
   query('startDate').isISO8601().optional(),
   query('endDate').isISO8601().optional(),
@@ -270,7 +409,7 @@ router.get('/payments', [
 });
 
 router.post('/payments/:paymentId/refund', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('payments:refund'),
   param('paymentId').isUUID(),
   body('amount').isFloat({ min: 0 }).optional(),
   body('reason').isString().isLength({ min: 5 })
@@ -293,9 +432,58 @@ router.post('/payments/:paymentId/refund', [
   }
 });
 
+// Rating moderation
+router.get('/ratings', [
+  requirePermission('ratings:read'),
+  query('status').isIn(['visible', 'hidden']).optional(),
+  query('rateeId').isUUID().optional(),
+  query('maxRating').isInt({ min: 1, max: 5 }).optional(),
+  query('page').isInt({ min: 1 }).optional(),
+  query('limit').isInt({ min: 1, max: 50 }).optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const options = {
+      status: req.query.status,
+      rateeId: req.query.rateeId,
+      maxRating: req.query.maxRating ? parseInt(req.query.maxRating) : null,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    };
+
+    const result = await RatingService.listRatings(options);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/ratings/:ratingId/status', [
+  requirePermission('ratings:moderate'),
+  param('ratingId').isInt({ min: 1 }),
+  body('status').isIn(['visible', 'hidden']),
+  body('reason').isString().isLength({ max: 500 }).optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await RatingService.moderateRating(req.params.ratingId, req.body, req.user.id);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Dispute management
 router.get('/disputes', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('disputes:read'),
   query('status').isIn(['open', 'investigating', 'resolved', 'closed']).optional(),
   query('page').isInt({ min: 1 }).optional(),
   query('limit').isInt({ min: 1, max: 50 }).optional()
@@ -320,7 +508,7 @@ router.get('/disputes', [
 });
 
 router.put('/disputes/:disputeId/status', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('disputes:resolve'),
   param('disputeId').isUUID(),
   body('status').isIn(['investigating', 'resolved', 'closed']),
   body('resolution').isString().optional(),
@@ -345,9 +533,59 @@ router.put('/disputes/:disputeId/status', [
   }
 });
 
+// Disposal sites drivers' routes can stop at
+router.get('/disposal-sites', [
+  requirePermission('settings:read')
+], async (req, res, next) => {
+  try {
+    const sites = await RouteService.listDisposalSites();
+    res.json({ sites });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/disposal-sites', [
+  requirePermission('settings:update'),
+  body('name').isString().isLength({ min: 2, max: 200 }),
+  body('kind').isIn(['landfill', 'transfer_station', 'recycling', 'donation']),
+  body('lat').isFloat({ min: -90, max: 90 }).toFloat(),
+  body('lng').isFloat({ min: -180, max: 180 }).toFloat()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const site = await RouteService.addDisposalSite(req.body);
+    res.status(201).json(site);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/disposal-sites/:siteId', [
+  requirePermission('settings:update'),
+  param('siteId').isInt({ min: 1 }),
+  body('active').isBoolean().toBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const site = await RouteService.setDisposalSiteActive(req.params.siteId, req.body.active);
+    res.json(site);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // System settings
 router.get('/settings', [
-  hasRole(['admin', 'super_admin'])
+  requirePermission('settings:read')
 ], async (req, res, next) => {
   try {
     const settings = await AdminService.getSettings();
@@ -358,12 +596,20 @@ router.get('/settings', [
 });
 
 router.put('/settings', [
-  hasRole(['super_admin']),
-  body('commissionRate').isFloat({ min: 0, max: 100 }).optional(),
-  body('aiPricingEnabled').isBoolean().optional(),
-  body('minimumJobAmount').isFloat({ min: 0 }).optional(),
-  body('autoDispatchEnabled').isBoolean().optional(),
-  body('maxBidDuration').isInt({ min: 1, max: 60 }).optional()
+  requirePermission('settings:update'),
+  body('commissionRate').isFloat({ min: 0, max: 100 }).toFloat().optional(),
+  body('aiPricingEnabled').isBoolean().toBoolean().optional(),
+  body('minimumJobAmount').isFloat({ min: 0 }).toFloat().optional(),
+  body('autoDispatchEnabled').isBoolean().toBoolean().optional(),
+  body('maxBidDuration').isInt({ min: 1, max: 60 }).toInt().optional(),
+  body('cancellationFreeWindowMinutes').isInt({ min: 0, max: 1440 }).toInt().optional(),
+  body('cancellationFee').isFloat({ min: 0 }).toFloat().optional(),
+  body('driverEnRouteCompensation').isFloat({ min: 0 }).toFloat().optional(),
+  body('completionMinBeforePhotos').isInt({ min: 0, max: 20 }).toInt().optional(),
+  body('completionMinAfterPhotos').isInt({ min: 0, max: 20 }).toInt().optional(),
+  body('completionMaxDistanceMeters').isInt({ min: 25 }).toInt().optional(),
+  body('completionRequireConfirmation').isBoolean().toBoolean().optional(),
+  body('completionRequireReceipts').isBoolean().toBoolean().optional()
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -380,11 +626,12 @@ router.put('/settings', [
 
 // Admin management (super admin only)
 router.post('/admins/invite', [
-  hasRole(['super_admin']),
+  requirePermission('admins:invite'),
   body('email').isEmail(),
-  body('role').isIn(['admin', 'operations_admin', 'finance_admin', 'support_admin', 'analytics_admin']),
+  body('role').isIn(ADMIN_ROLES),
   body('name').isString().isLength({ min: 2 }),
-  body('permissions').isArray().optional()
+  body('permissions').isArray().optional(),
+  body('permissions.*').isIn(PERMISSIONS)
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -392,15 +639,16 @@ router.post('/admins/invite', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const result = await AdminService.inviteAdmin(req.body, req.user.id);
-    res.json(result);
+    const { email, name, role, permissions } = req.body;
+    const result = await AdminService.inviteAdmin({ email, name, role, permissions }, req.user.id);
+    res.status(201).json(result);
   } catch (error) {
     next(error);
   }
 });
 
 router.delete('/admins/:adminId', [
-  hasRole(['super_admin']),
+  requirePermission('admins:remove'),
   param('adminId').isUUID()
 ], async (req, res, next) => {
   try {
@@ -418,7 +666,7 @@ router.delete('/admins/:adminId', [
 
 // Activity logs
 router.get('/activity-logs', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('activity_logs:read'),
   query('userId').isUUID().optional(),
   query('action').isString().optional(),
   query('startDate').isISO8601().optional(),
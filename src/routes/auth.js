@@ -1,14 +1,56 @@
 require('dotenv').config();
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const { body, validationResult } = require('express-validator');
 const db = require('../db');
+const PasswordResetService = require('../services/passwordResetService');
+const TokenService = require('../services/tokenService');
+const PhoneAuthService = require('../services/phoneAuthService');
+const MfaService = require('../services/mfaService');
+const AdminService = require('../services/adminService');
+const LoginSecurityService = require('../services/loginSecurityService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const { createError } = require('../utils/errors');
+const authenticate = require('../middleware/auth');
+const { passport, isProviderEnabled } = require('../config/passport');
+
+// Builds the response shared by every sign-in method. Accounts with
+// two-factor enabled get a short-lived challenge token instead of a session
+// until POST /mfa/verify succeeds. With `method`, the sign-in is recorded
+// as successful once a session is issued.
+const signIn = async (req, user, { mfa = false, method } = {}) => {
+    if (user.status === 'suspended') {
+        throw createError(403, 'Account suspended');
+    }
+
+    if (user.mfa_enabled && !mfa) {
+        return { mfaRequired: true, mfaToken: TokenService.signMfaPendingToken(user, method) };
+    }
+
+    const { deviceId, deviceName } = req.body || {};
+    const { token, refreshToken } = await TokenService.issueTokens(user, { deviceId, deviceName, mfa });
+    if (method) {
+        await LoginSecurityService.recordSuccess(user, LoginSecurityService.getContext(req), method);
+    }
+
+    return {
+        user: {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            role: user.role
+        },
+        token,
+        refreshToken
+    };
+};
 
 // POST /api/auth/register
 router.post('/register', async (req, res) => {
     const { name, email, password, role } = req.body;
-    const allowedRoles = ['customer', 'driver', 'admin'];
+    // Staff accounts are only created through POST /accept-invite
+    const allowedRoles = ['customer', 'driver'];
     const roleToInsert = allowedRoles.includes(role) ? role : 'customer';
 
     try {
@@ -20,18 +62,21 @@ router.post('/register', async (req, res) => {
         const hashedPassword = await bcrypt.hash(password, 10);
 
         const result = await db.query(
-            'INSERT INTO users (name, email, password, role, status) VALUES ($1, $2, $3, $4, $5) RETURNING id, name, email, role',
-            [name, email, hashedPassword, roleToInsert, 'active']
+            'INSERT INTO users (name, email, password, role, status) VALUES ($1, $2, $3, $4, $5) RETURNING id, name, email, role, status, token_version',
+            [name, email, hashedPassword, roleToInsert, 'pending']
         );
 
-        const user = result.rows[0];
-        const token = jwt.sign(
-            { id: user.id, email: user.email, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
-        );
+        // The account stays pending until the emailed link is followed
+        EmailVerificationService.sendVerificationEmail(result.rows[0])
+            .catch(emailErr => console.error('Verification email error:', emailErr));
+
+        const { token_version, ...user } = result.rows[0];
+        const { token, refreshToken } = await TokenService.issueTokens(result.rows[0], {
+            deviceId: req.body.deviceId,
+            deviceName: req.body.deviceName
+        });
 
-        res.status(201).json({ user, token });
+        res.status(201).json({ user, token, refreshToken });
     } catch (err) {
         console.error('Register error:', err);
         res.status(500).json({ error: 'Internal server error' });
@@ -42,53 +87,384 @@ router.post('/register', async (req, res) => {
 // POST /api/auth/login
 router.post('/login', async (req, res) => {
     const { email, password } = req.body;
+    const context = LoginSecurityService.getContext(req);
 
     try {
         // 1. Check if user exists
         const result = await db.query('SELECT * FROM users WHERE email = $1', [email]);
         const user = result.rows[0];
 
-        if (!user) {
+        // Accounts created through Google sign-in have no password
+        if (!user || !user.password) {
+            await LoginSecurityService.recordFailure(null, email, 'unknown_account', context);
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
-        // 2. Compare password
+        // 2. Refuse locked accounts without checking the password
+        if (LoginSecurityService.isLocked(user)) {
+            await LoginSecurityService.recordRefusal(user, 'locked', context);
+            return res.status(423).json({
+                error: 'Account temporarily locked after too many failed attempts',
+                lockedUntil: user.locked_until
+            });
+        }
+
+        // 3. Compare password
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            const lockedUntil = await LoginSecurityService.recordFailure(user, email, 'bad_password', context);
+            if (lockedUntil) {
+                return res.status(423).json({
+                    error: 'Account temporarily locked after too many failed attempts',
+                    lockedUntil
+                });
+            }
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
-        // 3. Generate JWT token
-        const token = jwt.sign(
-            { id: user.id, email: user.email, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
-        );
-
-        // 4. Generate refresh token (optional)
-        const refreshToken = jwt.sign(
-            { id: user.id },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // 4. Suspended accounts are refused even with the right password
+        if (user.status === 'suspended') {
+            await LoginSecurityService.recordRefusal(user, 'suspended', context);
+            return res.status(403).json({ error: 'Account suspended' });
+        }
 
-        // 5. Return user info and tokens
-        res.json({
-            user: {
-                id: user.id,
-                email: user.email,
-                name: user.name,
-                role: user.role
-            },
-            token,
-            refreshToken
-        });
+        // 5. Return user info and tokens, or an MFA challenge
+        res.json(await signIn(req, user, { method: 'password' }));
     } catch (err) {
         console.error('Login error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// GET /api/auth/google
+router.get('/google', (req, res, next) => {
+    if (!isProviderEnabled('google')) {
+        return res.status(503).json({ error: 'Google sign-in is not configured' });
+    }
+
+    passport.authenticate('google', { session: false, scope: ['profile', 'email'] })(req, res, next);
+});
+
+// GET /api/auth/google/callback
+router.get('/google/callback', (req, res, next) => {
+    if (!isProviderEnabled('google')) {
+        return res.status(503).json({ error: 'Google sign-in is not configured' });
+    }
+
+    passport.authenticate('google', { session: false }, async (err, user, info) => {
+        if (err) {
+            if (err.status) {
+                return res.status(err.status).json({ error: err.message });
+            }
+            console.error('Google sign-in error:', err);
+            return res.status(401).json({ error: 'Google sign-in failed' });
+        }
+
+        if (!user) {
+            return res.status(401).json({ error: (info && info.message) || 'Google sign-in failed' });
+        }
+
+        try {
+            res.json(await signIn(req, user, { method: 'google' }));
+        } catch (tokenErr) {
+            if (tokenErr.status) {
+                return res.status(tokenErr.status).json({ error: tokenErr.message });
+            }
+            console.error('Google sign-in error:', tokenErr);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })(req, res, next);
+});
+
+// POST /api/auth/otp/request
+router.post('/otp/request', [
+    body('phone').isMobilePhone('any', { strictMode: true })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const result = await PhoneAuthService.requestLoginCode(req.body.phone, req.ip);
+        res.json({ message: 'If this number is registered, a sign-in code has been sent.', ...result });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('OTP request error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/otp/verify
+router.post('/otp/verify', [
+    body('phone').isMobilePhone('any', { strictMode: true }),
+    body('code').isString().matches(/^\d{6}$/)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await PhoneAuthService.verifyLoginCode(req.body.phone, req.body.code);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired code' });
+        }
+
+        res.json(await signIn(req, user, { method: 'otp' }));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('OTP verify error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/mfa/verify
+router.post('/mfa/verify', [
+    body('mfaToken').isString().notEmpty(),
+    body('code').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const pending = TokenService.verifyMfaPendingToken(req.body.mfaToken);
+        if (!pending) {
+            return res.status(401).json({ error: 'Invalid or expired MFA token' });
+        }
+
+        const result = await db.query('SELECT * FROM users WHERE id = $1', [pending.id]);
+        const user = result.rows[0];
+        if (!user || user.token_version !== pending.tokenVersion) {
+            return res.status(401).json({ error: 'Invalid or expired MFA token' });
+        }
+
+        // Wrong codes count towards the same lockout as wrong passwords, so
+        // a pending token can't be used to guess codes indefinitely
+        const method = pending.method || 'password';
+        const context = LoginSecurityService.getContext(req);
+        if (LoginSecurityService.isLocked(user)) {
+            await LoginSecurityService.recordRefusal(user, 'locked', context, method);
+            return res.status(423).json({
+                error: 'Account temporarily locked after too many failed attempts',
+                lockedUntil: user.locked_until
+            });
+        }
+
+        if (!(await MfaService.verifyChallenge(user, req.body.code))) {
+            const lockedUntil = await LoginSecurityService.recordFailure(user, user.email, 'bad_mfa_code', context, method);
+            if (lockedUntil) {
+                return res.status(423).json({
+                    error: 'Account temporarily locked after too many failed attempts',
+                    lockedUntil
+                });
+            }
+            return res.status(401).json({ error: 'Invalid verification code' });
+        }
+
+        res.json(await signIn(req, user, { mfa: true, method }));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('MFA verify error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/mfa/setup
+router.post('/mfa/setup', authenticate, async (req, res) => {
+    try {
+        res.json(await MfaService.beginEnrollment(req.user.id));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('MFA setup error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/mfa/enable
+router.post('/mfa/enable', authenticate, [
+    body('code').isString().matches(/^\d{6}$/)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { user, backupCodes } = await MfaService.enable(req.user.id, req.body.code);
+
+        // The caller just proved the second factor, so upgrade their session
+        const session = await signIn(req, user, { mfa: true });
+        res.json({ ...session, backupCodes });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('MFA enable error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/mfa/disable
+router.post('/mfa/disable', authenticate, [
+    body('code').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        await MfaService.disable(req.user.id, req.body.code);
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('MFA disable error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/mfa/backup-codes
+router.post('/mfa/backup-codes', authenticate, [
+    body('code').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const backupCodes = await MfaService.regenerateBackupCodes(req.user.id, req.body.code);
+        res.json({ backupCodes });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('MFA backup codes error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/accept-invite
+router.post('/accept-invite', [
+    body('token').isString().notEmpty(),
+    body('password').isString().isLength({ min: 8 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await AdminService.acceptInvitation(req.body.token, req.body.password);
+        res.status(201).json(await signIn(req, user));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Accept invite error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/verify-email
+router.post('/verify-email', [
+    body('token').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await EmailVerificationService.verify(req.body.token);
+        res.json({ message: 'Email verified', user });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Verify email error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/verify-email/resend
+router.post('/verify-email/resend', authenticate, async (req, res) => {
+    try {
+        await EmailVerificationService.resend(req.user.id);
+        res.json({ message: 'Verification email sent' });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Resend verification error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/refresh
+router.post('/refresh', [
+    body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const tokens = await TokenService.rotateRefreshToken(req.body.refreshToken);
+        if (!tokens) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        res.json(tokens);
+    } catch (err) {
+        console.error('Refresh error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/logout
+router.post('/logout', [
+    body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        await TokenService.revokeRefreshToken(req.body.refreshToken);
+        res.json({ message: 'Logged out' });
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/logout-all
+router.post('/logout-all', authenticate, async (req, res) => {
+    try {
+        await TokenService.revokeAllForUser(req.user.id);
+        res.json({ message: 'Logged out of all devices' });
+    } catch (err) {
+        console.error('Logout all error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 router.get('/test-db', async (req, res) => {
     const result = await db.query('SELECT NOW()');
     res.json(result.rows[0]);
@@ -101,15 +477,45 @@ router.get('/test-db', async (req, res) => {
 // });
 
 // POST /api/auth/forgot-password
-router.post('/forgot-password', (req, res) => {
-    // TODO: Add forgot password logic
-    res.send('Forgot password endpoint');
+router.post('/forgot-password', [
+    body('email').isEmail()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        await PasswordResetService.requestReset(req.body.email, req.ip);
+    } catch (err) {
+        // Swallowed so a failure can't reveal whether the account exists
+        console.error('Forgot password error:', err);
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent.' });
 });
 
 // POST /api/auth/reset-password
-router.post('/reset-password', (req, res) => {
-    // TODO: Add reset password logic
-    res.send('Reset password endpoint');
+router.post('/reset-password', [
+    body('token').isString().isLength({ min: 64, max: 64 }),
+    body('password').isString().isLength({ min: 8 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const reset = await PasswordResetService.resetPassword(req.body.token, req.body.password);
+        if (!reset) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        res.json({ message: 'Password has been reset. Please sign in again.' });
+    } catch (err) {
+        console.error('Reset password error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
 module.exports = router;
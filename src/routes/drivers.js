@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const AvailabilityService = require('../services/availabilityService');
+const { hasRole } = require('../middleware/rbac');
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+router.use(hasRole(['driver']));
+
+// The driver's service area, weekly hours and upcoming block-outs
+router.get('/me/availability', async (req, res, next) => {
+  try {
+    const result = await AvailabilityService.getAvailability(req.user.id);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Where the driver takes scheduled jobs, and how many per time slot
+router.put('/me/availability/area', [
+  body('lat').isFloat({ min: -90, max: 90 }).toFloat(),
+  body('lng').isFloat({ min: -180, max: 180 }).toFloat(),
+  body('radiusMiles').isFloat({ min: 1, max: 100 }).toFloat(),
+  body('jobsPerSlot').isInt({ min: 1, max: 10 }).toInt().optional(),
+  body('truckCapacityUnits').isInt({ min: 1, max: 40 }).toInt().optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await AvailabilityService.setServiceArea(req.user.id, req.body);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the weekly hours; times are in the service time zone
+router.put('/me/availability/weekly', [
+  body('windows').isArray({ max: 50 }),
+  body('windows.*.weekday').isInt({ min: 0, max: 6 }).toInt(),
+  body('windows.*.startTime').matches(TIME),
+  body('windows.*.endTime').matches(TIME)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await AvailabilityService.setWeeklyHours(req.user.id, req.body.windows);
+    res.json({ weekly: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/me/blockouts', [
+  body('startsAt').isISO8601(),
+  body('endsAt').isISO8601(),
+  body('reason').isString().isLength({ max: 200 }).optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await AvailabilityService.addBlockout(req.user.id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/me/blockouts/:blockoutId', [
+  param('blockoutId').isInt({ min: 1 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await AvailabilityService.removeBlockout(req.user.id, req.params.blockoutId);
+    res.json({ message: 'Block-out removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
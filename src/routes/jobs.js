@@ -2,23 +2,49 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const JobService = require('../services/jobService');
-const { hasRole } = require('../middleware/rbac');
-const authenticateJWT = require('../middleware/authenticateJWT');
-
+const BiddingService = require('../services/biddingService');
+const DispatchService = require('../services/dispatchService');
+const CancellationService = require('../services/cancellationService');
+const RatingService = require('../services/ratingService');
+const CompletionService = require('../services/completionService');
+const RouteService = require('../services/routeService');
+const SlotService = require('../services/slotService');
+const InventoryService = require('../services/inventoryService');
+const { ITEM_TYPES, ITEM_SIZES } = require('../config/itemTypes');
+const { STATUS_FILTERS } = require('../services/jobStateMachine');
+const { hasRole, requirePermission, requireMfa } = require('../middleware/rbac');
+const requireVerifiedEmail = require('../middleware/emailVerification');
+
+const CATEGORIES = ['furniture', 'appliances', 'electronics', 'construction', 'yard', 'general', 'other'];
+const VOLUMES = ['small', 'medium', 'large'];
+
+// Optional itemised list of what's being hauled
+const itemValidators = [
+  body('items').isArray({ max: 50 }).optional(),
+  body('items.*.type').isIn(Object.keys(ITEM_TYPES)),
+  body('items.*.quantity').isInt({ min: 1, max: 100 }).toInt(),
+  body('items.*.size').isIn(ITEM_SIZES).optional(),
+  body('items.*.weightKg').isFloat({ min: 0, max: 5000 }).toFloat().optional(),
+  body('items.*.notes').isString().isLength({ max: 200 }).optional()
+];
 
 // Create a new job request
-router.post('/create', authenticateJWT, [
+router.post('/create', [
+  requireVerifiedEmail('jobs:create'),
   body('address').isString().isLength({ min: 5 }),
   body('phone').isString().isLength({ min: 10 }),
   body('contactMethod').isIn(['phone', 'email', 'both']),
   body('description').isString().isLength({ min: 10 }),
-  body('category').isIn(['furniture', 'appliances', 'electronics', 'construction', 'yard', 'general', 'other']),
-  body('volume').isIn(['small', 'medium', 'large']),
+  body('category').isIn(CATEGORIES),
+  body('volume').isIn(VOLUMES),
   body('serviceType').isIn(['asap', 'scheduled']),
   body('pricingPreference').isIn(['ai', 'bidding']),
-  body('mediaFiles').isArray().optional(),
-  body('scheduledDate').isISO8601().optional(),
-  body('instructions').isString().optional()
+  body('mediaAssetIds').isArray({ max: 20 }).optional(),
+  body('mediaAssetIds.*').isUUID(),
+  // Scheduled jobs must book a slot held through /api/slots/holds
+  body('slotHoldId').if(body('serviceType').equals('scheduled')).isUUID(),
+  body('instructions').isString().optional(),
+  ...itemValidators
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -26,12 +52,15 @@ router.post('/create', authenticateJWT, [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const { scheduledDate, ...fields } = req.body;
     const jobData = {
-      ...req.body,
+      ...fields,
+      slotHoldId: fields.serviceType === 'scheduled' ? fields.slotHoldId : undefined,
       customerId: req.user.id
     };
 
     const result = await JobService.createJob(jobData);
+    await DispatchService.dispatchIfEnabled(result);
     res.status(201).json(result);
   } catch (error) {
     console.error('DB insert error:', error);
@@ -40,9 +69,31 @@ router.post('/create', authenticateJWT, [
 });
 
 
+// Instant price quote before creating an AI-priced job
+router.post('/quote', [
+  body('address').isString().isLength({ min: 5 }).optional(),
+  body('category').isIn(CATEGORIES),
+  body('volume').isIn(VOLUMES),
+  body('description').isString().optional(),
+  body('serviceType').isIn(['asap', 'scheduled']),
+  ...itemValidators
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quote = await JobService.getQuote(req.body);
+    res.json(quote);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get customer's jobs
 router.get('/customer', [
-  query('status').isIn(['pending', 'active', 'completed', 'cancelled']).optional(),
+  query('status').isIn(STATUS_FILTERS).optional(),
   query('page').isInt({ min: 1 }).optional(),
   query('limit').isInt({ min: 1, max: 50 }).optional()
 ], async (req, res, next) => {
@@ -66,6 +117,21 @@ router.get('/customer', [
   }
 });
 
+// Item types customers can list, and how each is handled
+router.get('/item-types', (req, res) => {
+  res.json({ itemTypes: InventoryService.getCatalogue(), sizes: ITEM_SIZES });
+});
+
+// Evidence drivers must submit to complete a job
+router.get('/completion-requirements', async (req, res, next) => {
+  try {
+    const requirements = await CompletionService.getRequirements();
+    res.json({ ...requirements, receiptTypes: CompletionService.RECEIPT_TYPES });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get single job details
 router.get('/:jobId', [
   param('jobId').isUUID()
@@ -76,14 +142,93 @@ router.get('/:jobId', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const job = await JobService.getJobById(req.params.jobId, req.user.id);
+    const job = await JobService.getJobById(req.params.jobId, req.user);
     res.json(job);
   } catch (error) {
     next(error);
   }
 });
 
-// Update job status (for customers)
+// Edit a job's details
+router.put('/:jobId', [
+  param('jobId').isUUID(),
+  body('address').isString().isLength({ min: 5 }).optional(),
+  body('phone').isString().isLength({ min: 10 }).optional(),
+  body('contactMethod').isIn(['phone', 'email', 'both']).optional(),
+  body('description').isString().isLength({ min: 10 }).optional(),
+  body('category').isIn(CATEGORIES).optional(),
+  body('volume').isIn(VOLUMES).optional(),
+  body('instructions').isString().optional(),
+  ...itemValidators,
+  body('reason').isString().optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason, ...updates } = req.body;
+    const result = await JobService.editJob(req.params.jobId, req.user, updates, reason);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:jobId/reschedule', [
+  param('jobId').isUUID(),
+  body('slotHoldId').isUUID(),
+  body('reason').isString().optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await JobService.rescheduleJob(req.params.jobId, req.user, req.body);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Edits and reschedules
+router.get('/:jobId/changes', [
+  param('jobId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const changes = await JobService.getChanges(req.params.jobId, req.user);
+    res.json(changes);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// What cancelling now would cost
+router.get('/:jobId/cancellation-quote', [
+  param('jobId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quote = await CancellationService.getCancellationQuote(req.params.jobId, req.user);
+    res.json(quote);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a job (for customers); the cancellation policy sets the fee
 router.put('/:jobId/status', [
   param('jobId').isUUID(),
   body('status').isIn(['cancelled']),
@@ -95,7 +240,41 @@ router.put('/:jobId/status', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const result = await JobService.updateJobStatus(req.params.jobId, req.user.id, req.body);
+    const result = await CancellationService.cancelJob(req.params.jobId, req.user, { reason: req.body.reason });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Status change audit trail
+router.get('/:jobId/history', [
+  param('jobId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const history = await JobService.getStatusHistory(req.params.jobId, req.user);
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Open bids ranked by price, ETA and driver rating
+router.get('/:jobId/bids/ranked', [
+  param('jobId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await BiddingService.getRankedBids(req.params.jobId, req.user);
     res.json(result);
   } catch (error) {
     next(error);
@@ -113,18 +292,37 @@ router.post('/:jobId/accept-bid', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const result = await JobService.acceptBid(req.params.jobId, req.body.bidId, req.user.id);
+    const result = await BiddingService.acceptBid(req.params.jobId, req.body.bidId, req.user.id);
     res.json(result);
   } catch (error) {
     next(error);
   }
 });
 
-// Rate and review completed job
+// Rate the other side of a completed job; hidden from them until they rate too
 router.post('/:jobId/rate', [
   param('jobId').isUUID(),
-  body('rating').isInt({ min: 1, max: 5 }),
-  body('review').isString().isLength({ min: 10 }).optional()
+  body('rating').isInt({ min: 1, max: 5 }).toInt(),
+  body('review').isString().isLength({ min: 10, max: 2000 }).optional(),
+  body('tags').isArray({ max: 9 }).optional(),
+  body('tags.*').isString()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await RatingService.submitRating(req.params.jobId, req.user, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Ratings on a job the user can see
+router.get('/:jobId/ratings', [
+  param('jobId').isUUID()
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -132,7 +330,7 @@ router.post('/:jobId/rate', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const result = await JobService.rateJob(req.params.jobId, req.user.id, req.body);
+    const result = await RatingService.getJobRatings(req.params.jobId, req.user);
     res.json(result);
   } catch (error) {
     next(error);
@@ -141,9 +339,12 @@ router.post('/:jobId/rate', [
 
 // Driver routes
 router.get('/driver/available', [
+  hasRole(['driver']),
   query('lat').isFloat({ min: -90, max: 90 }),
   query('lng').isFloat({ min: -180, max: 180 }),
-  query('radius').isInt({ min: 1, max: 100 }).optional()
+  query('radius').isInt({ min: 1, max: 100 }).optional(),
+  query('category').isIn(CATEGORIES).optional(),
+  query('volume').isIn(VOLUMES).optional()
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -155,7 +356,9 @@ router.get('/driver/available', [
       driverId: req.user.id,
       lat: parseFloat(req.query.lat),
       lng: parseFloat(req.query.lng),
-      radius: parseInt(req.query.radius) || 25
+      radius: parseInt(req.query.radius) || 25,
+      category: req.query.category,
+      volume: req.query.volume
     };
 
     const jobs = await JobService.getAvailableJobsForDriver(options);
@@ -166,7 +369,8 @@ router.get('/driver/available', [
 });
 
 router.get('/driver/my-jobs', [
-  query('status').isIn(['active', 'completed', 'cancelled']).optional(),
+  hasRole(['driver']),
+  query('status').isIn(STATUS_FILTERS).optional(),
   query('page').isInt({ min: 1 }).optional(),
   query('limit').isInt({ min: 1, max: 50 }).optional()
 ], async (req, res, next) => {
@@ -190,7 +394,30 @@ router.get('/driver/my-jobs', [
   }
 });
 
+// The driver's assigned jobs for a day in driving order, with dump stops,
+// legs and ETAs. Defaults to today in the service time zone.
+router.get('/driver/route', [
+  hasRole(['driver']),
+  query('date').matches(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  query('refresh').isBoolean().toBoolean().optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const date = req.query.date || SlotService.localDate(new Date());
+    const result = await RouteService.getRoute(req.user.id, date, { refresh: req.query.refresh });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.post('/:jobId/bid', [
+  hasRole(['driver']),
+  requireVerifiedEmail('bids:place'),
   param('jobId').isUUID(),
   body('amount').isFloat({ min: 0 }),
   body('eta').isISO8601(),
@@ -215,7 +442,69 @@ router.post('/:jobId/bid', [
   }
 });
 
+// Edit or withdraw your bid while bidding is open
+router.put('/:jobId/bid', [
+  hasRole(['driver']),
+  param('jobId').isUUID(),
+  body('amount').isFloat({ min: 0 }).optional(),
+  body('eta').isISO8601().optional(),
+  body('notes').isString().optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await JobService.updateBid({
+      ...req.body,
+      driverId: req.user.id,
+      jobId: req.params.jobId
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:jobId/bid', [
+  hasRole(['driver']),
+  param('jobId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await JobService.withdrawBid(req.params.jobId, req.user.id);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Answer an auto-dispatch offer
+router.post('/dispatch-offers/:offerId/respond', [
+  hasRole(['driver']),
+  param('offerId').isInt({ min: 1 }),
+  body('accept').isBoolean().toBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await DispatchService.respondToOffer(req.params.offerId, req.user.id, req.body.accept);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.put('/:jobId/accept', [
+  hasRole(['driver']),
   param('jobId').isUUID()
 ], async (req, res, next) => {
   try {
@@ -224,16 +513,37 @@ router.put('/:jobId/accept', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const result = await JobService.acceptJob(req.params.jobId, req.user.id);
+    const result = await JobService.acceptJob(req.params.jobId, req.user);
     res.json(result);
   } catch (error) {
     next(error);
   }
 });
 
+// Complete a job with its proof of completion; the required evidence is
+// configured in admin settings
 router.put('/:jobId/complete', [
+  hasRole(['driver']),
   param('jobId').isUUID(),
-  body('completionPhotos').isArray().optional(),
+  body('beforePhotos').isArray({ max: 20 }).optional(),
+  body('beforePhotos.*.assetId').isUUID(),
+  body('beforePhotos.*.capturedAt').isISO8601(),
+  body('afterPhotos').isArray({ max: 20 }).optional(),
+  body('afterPhotos.*.assetId').isUUID(),
+  body('afterPhotos.*.capturedAt').isISO8601(),
+  body('location.lat').isFloat({ min: -90, max: 90 }).toFloat(),
+  body('location.lng').isFloat({ min: -180, max: 180 }).toFloat(),
+  body('location.accuracy').isFloat({ min: 0 }).toFloat().optional(),
+  body('confirmation.method').isIn(['signature', 'pin']).optional(),
+  body('confirmation.signatureAssetId').if(body('confirmation.method').equals('signature')).isUUID(),
+  body('confirmation.signerName').if(body('confirmation.method').equals('signature')).isString().isLength({ min: 1, max: 100 }),
+  body('confirmation.pin').if(body('confirmation.method').equals('pin')).isString().matches(/^\d{6}$/),
+  body('receipts').isArray({ max: 10 }).optional(),
+  body('receipts.*.type').isIn(CompletionService.RECEIPT_TYPES),
+  body('receipts.*.facilityName').isString().isLength({ min: 1, max: 200 }),
+  body('receipts.*.assetId').isUUID().optional(),
+  body('receipts.*.weightKg').isFloat({ min: 0 }).toFloat().optional(),
+  body('receipts.*.fee').isFloat({ min: 0 }).toFloat().optional(),
   body('notes').isString().optional()
 ], async (req, res, next) => {
   try {
@@ -242,7 +552,41 @@ router.put('/:jobId/complete', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const result = await JobService.completeJob(req.params.jobId, req.user.id, req.body);
+    const result = await CompletionService.completeJob(req.params.jobId, req.user.id, req.body);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The PIN the customer reads out to confirm completion
+router.get('/:jobId/completion-pin', [
+  param('jobId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await CompletionService.getCompletionPin(req.params.jobId, req.user);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The evidence submitted when the job was completed
+router.get('/:jobId/completion-record', [
+  param('jobId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await CompletionService.getCompletionRecord(req.params.jobId, req.user);
     res.json(result);
   } catch (error) {
     next(error);
@@ -269,8 +613,9 @@ router.put('/:jobId/update-location', [
 
 // Admin routes
 router.get('/admin/all', [
-  hasRole(['admin', 'super_admin']),
-  query('status').isIn(['pending', 'active', 'completed', 'cancelled']).optional(),
+  requirePermission('jobs:read'),
+  requireMfa(),
+  query('status').isIn(STATUS_FILTERS).optional(),
   query('page').isInt({ min: 1 }).optional(),
   query('limit').isInt({ min: 1, max: 100 }).optional()
 ], async (req, res, next) => {
@@ -294,7 +639,8 @@ router.get('/admin/all', [
 });
 
 router.put('/admin/:jobId/reassign', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('jobs:reassign'),
+  requireMfa(),
   param('jobId').isUUID(),
   body('driverId').isUUID()
 ], async (req, res, next) => {
@@ -304,7 +650,7 @@ router.put('/admin/:jobId/reassign', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const result = await JobService.reassignJob(req.params.jobId, req.body.driverId, req.user.id);
+    const result = await JobService.reassignJob(req.params.jobId, req.body.driverId, req.user);
     res.json(result);
   } catch (error) {
     next(error);
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { param, validationResult } = require('express-validator');
+const MediaService = require('../services/mediaService');
+const MediaProcessingService = require('../services/mediaProcessingService');
+
+const MAX_FILES = 10;
+
+// Files land on disk first; per-kind size limits are checked after sniffing
+const upload = multer({
+  dest: path.join(os.tmpdir(), 'chunk-uploads'),
+  limits: { fileSize: MediaProcessingService.MAX_VIDEO_BYTES, files: MAX_FILES }
+}).array('files', MAX_FILES);
+
+const receiveFiles = (req, res, next) => upload(req, res, (err) => {
+  if (err instanceof multer.MulterError) {
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    return res.status(status).json({ error: err.message });
+  }
+  next(err);
+});
+
+// Upload photos or videos. Returns asset IDs to pass as mediaAssetIds when
+// creating a job or completionPhotoIds when completing one.
+router.post('/', receiveFiles, async (req, res, next) => {
+  const files = req.files || [];
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
+
+  let processed = 0;
+  try {
+    const assets = [];
+    for (const file of files) {
+      assets.push(await MediaProcessingService.upload(file, req.user.id));
+      processed += 1;
+    }
+    res.status(201).json({ assets });
+  } catch (error) {
+    files.slice(processed + 1).forEach(file => fs.promises.rm(file.path, { force: true }).catch(() => {}));
+    next(error);
+  }
+});
+
+router.get('/:assetId', [
+  param('assetId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const asset = await MediaService.getAsset(req.params.assetId, req.user);
+    res.json(asset);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
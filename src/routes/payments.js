@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const PaymentService = require('../services/paymentService');
-const { hasRole } = require('../middleware/rbac');
+const { hasRole, requirePermission, requireMfa } = require('../middleware/rbac');
+
+// Stripe webhooks are handled in ./stripeWebhooks, outside authentication
 
 // Create payment intent for customer
 router.post('/create-intent', [
@@ -25,10 +26,24 @@ router.post('/create-intent', [
       return res.status(404).json({ error: 'Job not found or access denied' });
     }
 
+    // Customers pay the agreed price, less anything already paid
+    if (job.final_price === null) {
+      return res.status(409).json({ error: 'This job has no agreed price yet' });
+    }
+    const amountDue = Math.round((job.final_price - job.amount_paid) * 100) / 100;
+    if (amountDue <= 0) {
+      return res.status(409).json({ error: 'This job has already been paid' });
+    }
+    if (Math.round(amount * 100) !== Math.round(amountDue * 100)) {
+      return res.status(400).json({ error: `The amount due for this job is ${amountDue.toFixed(2)}` });
+    }
+
     // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
+    const paymentIntent = await PaymentService.getStripe().paymentIntents.create({
       amount: Math.round(amount * 100), // Convert to cents
       currency,
+      customer: await PaymentService.getStripeCustomerId(req.user.id),
+      transfer_group: jobId,
       metadata: {
         jobId,
         customerId: req.user.id,
@@ -58,53 +73,14 @@ router.post('/create-intent', [
   }
 });
 
-// Confirm payment (webhook endpoint)
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res, next) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
-
+// Save a card for later off-session charges (recurring pickups,
+// cancellation fees)
+router.post('/setup-intent', async (req, res, next) => {
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  try {
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        const paymentIntent = event.data.object;
-        await PaymentService.handlePaymentSuccess(paymentIntent);
-        break;
-
-      case 'payment_intent.payment_failed':
-        const failedPayment = event.data.object;
-        await PaymentService.handlePaymentFailure(failedPayment);
-        break;
-
-      case 'payment_intent.canceled':
-        const canceledPayment = event.data.object;
-        await PaymentService.handlePaymentCancellation(canceledPayment);
-        break;
-
-      case 'charge.dispute.created':
-        const dispute = event.data.object;
-        await PaymentService.handleDispute(dispute);
-        break;
-
-      case 'account.updated':
-        const account = event.data.object;
-        await PaymentService.handleAccountUpdate(account);
-        break;
-
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
-    }
-
-    res.json({ received: true });
+    const result = await PaymentService.createSetupIntent(req.user.id);
+    res.json(result);
   } catch (error) {
-    console.error('Webhook processing error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    next(error);
   }
 });
 
@@ -144,7 +120,7 @@ router.get('/:paymentId', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const payment = await PaymentService.getPaymentById(req.params.paymentId, req.user.id);
+    const payment = await PaymentService.getPaymentById(req.params.paymentId, req.user);
     res.json(payment);
   } catch (error) {
     next(error);
@@ -173,6 +149,7 @@ router.post('/:paymentId/refund', [
 
 // Driver payout routes
 router.post('/driver/connect-account', [
+  hasRole(['driver']),
   body('country').isString().isLength({ min: 2, max: 2 }),
   body('email').isEmail()
 ], async (req, res, next) => {
@@ -185,6 +162,7 @@ router.post('/driver/connect-account', [
     const { country, email } = req.body;
     
     // Create Stripe Connect account
+    const stripe = PaymentService.getStripe();
     const account = await stripe.accounts.create({
       type: 'express',
       country,
@@ -216,6 +194,7 @@ router.post('/driver/connect-account', [
 });
 
 router.get('/driver/earnings', [
+  hasRole(['driver']),
   query('startDate').isISO8601().optional(),
   query('endDate').isISO8601().optional(),
   query('page').isInt({ min: 1 }).optional(),
@@ -243,6 +222,7 @@ router.get('/driver/earnings', [
 });
 
 router.post('/driver/withdraw', [
+  hasRole(['driver']),
   body('amount').isFloat({ min: 1 }),
   body('destination').isString()
 ], async (req, res, next) => {
@@ -261,7 +241,7 @@ router.post('/driver/withdraw', [
     }
 
     // Create payout
-    const payout = await stripe.payouts.create({
+    const payout = await PaymentService.getStripe().payouts.create({
       amount: Math.round(amount * 100),
       currency: 'usd',
       destination
@@ -284,7 +264,8 @@ router.post('/driver/withdraw', [
 
 // Admin routes
 router.get('/admin/all', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('payments:read'),
+  requireMfa(),
   query('page').isInt({ min: 1 }).optional(),
   query('limit').isInt({ min: 1, max: 100 }).optional(),
   query('status').isIn(['pending', 'completed', 'failed', 'refunded', 'disputed']).optional()
@@ -309,7 +290,8 @@ router.get('/admin/all', [
 });
 
 router.put('/admin/:paymentId/refund', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('payments:refund'),
+  requireMfa(),
   param('paymentId').isUUID(),
   body('amount').isFloat({ min: 0 }).optional(),
   body('reason').isString().isLength({ min: 5 })
@@ -329,7 +311,8 @@ router.put('/admin/:paymentId/refund', [
 });
 
 router.get('/admin/analytics', [
-  hasRole(['admin', 'super_admin']),
+  requirePermission('analytics:read'),
+  requireMfa(),
   query('startDate').isISO8601(),
   query('endDate').isISO8601()
 ], async (req, res, next) => {
@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const RecurringService = require('../services/recurringService');
+const requireVerifiedEmail = require('../middleware/emailVerification');
+const { ITEM_TYPES, ITEM_SIZES } = require('../config/itemTypes');
+
+const CATEGORIES = ['furniture', 'appliances', 'electronics', 'construction', 'yard', 'general', 'other'];
+const VOLUMES = ['small', 'medium', 'large'];
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly', 'custom'];
+
+// The job fields each generated pickup is created from. Recurring pickups
+// are always instantly priced so the saved card can be charged up front.
+const templateValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    (optional ? body('template').optional() : body('template')).isObject(),
+    field('template.address').isString().isLength({ min: 5 }),
+    field('template.phone').isString().isLength({ min: 10 }),
+    field('template.contactMethod').isIn(['phone', 'email', 'both']),
+    field('template.description').isString().isLength({ min: 10 }),
+    field('template.category').isIn(CATEGORIES),
+    field('template.volume').isIn(VOLUMES),
+    body('template.instructions').isString().optional(),
+    body('template.items').isArray({ max: 50 }).optional(),
+    body('template.items.*.type').isIn(Object.keys(ITEM_TYPES)),
+    body('template.items.*.quantity').isInt({ min: 1, max: 100 }).toInt(),
+    body('template.items.*.size').isIn(ITEM_SIZES).optional(),
+    body('template.items.*.weightKg').isFloat({ min: 0, max: 5000 }).toFloat().optional(),
+    body('template.items.*.notes').isString().isLength({ max: 200 }).optional()
+  ];
+};
+
+const frequencyValidators = (optional) => [
+  (optional ? body('frequency').optional() : body('frequency')).isIn(FREQUENCIES),
+  body('rrule').if(body('frequency').equals('custom')).isString().isLength({ min: 1, max: 255 })
+];
+
+// Create a recurring pickup
+router.post('/', [
+  requireVerifiedEmail('jobs:create'),
+  ...templateValidators(false),
+  ...frequencyValidators(false),
+  body('startsAt').isISO8601(),
+  body('preferSameDriver').isBoolean().toBoolean().optional(),
+  body('paymentMethodId').isString().optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await RecurringService.createSchedule(req.user, req.body);
+    res.status(201).json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the customer's recurring pickups
+router.get('/', [
+  query('page').isInt({ min: 1 }).optional(),
+  query('limit').isInt({ min: 1, max: 50 }).optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await RecurringService.listSchedules(req.user.id, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 10
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a recurring pickup with its recent and upcoming dates
+router.get('/:scheduleId', [
+  param('scheduleId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await RecurringService.getSchedule(req.params.scheduleId, req.user);
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change the template, frequency or preferences; applies to future jobs
+router.put('/:scheduleId', [
+  param('scheduleId').isUUID(),
+  ...templateValidators(true),
+  ...frequencyValidators(true),
+  body('preferSameDriver').isBoolean().toBoolean().optional(),
+  body('paymentMethodId').isString().optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await RecurringService.updateSchedule(req.params.scheduleId, req.user, req.body);
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pause, optionally until a date
+router.post('/:scheduleId/pause', [
+  param('scheduleId').isUUID(),
+  body('until').isISO8601().optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await RecurringService.pauseSchedule(req.params.scheduleId, req.user, req.body.until || null);
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resume a paused recurring pickup
+router.post('/:scheduleId/resume', [
+  param('scheduleId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await RecurringService.resumeSchedule(req.params.scheduleId, req.user);
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a recurring pickup; jobs already created are kept
+router.delete('/:scheduleId', [
+  param('scheduleId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await RecurringService.cancelSchedule(req.params.scheduleId, req.user);
+    res.json({ message: 'Recurring pickup cancelled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Skip one date
+router.post('/:scheduleId/occurrences/:occurrenceId/skip', [
+  param('scheduleId').isUUID(),
+  param('occurrenceId').isInt({ min: 1 }),
+  body('reason').isString().isLength({ max: 500 }).optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await RecurringService.skipOccurrence(
+      req.params.scheduleId, req.params.occurrenceId, req.user, req.body.reason
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Undo a skip
+router.delete('/:scheduleId/occurrences/:occurrenceId/skip', [
+  param('scheduleId').isUUID(),
+  param('occurrenceId').isInt({ min: 1 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await RecurringService.unskipOccurrence(req.params.scheduleId, req.params.occurrenceId, req.user);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const SlotService = require('../services/slotService');
+
+// Time slots open for scheduled jobs at an address
+router.get('/', [
+  query('address').isString().isLength({ min: 5 }),
+  query('from').isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  query('days').isInt({ min: 1, max: SlotService.BOOKING_DAYS }).optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await SlotService.getAvailableSlots({
+      address: req.query.address,
+      from: req.query.from,
+      days: parseInt(req.query.days) || 7
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Hold a slot while the customer finishes creating the job
+router.post('/holds', [
+  body('address').isString().isLength({ min: 5 }),
+  body('slotStart').isISO8601()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hold = await SlotService.holdSlot(req.user.id, req.body);
+    res.status(201).json(hold);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/holds/:holdId', [
+  param('holdId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await SlotService.releaseHold(req.user.id, req.params.holdId);
+    res.json({ message: 'Slot released' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
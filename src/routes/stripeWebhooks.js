@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const PaymentService = require('../services/paymentService');
+
+// Stripe signs the raw request body, so this router is mounted before the
+// JSON body parser and without authentication
+router.post('/', express.raw({ type: 'application/json' }), async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+  let event;
+
+  try {
+    event = PaymentService.getStripe().webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    console.error('Webhook signature verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  try {
+    const object = event.data.object;
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        await PaymentService.handlePaymentSuccess(object);
+        break;
+
+      case 'payment_intent.payment_failed':
+        await PaymentService.handlePaymentFailure(object);
+        break;
+
+      case 'payment_intent.canceled':
+        await PaymentService.handlePaymentCancellation(object);
+        break;
+
+      case 'charge.dispute.created':
+      case 'charge.dispute.updated':
+      case 'charge.dispute.closed':
+        await PaymentService.handleDispute(object);
+        break;
+
+      case 'account.updated':
+        await PaymentService.handleAccountUpdate(object);
+        break;
+
+      default:
+        console.log(`Unhandled event type: ${event.type}`);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    // A 500 makes Stripe retry the event later
+    console.error('Webhook processing error:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+module.exports = router;
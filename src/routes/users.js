@@ -1,5 +1,9 @@
 const express = require('express');
 const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const PhoneAuthService = require('../services/phoneAuthService');
+const PermissionService = require('../services/permissionService');
+const RatingService = require('../services/ratingService');
 
 // Example: Get current user profile
 router.get('/me', (req, res) => {
@@ -10,4 +14,95 @@ router.get('/me', (req, res) => {
   res.json(user);
 });
 
+// Effective permissions, so clients can hide actions the user can't take
+router.get('/me/permissions', async (req, res, next) => {
+  try {
+    const result = await PermissionService.getEffectivePermissions(req.user.id);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a verification code to a phone number
+router.post('/me/phone', [
+  body('phone').isMobilePhone('any', { strictMode: true })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await PhoneAuthService.startVerification(req.user.id, req.body.phone, req.ip);
+    res.json({ message: 'Verification code sent', ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm the code and mark the phone number verified
+router.post('/me/phone/verify', [
+  body('phone').isMobilePhone('any', { strictMode: true }),
+  body('code').isString().matches(/^\d{6}$/)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await PhoneAuthService.confirmVerification(req.user.id, req.body.phone, req.body.code);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reputation summary and recent reviews shown on a user's profile
+const sendReputation = async (userId, req, res) => {
+  const [reputation, reviews] = await Promise.all([
+    RatingService.getReputation(userId),
+    RatingService.getReceivedRatings(userId, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 10
+    })
+  ]);
+  res.json({ ...reputation, reviews: reviews.ratings, pagination: reviews.pagination });
+};
+
+const reputationQuery = [
+  query('page').isInt({ min: 1 }).optional(),
+  query('limit').isInt({ min: 1, max: 50 }).optional()
+];
+
+router.get('/me/reputation', reputationQuery, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await sendReputation(req.user.id, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:userId/reputation', [
+  param('userId').isUUID(),
+  ...reputationQuery
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await sendReputation(req.params.userId, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -1,3 +1,15 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('../db');
+const EmailService = require('./emailService');
+const TokenService = require('./tokenService');
+const SettingsService = require('./settingsService');
+const PaymentService = require('./paymentService');
+const { hashToken } = require('../utils/tokens');
+const { createError } = require('../utils/errors');
+
+const INVITATION_TTL_HOURS = parseInt(process.env.ADMIN_INVITE_TTL_HOURS) || 72;
+
 module.exports = {
   getDashboardStats: async () => {
     // Placeholder logic
@@ -11,5 +23,127 @@ module.exports = {
   getAllUsers: async () => {
     // Placeholder logic
     return [];
-  }
+  },
+
+  getSettings: () => SettingsService.getSettings(),
+
+  updateSettings: (changes, adminId) => SettingsService.updateSettings(changes, adminId),
+
+  // Suspending a user revokes their sessions immediately: the token version
+  // bump invalidates live access tokens, HTTP and socket alike
+  updateUserStatus: async (userId, status, reason, adminId) => {
+    const result = await db.query(
+      `UPDATE users SET status = $1, status_reason = $2, status_changed_at = NOW(), status_changed_by = $3
+       WHERE id = $4
+       RETURNING id, name, email, role, status, status_reason, status_changed_at`,
+      [status, reason, adminId, userId]
+    );
+    if (!result.rows[0]) {
+      throw createError(404, 'User not found');
+    }
+
+    if (status === 'suspended') {
+      await TokenService.revokeAllForUser(userId);
+    }
+
+    return result.rows[0];
+  },
+
+  // Creates a signed, expiring invitation link and emails it. Any earlier
+  // pending invitation for the same address stops working.
+  inviteAdmin: async ({ email, name, role, permissions = [] }, invitedBy) => {
+    const existing = await db.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (existing.rows.length > 0) {
+      throw createError(409, 'A user with this email already exists');
+    }
+
+    const invitationId = crypto.randomUUID();
+    const token = TokenService.signToken(
+      { purpose: 'admin_invite' },
+      { expiresIn: `${INVITATION_TTL_HOURS}h`, jwtid: invitationId }
+    );
+
+    await db.query(
+      'UPDATE admin_invitations SET revoked_at = NOW() WHERE email = $1 AND accepted_at IS NULL AND revoked_at IS NULL',
+      [email]
+    );
+    const result = await db.query(
+      `INSERT INTO admin_invitations (id, email, name, role, permissions, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(hours => $8))
+       RETURNING id, email, name, role, permissions, expires_at`,
+      [invitationId, email, name, role, JSON.stringify(permissions), hashToken(token), invitedBy, INVITATION_TTL_HOURS]
+    );
+
+    await EmailService.sendAdminInvitationEmail(email, {
+      name,
+      role,
+      inviteUrl: `${process.env.FRONTEND_URL || 'http://localhost:4200'}/admin/accept-invite?token=${token}`,
+      expiresInHours: INVITATION_TTL_HOURS
+    });
+
+    return result.rows[0];
+  },
+
+  // Redeems an invitation token, creating the admin account with the role
+  // and permissions chosen by the inviter. Returns the new user row.
+  acceptInvitation: async (token, password) => {
+    const claims = TokenService.verifyToken(token);
+    if (!claims || claims.purpose !== 'admin_invite') {
+      throw createError(400, 'Invalid or expired invitation');
+    }
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const invitationResult = await client.query(
+        `SELECT * FROM admin_invitations
+         WHERE id = $1 AND token_hash = $2 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+         FOR UPDATE`,
+        [claims.jti, hashToken(token)]
+      );
+      const invitation = invitationResult.rows[0];
+      if (!invitation) {
+        throw createError(400, 'Invalid or expired invitation');
+      }
+
+      // Following the emailed invitation link proves the address
+      const hashedPassword = await bcrypt.hash(password, 10);
+      const userResult = await client.query(
+        `INSERT INTO users (name, email, password, role, status, email_verified_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         RETURNING *`,
+        [invitation.name, invitation.email, hashedPassword, invitation.role, 'active']
+      );
+      const user = userResult.rows[0];
+
+      // Extra permissions picked by the inviter on top of the role's defaults
+      await client.query(
+        `INSERT INTO user_permissions (user_id, permission, effect, granted_by)
+         SELECT $1, jsonb_array_elements_text($2::jsonb), 'grant', $3`,
+        [user.id, JSON.stringify(invitation.permissions), invitation.invited_by]
+      );
+
+      await client.query(
+        'UPDATE admin_invitations SET accepted_at = NOW(), accepted_user_id = $2 WHERE id = $1',
+        [invitation.id, user.id]
+      );
+
+      await client.query('COMMIT');
+      return user;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.code === '23505') {
+        throw createError(409, 'A user with this email already exists');
+      }
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  getPayments: async (options) => PaymentService.getAllPayments(options),
+
+  processRefund: async (paymentId, amount, reason, adminId) =>
+    PaymentService.processRefund(paymentId, amount, reason, adminId)
 };
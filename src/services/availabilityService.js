@@ -0,0 +1,109 @@
+const db = require('../db');
+const { createError } = require('../utils/errors');
+
+// Drivers' calendars for scheduled work: where they take jobs, their weekly
+// hours and one-off block-outs. SlotService turns these into bookable slots.
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+module.exports = {
+  getAvailability: async (driverId) => {
+    const [area, weekly, blockouts] = await Promise.all([
+      db.query(
+        'SELECT lat, lng, radius_miles, jobs_per_slot, truck_capacity_units, updated_at FROM driver_service_areas WHERE driver_id = $1',
+        [driverId]
+      ),
+      db.query(
+        `SELECT weekday, to_char(start_time, 'HH24:MI') AS start_time, to_char(end_time, 'HH24:MI') AS end_time
+         FROM driver_availability WHERE driver_id = $1 ORDER BY weekday, start_time`,
+        [driverId]
+      ),
+      db.query(
+        'SELECT id, starts_at, ends_at, reason FROM driver_blockouts WHERE driver_id = $1 AND ends_at > NOW() ORDER BY starts_at',
+        [driverId]
+      )
+    ]);
+
+    return {
+      serviceArea: area.rows[0] || null,
+      weekly: weekly.rows,
+      blockouts: blockouts.rows
+    };
+  },
+
+  // `truckCapacityUnits` is used by route planning (small = 1, medium = 2,
+  // large = 4); left unset, the TRUCK_CAPACITY_UNITS default applies
+  setServiceArea: async (driverId, { lat, lng, radiusMiles, jobsPerSlot = 1, truckCapacityUnits = null }) => {
+    const result = await db.query(
+      `INSERT INTO driver_service_areas (driver_id, lat, lng, radius_miles, jobs_per_slot, truck_capacity_units, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (driver_id) DO UPDATE SET
+         lat = EXCLUDED.lat, lng = EXCLUDED.lng, radius_miles = EXCLUDED.radius_miles,
+         jobs_per_slot = EXCLUDED.jobs_per_slot, truck_capacity_units = EXCLUDED.truck_capacity_units,
+         updated_at = NOW()
+       RETURNING lat, lng, radius_miles, jobs_per_slot, truck_capacity_units, updated_at`,
+      [driverId, lat, lng, radiusMiles, jobsPerSlot, truckCapacityUnits]
+    );
+    return result.rows[0];
+  },
+
+  // Replaces the driver's whole week. Windows on the same day may not overlap.
+  setWeeklyHours: async (driverId, windows) => {
+    for (const window of windows) {
+      if (toMinutes(window.endTime) <= toMinutes(window.startTime)) {
+        throw createError(400, `Availability on day ${window.weekday} must end after it starts`);
+      }
+    }
+    const sorted = [...windows].sort((a, b) => a.weekday - b.weekday || toMinutes(a.startTime) - toMinutes(b.startTime));
+    for (let i = 1; i < sorted.length; i += 1) {
+      if (sorted[i].weekday === sorted[i - 1].weekday && toMinutes(sorted[i].startTime) < toMinutes(sorted[i - 1].endTime)) {
+        throw createError(400, `Availability windows on day ${sorted[i].weekday} overlap`);
+      }
+    }
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM driver_availability WHERE driver_id = $1', [driverId]);
+      for (const window of sorted) {
+        await client.query(
+          'INSERT INTO driver_availability (driver_id, weekday, start_time, end_time) VALUES ($1, $2, $3, $4)',
+          [driverId, window.weekday, window.startTime, window.endTime]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    return (await module.exports.getAvailability(driverId)).weekly;
+  },
+
+  addBlockout: async (driverId, { startsAt, endsAt, reason }) => {
+    if (new Date(endsAt) <= new Date(startsAt)) {
+      throw createError(400, 'A block-out must end after it starts');
+    }
+    const result = await db.query(
+      `INSERT INTO driver_blockouts (driver_id, starts_at, ends_at, reason)
+       VALUES ($1, $2, $3, $4) RETURNING id, starts_at, ends_at, reason`,
+      [driverId, startsAt, endsAt, reason || null]
+    );
+    return result.rows[0];
+  },
+
+  removeBlockout: async (driverId, blockoutId) => {
+    const result = await db.query(
+      'DELETE FROM driver_blockouts WHERE id = $1 AND driver_id = $2 RETURNING id',
+      [blockoutId, driverId]
+    );
+    if (!result.rows[0]) {
+      throw createError(404, 'Block-out not found');
+    }
+  }
+};
@@ -0,0 +1,49 @@
+const Queue = require('bull');
+
+// Closes bidding windows on time. Each window gets a delayed 'close' job;
+// a sweep every minute catches any window whose job was lost (Redis
+// restart, scheduling failure).
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let queue;
+
+const getQueue = () => {
+  if (!queue) {
+    queue = new Queue('bidding', process.env.REDIS_URL || 'redis://localhost:6379');
+  }
+  return queue;
+};
+
+// Safe to call more than once for the same window
+const scheduleClose = (jobId, closesAt) => getQueue().add(
+  'close',
+  { jobId },
+  {
+    jobId: `close:${jobId}:${closesAt.getTime()}`,
+    delay: Math.max(0, closesAt.getTime() - Date.now()),
+    attempts: 3,
+    backoff: 5000,
+    removeOnComplete: true
+  }
+);
+
+// Starts processing in this process
+const start = () => {
+  // Required here: BiddingService depends on JobService, which schedules
+  // through this module
+  const BiddingService = require('./biddingService');
+  const biddingQueue = getQueue();
+
+  biddingQueue.process('close', (job) => BiddingService.closeBidding(job.data.jobId));
+  biddingQueue.process('sweep', () => BiddingService.closeOverdue());
+  biddingQueue.add('sweep', {}, { repeat: { every: SWEEP_INTERVAL_MS }, removeOnComplete: true });
+
+  biddingQueue.on('failed', (job, err) => {
+    console.error(`Bidding queue job ${job.name} ${job.id} failed:`, err);
+  });
+};
+
+module.exports = {
+  scheduleClose,
+  start
+};
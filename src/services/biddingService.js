@@ -0,0 +1,175 @@
+const db = require('../db');
+const JobService = require('./jobService');
+const SocketService = require('./socketService');
+const RatingService = require('./ratingService');
+const { createError } = require('../utils/errors');
+
+// How many of the best bids the customer is shown when bidding closes
+const SHORTLIST_SIZE = 3;
+
+// Relative weight of each ranking factor; unrated drivers count as 4 stars
+const WEIGHTS = { price: 0.5, eta: 0.25, rating: 0.25 };
+const DEFAULT_RATING = 4;
+
+const getOpenBids = async (queryable, jobId) => {
+  const result = await queryable.query(
+    `SELECT b.*, u.name AS driver_name,
+       r.average_rating, COALESCE(r.rating_count, 0) AS rating_count
+     FROM bids b
+     JOIN users u ON u.id = b.driver_id
+     LEFT JOIN (${RatingService.REPUTATION_SQL}) r ON r.ratee_id = b.driver_id
+     WHERE b.job_id = $1 AND b.status = 'pending'`,
+    [jobId]
+  );
+  return result.rows;
+};
+
+// Best bid first. Each factor scores 0..1 against the best value among the
+// bids: cheapest price, soonest arrival, highest rating.
+const rankBids = (bids, now = new Date()) => {
+  if (bids.length === 0) {
+    return [];
+  }
+
+  const hoursUntil = (eta) => Math.max(0, (new Date(eta) - now) / 3600000);
+  const lowestAmount = Math.min(...bids.map(bid => Number(bid.amount)));
+  const soonestHours = Math.min(...bids.map(bid => (bid.eta ? hoursUntil(bid.eta) : Infinity)));
+
+  return bids
+    .map(bid => {
+      const amount = Number(bid.amount);
+      const scores = {
+        price: amount > 0 ? lowestAmount / amount : 1,
+        eta: bid.eta ? (soonestHours + 1) / (hoursUntil(bid.eta) + 1) : 0,
+        rating: (bid.average_rating || DEFAULT_RATING) / 5
+      };
+      const score = Object.keys(WEIGHTS).reduce((sum, factor) => sum + WEIGHTS[factor] * scores[factor], 0);
+      return { ...bid, score: Math.round(score * 1000) / 1000 };
+    })
+    .sort((a, b) => b.score - a.score || new Date(a.submitted_at) - new Date(b.submitted_at))
+    .map((bid, index) => ({ ...bid, rank: index + 1 }));
+};
+
+const notifyCustomer = (job, title, body, data) => SocketService.emitToUser(job.customer_id, 'notification', {
+  title,
+  body,
+  data: { jobId: job.id, ...data }
+});
+
+module.exports = {
+  SHORTLIST_SIZE,
+  rankBids,
+
+  // Open bids ranked for the job's customer (or staff)
+  getRankedBids: async (jobId, user) => {
+    const jobResult = await db.query('SELECT id, customer_id, status, bidding_closes_at FROM jobs WHERE id = $1', [jobId]);
+    const job = jobResult.rows[0];
+    if (!job || (job.customer_id !== user.id && !JobService.isStaff(user))) {
+      throw createError(404, 'Job not found');
+    }
+
+    return {
+      jobId,
+      status: job.status,
+      biddingClosesAt: job.bidding_closes_at,
+      bids: rankBids(await getOpenBids(db, jobId))
+    };
+  },
+
+  // Accepts a bid and tells every driver how their bid went
+  acceptBid: async (jobId, bidId, customerId) => {
+    const { rejectedBids, ...job } = await JobService.acceptBid(jobId, bidId, customerId);
+
+    SocketService.emitToUser(job.acceptedBid.driver_id, 'notification', {
+      title: 'Bid accepted',
+      body: 'Your bid was accepted. The job is now assigned to you.',
+      data: { type: 'bid_accepted', jobId, bidId }
+    });
+    rejectedBids.forEach(bid => SocketService.emitToUser(bid.driver_id, 'notification', {
+      title: 'Bid not selected',
+      body: 'The customer chose another bid for this job',
+      data: { type: 'bid_rejected', jobId, bidId: bid.id }
+    }));
+
+    return job;
+  },
+
+  // Ends the bidding window if it is due. The best SHORTLIST_SIZE bids stay
+  // open for the customer to accept; the rest are rejected. Jobs nobody bid
+  // on go back to pending. Returns null when there was nothing to close.
+  closeBidding: async (jobId) => {
+    const outcome = await JobService.withTransaction(async (client) => {
+      const job = await JobService.lockJob(client, jobId);
+      if (job.status !== 'bidding' || !job.bidding_closes_at || new Date(job.bidding_closes_at) > new Date()) {
+        return null;
+      }
+
+      const ranked = rankBids(await getOpenBids(client, jobId));
+      if (ranked.length === 0) {
+        await JobService.applyTransition(client, job, 'pending', JobService.SYSTEM_ACTOR, {
+          reason: 'Bidding closed with no bids'
+        });
+        return { job, shortlist: [], rejected: [] };
+      }
+
+      const shortlist = ranked.slice(0, SHORTLIST_SIZE);
+      const rejected = ranked.slice(SHORTLIST_SIZE);
+      if (rejected.length > 0) {
+        await client.query(
+          "UPDATE bids SET status = 'rejected', updated_at = NOW() WHERE id = ANY($1)",
+          [rejected.map(bid => bid.id)]
+        );
+      }
+
+      await JobService.applyTransition(client, job, 'reviewing_bids', JobService.SYSTEM_ACTOR, {
+        reason: 'Bidding window closed',
+        metadata: { bidCount: ranked.length, shortlist: shortlist.map(bid => bid.id) }
+      });
+      return { job, shortlist, rejected };
+    });
+
+    if (!outcome) {
+      return null;
+    }
+
+    const { job, shortlist, rejected } = outcome;
+    if (shortlist.length === 0) {
+      notifyCustomer(job, 'No bids received', 'Nobody bid on your job. You can reopen bidding or choose an instant quote.', {
+        type: 'bidding_closed'
+      });
+    } else {
+      notifyCustomer(job, 'Bidding closed', `Your top ${shortlist.length} bids are ready to review`, {
+        type: 'bidding_closed',
+        shortlist: shortlist.map(({ id, driver_id, driver_name, amount, eta, average_rating, score, rank }) => ({
+          bidId: id,
+          driverId: driver_id,
+          driverName: driver_name,
+          amount,
+          eta,
+          averageRating: average_rating,
+          score,
+          rank
+        }))
+      });
+    }
+
+    rejected.forEach(bid => SocketService.emitToUser(bid.driver_id, 'notification', {
+      title: 'Bid not selected',
+      body: 'Your bid was not shortlisted for this job',
+      data: { type: 'bid_rejected', jobId, bidId: bid.id }
+    }));
+
+    return outcome;
+  },
+
+  // Closes every window that is past due; run periodically by the scheduler
+  closeOverdue: async () => {
+    const result = await db.query(
+      "SELECT id FROM jobs WHERE status = 'bidding' AND bidding_closes_at <= NOW()"
+    );
+    for (const { id } of result.rows) {
+      await module.exports.closeBidding(id);
+    }
+    return result.rows.length;
+  }
+};
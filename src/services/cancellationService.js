@@ -0,0 +1,139 @@
+const db = require('../db');
+const JobService = require('./jobService');
+const SocketService = require('./socketService');
+const SettingsService = require('./settingsService');
+const PaymentService = require('./paymentService');
+const { createError } = require('../utils/errors');
+
+const BEFORE_ASSIGNMENT = ['pending', 'bidding', 'reviewing_bids'];
+
+const getPolicy = async () => {
+  const settings = await SettingsService.getSettings();
+  return {
+    freeWindowMinutes: Number(settings.cancellationFreeWindowMinutes),
+    fee: Number(settings.cancellationFee),
+    enRouteCompensation: Number(settings.driverEnRouteCompensation)
+  };
+};
+
+const getAssignedAt = async (queryable, jobId) => {
+  const result = await queryable.query(
+    `SELECT created_at FROM job_status_history
+     WHERE job_id = $1 AND to_status = 'assigned'
+     ORDER BY created_at DESC LIMIT 1`,
+    [jobId]
+  );
+  return result.rows[0] ? new Date(result.rows[0].created_at) : null;
+};
+
+// What cancelling now would cost. Only customers pay; staff cancellations
+// are free. The fee never exceeds the job's agreed price.
+const computeCharge = (job, actor, policy, assignedAt, now = new Date()) => {
+  const charge = (rule, fee = 0, driverCompensation = 0) => {
+    const cap = job.final_price === null || job.final_price === undefined ? Infinity : Number(job.final_price);
+    return { rule, fee: Math.min(fee, cap), driverCompensation: Math.min(driverCompensation, cap) };
+  };
+
+  if (actor.role !== 'customer') {
+    return charge('staff_cancellation');
+  }
+  if (BEFORE_ASSIGNMENT.includes(job.status)) {
+    return charge('before_assignment');
+  }
+  if (job.status === 'assigned') {
+    const minutesSinceAssignment = assignedAt ? (now - assignedAt) / 60000 : Infinity;
+    return minutesSinceAssignment <= policy.freeWindowMinutes
+      ? charge('free_window')
+      : charge('after_assignment', policy.fee);
+  }
+  // en_route or arrived: the driver is compensated for the wasted trip
+  return charge('driver_en_route', policy.fee + policy.enRouteCompensation, policy.enRouteCompensation);
+};
+
+const getOwnJob = async (queryable, jobId, user, lock = false) => {
+  const job = lock
+    ? await JobService.lockJob(queryable, jobId)
+    : (await queryable.query('SELECT * FROM jobs WHERE id = $1', [jobId])).rows[0];
+  if (!job || (job.customer_id !== user.id && !JobService.isStaff(user))) {
+    throw createError(404, 'Job not found');
+  }
+  return job;
+};
+
+module.exports = {
+  computeCharge,
+
+  // Fee preview shown before the customer confirms
+  getCancellationQuote: async (jobId, user) => {
+    const job = await getOwnJob(db, jobId, user);
+    const policy = await getPolicy();
+    return {
+      jobId,
+      status: job.status,
+      ...computeCharge(job, user, policy, await getAssignedAt(db, jobId)),
+      policy
+    };
+  },
+
+  cancelJob: async (jobId, actor, { reason, refundAmount } = {}) => {
+    const policy = await getPolicy();
+
+    const { job, previousStatus, charge } = await JobService.withTransaction(async (client) => {
+      const locked = await getOwnJob(client, jobId, actor, true);
+      const computed = computeCharge(locked, actor, policy, await getAssignedAt(client, jobId));
+
+      const cancelled = await JobService.applyTransition(client, locked, 'cancelled', actor, {
+        reason,
+        metadata: { fee: computed.fee, rule: computed.rule }
+      });
+      await client.query(
+        "UPDATE bids SET status = 'rejected', updated_at = NOW() WHERE job_id = $1 AND status = 'pending'",
+        [jobId]
+      );
+      await client.query(
+        `INSERT INTO job_cancellations
+           (job_id, cancelled_by, cancelled_by_role, status_at_cancellation, reason, fee, driver_compensation, policy)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [jobId, actor.id, actor.role, locked.status, reason || null, computed.fee, computed.driverCompensation,
+          JSON.stringify({ ...policy, rule: computed.rule })]
+      );
+
+      return { job: cancelled, previousStatus: locked.status, charge: computed };
+    });
+
+    // The cancellation stands even if the payment step fails; ops retry
+    // anything left with payment_status 'failed'
+    const payment = await PaymentService.settleCancellation({
+      jobId,
+      customerId: job.customer_id,
+      driverId: job.driver_id,
+      fee: charge.fee,
+      driverCompensation: charge.driverCompensation,
+      refundAmount,
+      reason
+    }).catch(err => {
+      console.error(`Cancellation payment failed for job ${jobId}:`, err);
+      return { action: charge.fee > 0 ? 'charge' : 'refund', status: 'failed', reference: null };
+    });
+
+    await db.query(
+      'UPDATE job_cancellations SET payment_action = $2, payment_status = $3, payment_reference = $4 WHERE job_id = $1',
+      [jobId, payment.action, payment.status, payment.reference]
+    );
+
+    if (job.driver_id && !BEFORE_ASSIGNMENT.includes(previousStatus)) {
+      SocketService.emitToUser(job.driver_id, 'notification', {
+        title: 'Job cancelled',
+        body: charge.driverCompensation > 0
+          ? `The customer cancelled. You'll receive $${charge.driverCompensation.toFixed(2)} for the trip.`
+          : 'The customer cancelled this job',
+        data: { type: 'job_cancelled', jobId }
+      });
+    }
+
+    return {
+      ...job,
+      cancellation: { reason: reason || null, ...charge, payment }
+    };
+  }
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const db = require('../db');
+const JobService = require('./jobService');
+const MediaService = require('./mediaService');
+const PaymentService = require('./paymentService');
+const SettingsService = require('./settingsService');
+const { ACTIVE_STATUSES } = require('./jobStateMachine');
+const { createError } = require('../utils/errors');
+
+const RECEIPT_TYPES = ['landfill', 'recycling', 'donation'];
+// Photos are uploaded after they're taken, never before; allow for devices
+// whose clocks run a little fast
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_PIN_ATTEMPTS = 5;
+
+const getRequirements = async () => {
+  const settings = await SettingsService.getSettings();
+  return {
+    minBeforePhotos: Number(settings.completionMinBeforePhotos),
+    minAfterPhotos: Number(settings.completionMinAfterPhotos),
+    maxDistanceMeters: Number(settings.completionMaxDistanceMeters),
+    requireConfirmation: Boolean(settings.completionRequireConfirmation),
+    requireReceipts: Boolean(settings.completionRequireReceipts)
+  };
+};
+
+// JSON with sorted keys, so the hash doesn't depend on how JSONB stores it
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashEvidence = (evidence) => crypto.createHash('sha256').update(canonicalJson(evidence)).digest('hex');
+
+// When the driver set off (or, failing that, was assigned); no evidence
+// can have been captured before then
+const getWorkStartedAt = async (client, job) => {
+  const result = await client.query(
+    `SELECT MIN(created_at) AS started_at FROM job_status_history
+     WHERE job_id = $1 AND to_status = ANY($2)`,
+    [job.id, ['assigned', 'en_route']]
+  );
+  return new Date(result.rows[0].started_at || job.created_at);
+};
+
+// Claims the photos and checks their capture times against the job and
+// against when each one was uploaded
+const claimPhotos = async (client, photos, driverId, job, purpose, notBefore) => {
+  const ids = photos.map(photo => photo.assetId);
+  await MediaService.claimForJob(client, ids, driverId, job.id, purpose, 'image');
+  const result = ids.length > 0
+    ? await client.query('SELECT id, created_at FROM media_assets WHERE id = ANY($1)', [ids])
+    : { rows: [] };
+  const uploadedAt = new Map(result.rows.map(asset => [asset.id, new Date(asset.created_at)]));
+
+  return photos.map(photo => {
+    const capturedAt = new Date(photo.capturedAt);
+    if (capturedAt < notBefore || capturedAt.getTime() > uploadedAt.get(photo.assetId).getTime() + CLOCK_SKEW_MS) {
+      throw createError(400, `Photo ${photo.assetId} has a capture time outside this job`);
+    }
+    return { assetId: photo.assetId, capturedAt: capturedAt.toISOString(), uploadedAt: uploadedAt.get(photo.assetId).toISOString() };
+  });
+};
+
+const checkLocation = async (client, job, location, maxDistanceMeters) => {
+  const result = await client.query(
+    `SELECT ST_Distance(location, ST_SetSRID(ST_MakePoint($2, $3), 4326)::geography) AS meters
+     FROM jobs WHERE id = $1`,
+    [job.id, location.lng, location.lat]
+  );
+  const distanceMeters = Math.round(Number(result.rows[0].meters));
+  if (distanceMeters > maxDistanceMeters) {
+    throw createError(400, `You need to be at the pickup address to complete this job (${distanceMeters} m away)`);
+  }
+  return {
+    lat: location.lat,
+    lng: location.lng,
+    accuracyMeters: location.accuracy ?? null,
+    distanceMeters,
+    maxDistanceMeters
+  };
+};
+
+const checkConfirmation = async (client, job, driverId, confirmation) => {
+  if (confirmation.method === 'signature') {
+    await MediaService.claimForJob(client, [confirmation.signatureAssetId], driverId, job.id, 'signature', 'image');
+    return { method: 'signature', signatureAssetId: confirmation.signatureAssetId, signerName: confirmation.signerName };
+  }
+
+  const result = await client.query('SELECT * FROM job_completion_pins WHERE job_id = $1', [job.id]);
+  const stored = result.rows[0];
+  if (!stored) {
+    throw createError(400, 'Ask the customer to open the app for their confirmation PIN');
+  }
+  if (stored.failed_attempts >= MAX_PIN_ATTEMPTS) {
+    throw createError(400, 'Too many incorrect PINs; ask the customer to open the app for a new one');
+  }
+  const matches = stored.pin.length === confirmation.pin.length &&
+    crypto.timingSafeEqual(Buffer.from(stored.pin), Buffer.from(confirmation.pin));
+  if (!matches) {
+    // Counted outside the transaction, which rolls back on this error
+    await db.query('UPDATE job_completion_pins SET failed_attempts = failed_attempts + 1 WHERE job_id = $1', [job.id]);
+    throw createError(400, 'Incorrect confirmation PIN');
+  }
+  return { method: 'pin', verifiedAt: new Date().toISOString() };
+};
+
+const claimReceipts = async (client, receipts, driverId, job) => {
+  const ids = receipts.map(receipt => receipt.assetId).filter(Boolean);
+  await MediaService.claimForJob(client, ids, driverId, job.id, 'disposal_receipt');
+  return receipts.map(receipt => ({
+    type: receipt.type,
+    facilityName: receipt.facilityName,
+    assetId: receipt.assetId || null,
+    weightKg: receipt.weightKg ?? null,
+    fee: receipt.fee ?? null
+  }));
+};
+
+// Adds asset details to evidence items that reference an upload
+const withAssets = async (items) => {
+  const assets = await MediaService.describe(items.map(item => item.assetId).filter(Boolean));
+  let next = 0;
+  return items.map(item => (item.assetId ? { ...item, asset: assets[next++] } : item));
+};
+
+const toResponse = async (record) => {
+  const { evidence } = record;
+  const confirmation = evidence.confirmation && evidence.confirmation.signatureAssetId
+    ? (await withAssets([{ ...evidence.confirmation, assetId: evidence.confirmation.signatureAssetId }]))[0]
+    : evidence.confirmation;
+
+  return {
+    id: record.id,
+    jobId: record.job_id,
+    driverId: record.driver_id,
+    customerId: record.customer_id,
+    createdAt: record.created_at,
+    contentHash: record.content_hash,
+    intact: hashEvidence(evidence) === record.content_hash,
+    evidence: {
+      ...evidence,
+      beforePhotos: await withAssets(evidence.beforePhotos),
+      afterPhotos: await withAssets(evidence.afterPhotos),
+      confirmation,
+      receipts: await withAssets(evidence.receipts)
+    }
+  };
+};
+
+module.exports = {
+  RECEIPT_TYPES,
+  getRequirements,
+
+  // Shown to the customer, who reads it out when the work is done
+  getCompletionPin: async (jobId, customer) => {
+    const jobResult = await db.query('SELECT customer_id, status FROM jobs WHERE id = $1', [jobId]);
+    const job = jobResult.rows[0];
+    if (!job || job.customer_id !== customer.id) {
+      throw createError(404, 'Job not found');
+    }
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      throw createError(409, 'A confirmation PIN is only available while the job is in progress');
+    }
+
+    // A PIN locked by too many wrong guesses is replaced, so the customer
+    // asking again gives the driver a fresh one to enter
+    await db.query(
+      `INSERT INTO job_completion_pins (job_id, pin) VALUES ($1, $2)
+       ON CONFLICT (job_id) DO UPDATE SET pin = EXCLUDED.pin, failed_attempts = 0, created_at = NOW()
+       WHERE job_completion_pins.failed_attempts >= $3`,
+      [jobId, String(crypto.randomInt(0, 1000000)).padStart(6, '0'), MAX_PIN_ATTEMPTS]
+    );
+    const result = await db.query('SELECT pin FROM job_completion_pins WHERE job_id = $1', [jobId]);
+    return { jobId, pin: result.rows[0].pin };
+  },
+
+  // Completes the job and writes its completion record in one transaction.
+  // What has to be submitted is set by the completion* settings.
+  completeJob: async (jobId, driverId, {
+    beforePhotos = [], afterPhotos = [], location, confirmation, receipts = [], notes
+  }) => {
+    const requirements = await getRequirements();
+
+    if (beforePhotos.length < requirements.minBeforePhotos) {
+      throw createError(400, `At least ${requirements.minBeforePhotos} before photo(s) are required`);
+    }
+    if (afterPhotos.length < requirements.minAfterPhotos) {
+      throw createError(400, `At least ${requirements.minAfterPhotos} after photo(s) are required`);
+    }
+    if (requirements.requireConfirmation && !confirmation) {
+      throw createError(400, 'Customer confirmation (signature or PIN) is required');
+    }
+    if (requirements.requireReceipts && receipts.length === 0) {
+      throw createError(400, 'At least one disposal receipt is required');
+    }
+
+    const completedJob = await JobService.withTransaction(async (client) => {
+      const job = await JobService.lockJob(client, jobId);
+      const completed = await JobService.applyTransition(client, job, 'completed', { id: driverId, role: 'driver' }, {
+        metadata: { beforePhotos: beforePhotos.length, afterPhotos: afterPhotos.length, receipts: receipts.length }
+      });
+
+      const startedAt = new Date((await getWorkStartedAt(client, job)).getTime() - CLOCK_SKEW_MS);
+      const before = await claimPhotos(client, beforePhotos, driverId, job, 'completion_before', startedAt);
+      const lastBefore = before.reduce((latest, photo) => Math.max(latest, new Date(photo.capturedAt).getTime()), startedAt.getTime());
+      const after = await claimPhotos(client, afterPhotos, driverId, job, 'completion', new Date(lastBefore));
+
+      const evidence = {
+        beforePhotos: before,
+        afterPhotos: after,
+        location: await checkLocation(client, job, location, requirements.maxDistanceMeters),
+        confirmation: confirmation ? await checkConfirmation(client, job, driverId, confirmation) : null,
+        receipts: await claimReceipts(client, receipts, driverId, job),
+        notes: notes || null,
+        requirements,
+        completedAt: new Date().toISOString()
+      };
+
+      const record = await client.query(
+        `INSERT INTO completion_records (id, job_id, driver_id, customer_id, evidence, content_hash)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [crypto.randomUUID(), jobId, driverId, job.customer_id, JSON.stringify(evidence), hashEvidence(evidence)]
+      );
+
+      const result = await client.query(
+        `UPDATE jobs SET completion_photos = $1, completion_notes = $2, completed_at = NOW()
+         WHERE id = $3 RETURNING *`,
+        [JSON.stringify(after.map(photo => photo.assetId)), notes || null, completed.id]
+      );
+      return { ...result.rows[0], completion_record_id: record.rows[0].id };
+    });
+
+    // The driver's share of what the customer paid can go out now
+    PaymentService.releaseDriverFunds({ jobId })
+      .catch(err => console.error(`Releasing driver funds for job ${jobId} failed:`, err));
+    return completedJob;
+  },
+
+  // Visible to both parties and staff. `intact` is false if the stored
+  // evidence no longer matches its hash.
+  getCompletionRecord: async (jobId, user) => {
+    const result = await db.query('SELECT * FROM completion_records WHERE job_id = $1', [jobId]);
+    const record = result.rows[0];
+    if (!record || (record.customer_id !== user.id && record.driver_id !== user.id && !JobService.isStaff(user))) {
+      throw createError(404, 'Completion record not found');
+    }
+    return toResponse(record);
+  }
+};
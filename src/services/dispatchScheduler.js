@@ -0,0 +1,45 @@
+const Queue = require('bull');
+
+// Expires dispatch offers nobody answered. As with bidding, a periodic
+// sweep backs up the per-offer delayed jobs.
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+let queue;
+
+const getQueue = () => {
+  if (!queue) {
+    queue = new Queue('dispatch', process.env.REDIS_URL || 'redis://localhost:6379');
+  }
+  return queue;
+};
+
+const scheduleExpiry = (offerId, expiresAt) => getQueue().add(
+  'expire',
+  { offerId },
+  {
+    jobId: `expire:${offerId}`,
+    delay: Math.max(0, expiresAt.getTime() - Date.now()),
+    attempts: 3,
+    backoff: 2000,
+    removeOnComplete: true
+  }
+);
+
+const start = () => {
+  // Required here: DispatchService depends on JobService, like BiddingService
+  const DispatchService = require('./dispatchService');
+  const dispatchQueue = getQueue();
+
+  dispatchQueue.process('expire', (job) => DispatchService.expireOffer(job.data.offerId));
+  dispatchQueue.process('sweep', () => DispatchService.expireOverdue());
+  dispatchQueue.add('sweep', {}, { repeat: { every: SWEEP_INTERVAL_MS }, removeOnComplete: true });
+
+  dispatchQueue.on('failed', (job, err) => {
+    console.error(`Dispatch queue job ${job.name} ${job.id} failed:`, err);
+  });
+};
+
+module.exports = {
+  scheduleExpiry,
+  start
+};
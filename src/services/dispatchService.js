@@ -0,0 +1,281 @@
+const db = require('../db');
+const JobService = require('./jobService');
+const SocketService = require('./socketService');
+const SettingsService = require('./settingsService');
+const RatingService = require('./ratingService');
+const DispatchScheduler = require('./dispatchScheduler');
+const { ACTIVE_STATUSES } = require('./jobStateMachine');
+const { createError } = require('../utils/errors');
+
+// Auto-dispatch offers ASAP, instantly-quoted jobs to one driver at a time,
+// best match first. A driver has OFFER_TIMEOUT_SECONDS to answer before the
+// next one is tried; after MAX_OFFERS, or when nobody suitable is left, the
+// job falls back to open bidding.
+const OFFER_TIMEOUT_SECONDS = parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 45;
+const MAX_OFFERS = parseInt(process.env.DISPATCH_MAX_OFFERS) || 5;
+const SEARCH_RADIUS_MILES = parseInt(process.env.DISPATCH_RADIUS_MILES) || 15;
+const MAX_ACTIVE_JOBS = 2;
+// Drivers who haven't reported a location recently are treated as offline
+const LOCATION_MAX_AGE_MINUTES = 10;
+const METERS_PER_MILE = 1609.344;
+
+const WEIGHTS = { distance: 0.4, rating: 0.2, acceptance: 0.2, load: 0.2 };
+const DEFAULT_RATING = 4;
+const DEFAULT_ACCEPTANCE_RATE = 0.8;
+const MIN_OFFERS_FOR_ACCEPTANCE_RATE = 3;
+
+const log = (jobId, event, driverId = null, details = {}) => db.query(
+  'INSERT INTO dispatch_log (job_id, event, driver_id, details) VALUES ($1, $2, $3, $4)',
+  [jobId, event, driverId, JSON.stringify(details)]
+);
+
+const findCandidates = async (jobId) => {
+  const result = await db.query(
+    `WITH job AS (SELECT location, customer_id FROM jobs WHERE id = $1)
+     SELECT d.driver_id,
+       ST_Distance(d.location, job.location) / $2 AS distance_miles,
+       r.average_rating,
+       COALESCE(o.offers, 0) AS offers,
+       COALESCE(o.accepted, 0) AS accepted,
+       COALESCE(l.active_jobs, 0) AS active_jobs
+     FROM driver_locations d
+     CROSS JOIN job
+     JOIN users u ON u.id = d.driver_id AND u.role = 'driver' AND u.status = 'active'
+     LEFT JOIN (${RatingService.REPUTATION_SQL}) r ON r.ratee_id = d.driver_id
+     LEFT JOIN (
+       SELECT driver_id,
+         COUNT(*) FILTER (WHERE status <> 'offered')::int AS offers,
+         COUNT(*) FILTER (WHERE status = 'accepted')::int AS accepted
+       FROM dispatch_offers WHERE offered_at > NOW() - INTERVAL '30 days'
+       GROUP BY driver_id
+     ) o ON o.driver_id = d.driver_id
+     LEFT JOIN (
+       SELECT driver_id, COUNT(*)::int AS active_jobs
+       FROM jobs WHERE status = ANY($3) GROUP BY driver_id
+     ) l ON l.driver_id = d.driver_id
+     WHERE d.available
+       AND d.updated_at > NOW() - make_interval(mins => $4)
+       AND ST_DWithin(d.location, job.location, $5 * $2)
+       AND d.driver_id <> job.customer_id
+       AND COALESCE(l.active_jobs, 0) < $6
+       AND NOT EXISTS (SELECT 1 FROM dispatch_offers x WHERE x.job_id = $1 AND x.driver_id = d.driver_id)`,
+    [jobId, METERS_PER_MILE, ACTIVE_STATUSES, LOCATION_MAX_AGE_MINUTES, SEARCH_RADIUS_MILES, MAX_ACTIVE_JOBS]
+  );
+  return result.rows;
+};
+
+// Best driver first. Each factor scores 0..1: closer, better rated, more
+// likely to accept and less busy all score higher.
+const rankDrivers = (candidates) => candidates
+  .map(candidate => {
+    const factors = {
+      distance: Math.max(0, 1 - candidate.distance_miles / SEARCH_RADIUS_MILES),
+      rating: (candidate.average_rating || DEFAULT_RATING) / 5,
+      acceptance: candidate.offers >= MIN_OFFERS_FOR_ACCEPTANCE_RATE
+        ? candidate.accepted / candidate.offers
+        : DEFAULT_ACCEPTANCE_RATE,
+      load: 1 / (1 + candidate.active_jobs)
+    };
+    const score = Object.keys(WEIGHTS).reduce((sum, factor) => sum + WEIGHTS[factor] * factors[factor], 0);
+    return { ...candidate, factors, score: Math.round(score * 1000) / 1000 };
+  })
+  .sort((a, b) => b.score - a.score);
+
+const fallBackToBidding = async (jobId, reason, details = {}) => {
+  const job = await JobService.withTransaction(async (client) => {
+    const locked = await JobService.lockJob(client, jobId);
+    if (locked.status !== 'pending') {
+      return null;
+    }
+    return JobService.applyTransition(client, locked, 'bidding', JobService.SYSTEM_ACTOR, {
+      reason: 'Auto-dispatch found no driver',
+      metadata: { dispatchReason: reason }
+    });
+  });
+
+  await log(jobId, job ? 'fallback_to_bidding' : 'stopped', null, { reason, ...details });
+  if (job) {
+    SocketService.emitToUser(job.customer_id, 'notification', {
+      title: 'Finding you a driver',
+      body: 'No driver was available right away, so your job is now open for bids',
+      data: { type: 'dispatch_fallback', jobId }
+    });
+  }
+};
+
+// Offers the job to the next best driver, or gives up on dispatch
+const offerNext = async (jobId) => {
+  const jobResult = await db.query('SELECT id, status, quote_estimate, address, category, volume FROM jobs WHERE id = $1', [jobId]);
+  const job = jobResult.rows[0];
+  if (!job || job.status !== 'pending') {
+    await log(jobId, 'stopped', null, { reason: 'job_no_longer_pending', status: job && job.status });
+    return null;
+  }
+
+  const countResult = await db.query('SELECT COUNT(*)::int AS offers FROM dispatch_offers WHERE job_id = $1', [jobId]);
+  if (countResult.rows[0].offers >= MAX_OFFERS) {
+    await fallBackToBidding(jobId, 'max_offers_reached', { maxOffers: MAX_OFFERS });
+    return null;
+  }
+
+  const ranked = rankDrivers(await findCandidates(jobId));
+  if (ranked.length === 0) {
+    await fallBackToBidding(jobId, 'no_candidates', { radiusMiles: SEARCH_RADIUS_MILES });
+    return null;
+  }
+
+  const best = ranked[0];
+  const offerResult = await db.query(
+    `INSERT INTO dispatch_offers (job_id, driver_id, score, distance_miles, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+     RETURNING *`,
+    [jobId, best.driver_id, best.score, best.distance_miles, OFFER_TIMEOUT_SECONDS]
+  );
+  const offer = offerResult.rows[0];
+
+  await log(jobId, 'offered', best.driver_id, {
+    offerId: offer.id,
+    score: best.score,
+    factors: best.factors,
+    distanceMiles: Math.round(best.distance_miles * 100) / 100,
+    candidates: ranked.length
+  });
+
+  SocketService.emitToUser(best.driver_id, 'dispatch-offer', {
+    offerId: offer.id,
+    jobId,
+    address: job.address,
+    category: job.category,
+    volume: job.volume,
+    price: job.quote_estimate,
+    distanceMiles: Math.round(best.distance_miles * 10) / 10,
+    expiresAt: offer.expires_at
+  });
+
+  DispatchScheduler.scheduleExpiry(offer.id, new Date(offer.expires_at))
+    .catch(err => console.error(`Failed to schedule expiry for dispatch offer ${offer.id}:`, err));
+
+  return offer;
+};
+
+module.exports = {
+  rankDrivers,
+
+  // Starts dispatch for a newly created job when it qualifies. Never throws:
+  // the job has already been created and can still be picked up by hand.
+  dispatchIfEnabled: async (job) => {
+    try {
+      if (job.service_type !== 'asap' || job.pricing_preference !== 'ai' || job.status !== 'pending') {
+        return false;
+      }
+      if (!(await SettingsService.getSetting('autoDispatchEnabled'))) {
+        return false;
+      }
+
+      await log(job.id, 'started');
+      await offerNext(job.id);
+      return true;
+    } catch (err) {
+      console.error(`Auto-dispatch failed for job ${job.id}:`, err);
+      return false;
+    }
+  },
+
+  respondToOffer: async (offerId, driverId, accept) => {
+    const result = await JobService.withTransaction(async (client) => {
+      const offerResult = await client.query(
+        'SELECT * FROM dispatch_offers WHERE id = $1 AND driver_id = $2 FOR UPDATE',
+        [offerId, driverId]
+      );
+      const offer = offerResult.rows[0];
+      if (!offer) {
+        throw createError(404, 'Offer not found');
+      }
+      if (offer.status !== 'offered' || new Date(offer.expires_at) <= new Date()) {
+        throw createError(409, 'This offer is no longer available');
+      }
+
+      if (!accept) {
+        await client.query(
+          "UPDATE dispatch_offers SET status = 'declined', responded_at = NOW() WHERE id = $1",
+          [offerId]
+        );
+        return { offer, job: null };
+      }
+
+      const job = await JobService.lockJob(client, offer.job_id);
+      if (job.status !== 'pending') {
+        throw createError(409, 'This job has already been taken');
+      }
+
+      await JobService.applyTransition(client, job, 'assigned', { id: driverId, role: 'driver' }, {
+        driverId,
+        metadata: { dispatchOfferId: offer.id }
+      });
+      const assigned = await client.query(
+        'UPDATE jobs SET final_price = quote_estimate WHERE id = $1 RETURNING *',
+        [job.id]
+      );
+      await client.query(
+        "UPDATE dispatch_offers SET status = 'accepted', responded_at = NOW() WHERE id = $1",
+        [offerId]
+      );
+      return { offer, job: assigned.rows[0] };
+    });
+
+    const { offer, job } = result;
+    await log(offer.job_id, accept ? 'accepted' : 'declined', driverId, { offerId: offer.id });
+
+    if (!accept) {
+      await offerNext(offer.job_id);
+      return { offerId: offer.id, status: 'declined' };
+    }
+
+    SocketService.emitToUser(job.customer_id, 'notification', {
+      title: 'Driver assigned',
+      body: 'A driver has accepted your job',
+      data: { type: 'job_update', jobId: job.id, status: job.status }
+    });
+    return job;
+  },
+
+  // Moves on to the next driver once an offer times out
+  expireOffer: async (offerId) => {
+    const result = await db.query(
+      `UPDATE dispatch_offers SET status = 'expired', responded_at = NOW()
+       WHERE id = $1 AND status = 'offered' AND expires_at <= NOW()
+       RETURNING id, job_id, driver_id`,
+      [offerId]
+    );
+    const offer = result.rows[0];
+    if (!offer) {
+      return null;
+    }
+
+    await log(offer.job_id, 'expired', offer.driver_id, { offerId: offer.id, timeoutSeconds: OFFER_TIMEOUT_SECONDS });
+    SocketService.emitToUser(offer.driver_id, 'dispatch-offer-expired', { offerId: offer.id, jobId: offer.job_id });
+    return offerNext(offer.job_id);
+  },
+
+  expireOverdue: async () => {
+    const result = await db.query(
+      "SELECT id FROM dispatch_offers WHERE status = 'offered' AND expires_at <= NOW()"
+    );
+    for (const { id } of result.rows) {
+      await module.exports.expireOffer(id);
+    }
+    return result.rows.length;
+  },
+
+  getDispatchLog: async (jobId) => {
+    const result = await db.query(
+      `SELECT l.id, l.event, l.driver_id, u.name AS driver_name, l.details, l.created_at
+       FROM dispatch_log l
+       LEFT JOIN users u ON u.id = l.driver_id
+       WHERE l.job_id = $1
+       ORDER BY l.created_at, l.id`,
+      [jobId]
+    );
+    return result.rows;
+  }
+};
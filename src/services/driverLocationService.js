@@ -0,0 +1,25 @@
+const db = require('../db');
+
+module.exports = {
+  // Latest position reported by a driver's app. `available` is left as is
+  // when not given.
+  updatePresence: async (driverId, { lat, lng, available }) => {
+    const result = await db.query(
+      `INSERT INTO driver_locations (driver_id, lat, lng, available, updated_at)
+       VALUES ($1, $2, $3, COALESCE($4, FALSE), NOW())
+       ON CONFLICT (driver_id) DO UPDATE SET
+         lat = EXCLUDED.lat, lng = EXCLUDED.lng,
+         available = COALESCE($4, driver_locations.available), updated_at = NOW()
+       RETURNING driver_id, lat, lng, available, updated_at`,
+      [driverId, lat, lng, available ?? null]
+    );
+    return result.rows[0];
+  },
+
+  setAvailable: async (driverId, available) => {
+    await db.query(
+      'UPDATE driver_locations SET available = $2, updated_at = NOW() WHERE driver_id = $1',
+      [driverId, available]
+    );
+  }
+};
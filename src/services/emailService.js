@@ -0,0 +1,109 @@
+const nodemailer = require('nodemailer');
+
+let transport;
+
+// Build the default SMTP transport from env. Point SMTP_HOST/SMTP_PORT at a
+// local sink (e.g. MailHog on 1025) in development and tests.
+const createDefaultTransport = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'localhost',
+  port: parseInt(process.env.SMTP_PORT) || 1025,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    : undefined
+});
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+// Swap the mail transport (anything with a nodemailer-style sendMail()).
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().sendMail({
+    from: process.env.EMAIL_FROM || 'Chunk <no-reply@chunk.app>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+const sendPasswordResetEmail = async (to, { name, resetUrl, expiresInMinutes }) => {
+  return sendMail({
+    to,
+    subject: 'Reset your Chunk password',
+    text: [
+      `Hi ${name || 'there'},`,
+      '',
+      'We received a request to reset your Chunk password. Use the link below to choose a new one:',
+      resetUrl,
+      '',
+      `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request a reset, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+const sendAdminInvitationEmail = async (to, { name, role, inviteUrl, expiresInHours }) => {
+  return sendMail({
+    to,
+    subject: 'You have been invited to the Chunk admin console',
+    text: [
+      `Hi ${name},`,
+      '',
+      `You have been invited to join the Chunk admin console as ${role.replace('_', ' ')}.`,
+      'Use the link below to set your password and activate your account:',
+      inviteUrl,
+      '',
+      `This invitation expires in ${expiresInHours} hours.`
+    ].join('\n')
+  });
+};
+
+const sendNewDeviceLoginEmail = async (to, { name, ip, userAgent, time }) => {
+  return sendMail({
+    to,
+    subject: 'New sign-in to your Chunk account',
+    text: [
+      `Hi ${name || 'there'},`,
+      '',
+      'Your Chunk account was just signed in to from a device we have not seen before:',
+      `Time: ${time.toISOString()}`,
+      `IP address: ${ip || 'unknown'}`,
+      `Device: ${userAgent || 'unknown'}`,
+      '',
+      'If this was you, no action is needed. If not, reset your password right away.'
+    ].join('\n')
+  });
+};
+
+const sendEmailVerificationEmail = async (to, { name, verifyUrl, expiresInHours }) => {
+  return sendMail({
+    to,
+    subject: 'Confirm your Chunk email address',
+    text: [
+      `Hi ${name || 'there'},`,
+      '',
+      'Thanks for signing up for Chunk. Please confirm your email address:',
+      verifyUrl,
+      '',
+      `This link expires in ${expiresInHours} hours.`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  setTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendAdminInvitationEmail,
+  sendNewDeviceLoginEmail,
+  sendEmailVerificationEmail
+};
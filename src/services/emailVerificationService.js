@@ -0,0 +1,87 @@
+const db = require('../db');
+const EmailService = require('./emailService');
+const TokenService = require('./tokenService');
+const { createError } = require('../utils/errors');
+
+const LINK_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const RESEND_COOLDOWN_SECONDS = 120;
+
+// Actions refused until the address is verified, e.g. "jobs:create,bids:place".
+// Set to an empty string to allow everything.
+const GATED_ACTIONS = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? 'jobs:create,bids:place')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+const sendLink = async (user) => {
+  // Bound to the address so the link dies if the email changes
+  const token = TokenService.signToken(
+    { id: user.id, email: user.email, purpose: 'email_verify' },
+    { expiresIn: `${LINK_TTL_HOURS}h` }
+  );
+
+  await db.query('UPDATE users SET email_verification_sent_at = NOW() WHERE id = $1', [user.id]);
+  await EmailService.sendEmailVerificationEmail(user.email, {
+    name: user.name,
+    verifyUrl: `${process.env.FRONTEND_URL || 'http://localhost:4200'}/verify-email?token=${token}`,
+    expiresInHours: LINK_TTL_HOURS
+  });
+};
+
+module.exports = {
+  GATED_ACTIONS,
+
+  sendVerificationEmail: sendLink,
+
+  resend: async (userId) => {
+    const result = await db.query(
+      `SELECT id, name, email, email_verified_at,
+         email_verification_sent_at > NOW() - make_interval(secs => $2) AS throttled
+       FROM users WHERE id = $1`,
+      [userId, RESEND_COOLDOWN_SECONDS]
+    );
+    const user = result.rows[0];
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+    if (user.email_verified_at) {
+      throw createError(409, 'Email is already verified');
+    }
+    if (user.throttled) {
+      throw createError(429, `Please wait ${RESEND_COOLDOWN_SECONDS / 60} minutes before requesting another email`);
+    }
+
+    await sendLink(user);
+  },
+
+  // Marks the address verified and activates pending accounts
+  verify: async (token) => {
+    const claims = TokenService.verifyToken(token);
+    if (!claims || claims.purpose !== 'email_verify') {
+      throw createError(400, 'Invalid or expired verification link');
+    }
+
+    const result = await db.query(
+      `UPDATE users SET
+         email_verified_at = COALESCE(email_verified_at, NOW()),
+         status = CASE WHEN status = 'pending' THEN 'active' ELSE status END
+       WHERE id = $1 AND email = $2
+       RETURNING id, email, status, email_verified_at`,
+      [claims.id, claims.email]
+    );
+    if (!result.rows[0]) {
+      throw createError(400, 'Invalid or expired verification link');
+    }
+    return result.rows[0];
+  },
+
+  // Whether the verification policy lets this user perform `action`
+  isActionAllowed: async (userId, action) => {
+    if (!GATED_ACTIONS.includes(action)) {
+      return true;
+    }
+
+    const result = await db.query('SELECT email_verified_at FROM users WHERE id = $1', [userId]);
+    return Boolean(result.rows[0] && result.rows[0].email_verified_at);
+  }
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+
+let geocoder;
+
+// Default geocoder calls the Google Maps Geocoding API
+const createGoogleGeocoder = () => ({
+  geocode: async (address) => {
+    const url = new URL('https://maps.googleapis.com/maps/api/geocode/json');
+    url.searchParams.set('address', address);
+    url.searchParams.set('key', process.env.GOOGLE_MAPS_API_KEY);
+
+    const response = await fetch(url);
+    const body = await response.json();
+    if (body.status === 'ZERO_RESULTS') {
+      return null;
+    }
+    if (body.status !== 'OK') {
+      throw new Error(`Geocoding failed: ${body.status} ${body.error_message || ''}`.trim());
+    }
+
+    const { location } = body.results[0].geometry;
+    return { lat: location.lat, lng: location.lng };
+  }
+});
+
+// Resolves addresses from a fixed { address: { lat, lng } } map, matched
+// case-insensitively. Used for tests and offline development.
+const createFixtureGeocoder = (fixtures = {}) => {
+  const byAddress = new Map(
+    Object.entries(fixtures).map(([address, point]) => [address.trim().toLowerCase(), point])
+  );
+
+  return {
+    geocode: async (address) => byAddress.get(address.trim().toLowerCase()) || null
+  };
+};
+
+// GEOCODER=fixture reads its addresses from the JSON file at GEOCODER_FIXTURES
+const createDefaultGeocoder = () => {
+  if (process.env.GEOCODER === 'fixture') {
+    const fixtures = process.env.GEOCODER_FIXTURES
+      ? JSON.parse(fs.readFileSync(process.env.GEOCODER_FIXTURES, 'utf8'))
+      : {};
+    return createFixtureGeocoder(fixtures);
+  }
+  return createGoogleGeocoder();
+};
+
+const getGeocoder = () => {
+  if (!geocoder) {
+    geocoder = createDefaultGeocoder();
+  }
+  return geocoder;
+};
+
+// Swap the geocoder (anything with an async geocode(address) resolving to
+// { lat, lng } or null when the address can't be found)
+const setGeocoder = (customGeocoder) => {
+  geocoder = customGeocoder;
+};
+
+const geocode = async (address) => getGeocoder().geocode(address);
+
+module.exports = {
+  createFixtureGeocoder,
+  setGeocoder,
+  geocode
+};
@@ -0,0 +1,59 @@
+const { ITEM_TYPES, RESTRICTED_KEYWORDS } = require('../config/itemTypes');
+const { createError } = require('../utils/errors');
+
+// Items over this weight need two people or a dolly
+const HEAVY_ITEM_KG = 90;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  HEAVY_ITEM_KG,
+
+  // The catalogue as clients show it
+  getCatalogue: () => Object.entries(ITEM_TYPES).map(([type, item]) => ({
+    type,
+    label: item.label,
+    handling: item.handling,
+    surcharge: item.surcharge || 0,
+    note: item.note || null
+  })),
+
+  // Validates a job's item list against the catalogue. Restricted items are
+  // rejected with a 400 naming each one; everything else comes back with its
+  // handling and per-line surcharge filled in.
+  screenItems: (items = []) => {
+    const restricted = items.filter(item => ITEM_TYPES[item.type].handling === 'restricted');
+    if (restricted.length > 0) {
+      const names = restricted.map(item => `${ITEM_TYPES[item.type].label} (${ITEM_TYPES[item.type].note})`);
+      throw createError(400, `We can't haul: ${names.join(', ')}. Please remove these items.`);
+    }
+
+    const screened = items.map(item => {
+      const entry = ITEM_TYPES[item.type];
+      const quantity = item.quantity || 1;
+      return {
+        type: item.type,
+        label: entry.label,
+        quantity,
+        size: item.size || null,
+        weightKg: item.weightKg ?? null,
+        notes: item.notes || null,
+        handling: entry.handling,
+        surcharge: round((entry.surcharge || 0) * quantity),
+        heavy: item.weightKg != null && item.weightKg > HEAVY_ITEM_KG,
+        handlingNote: entry.note || null
+      };
+    });
+
+    return {
+      items: screened,
+      surcharge: round(screened.reduce((sum, item) => sum + item.surcharge, 0))
+    };
+  },
+
+  // Restricted items the description seems to mention, for the driver to
+  // check on arrival
+  screenDescription: (description = '') => RESTRICTED_KEYWORDS
+    .filter(({ pattern }) => pattern.test(description))
+    .map(({ type }) => ({ type, label: ITEM_TYPES[type].label, note: ITEM_TYPES[type].note }))
+};
@@ -1,21 +1,242 @@
 const db = require('../config/db'); // assuming you have a DB config
 const { v4: uuidv4 } = require('uuid');
+const JobStateMachine = require('./jobStateMachine');
+const GeocodingService = require('./geocodingService');
+const PricingService = require('./pricingService');
+const InventoryService = require('./inventoryService');
+const SettingsService = require('./settingsService');
+const BiddingScheduler = require('./biddingScheduler');
+const MediaService = require('./mediaService');
+const SlotService = require('./slotService');
+const RouteScheduler = require('./routeScheduler');
+const { createError } = require('../utils/errors');
+const { paginationMeta, offsetFor } = require('../utils/pagination');
+
+const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+// Jobs a driver can still pick up or bid on
+const OPEN_STATUSES = ['pending', 'bidding'];
+
+const METERS_PER_MILE = 1609.344;
+
+// Request fields customers may edit, by column. Before a driver is assigned
+// anything goes; afterwards only the contact details and instructions.
+const EDITABLE_FIELDS = {
+  address: 'address',
+  description: 'description',
+  category: 'category',
+  volume: 'volume',
+  instructions: 'instructions',
+  phone: 'phone',
+  contactMethod: 'contact_method',
+  items: 'items'
+};
+const EDITABLE_AFTER_ASSIGNMENT = ['instructions', 'phone', 'contactMethod'];
+const UNASSIGNED_STATUSES = ['pending', 'bidding', 'reviewing_bids'];
+const ASSIGNED_STATUSES = ['assigned', 'en_route', 'arrived'];
+// Item lists are compared by what the customer entered; the rest of each
+// entry is derived from the catalogue
+const ITEM_KEYS = ['type', 'quantity', 'size', 'weightKg', 'notes'];
+const sameItems = (a, b) => a.length === b.length &&
+  a.every((item, i) => ITEM_KEYS.every(key => item[key] === b[i][key]));
+
+// Changes that make existing bids and quotes meaningless
+const MATERIAL_FIELDS = ['address', 'category', 'volume', 'items'];
+
+const withTransaction = async (fn) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const recordStatusChange = (client, jobId, from, to, actor, { reason, metadata } = {}) => client.query(
+  `INSERT INTO job_status_history (job_id, from_status, to_status, changed_by, changed_by_role, reason, metadata)
+   VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+  [jobId, from, to, actor.id, actor.role, reason || null, JSON.stringify(metadata || {})]
+);
+
+const recordChange = (client, jobId, actor, changeType, changes, reason) => client.query(
+  `INSERT INTO job_changes (job_id, changed_by, change_type, changes, reason)
+   VALUES ($1, $2, $3, $4, $5)`,
+  [jobId, actor.id, changeType, JSON.stringify(changes), reason || null]
+);
+
+const lockJob = async (client, jobId) => {
+  const result = await client.query('SELECT * FROM jobs WHERE id = $1 FOR UPDATE', [jobId]);
+  if (!result.rows[0]) {
+    throw createError(404, 'Job not found');
+  }
+  return result.rows[0];
+};
+
+// The only place job status is written. Validates the move against the state
+// machine and records it in job_status_history. `job` must already be locked
+// by the caller's transaction.
+const applyTransition = async (client, job, to, actor, { reason, metadata, driverId } = {}) => {
+  JobStateMachine.assertTransition(job, to, actor, { driverId });
+
+  // Every bidding window runs for maxBidDuration minutes from when it opens
+  let biddingClosesAt = null;
+  if (to === 'bidding') {
+    const minutes = Number(await SettingsService.getSetting('maxBidDuration'));
+    biddingClosesAt = new Date(Date.now() + minutes * 60 * 1000);
+  }
+
+  // A dispute points at the evidence the driver submitted on completion
+  if (to === 'disputed') {
+    const record = await client.query('SELECT id, content_hash FROM completion_records WHERE job_id = $1', [job.id]);
+    if (record.rows[0]) {
+      metadata = { ...metadata, completionRecordId: record.rows[0].id, completionRecordHash: record.rows[0].content_hash };
+    }
+  }
+
+  const result = await client.query(
+    `UPDATE jobs SET status = $1, driver_id = COALESCE($2, driver_id),
+       bidding_closes_at = COALESCE($4, bidding_closes_at), updated_at = NOW()
+     WHERE id = $3 RETURNING *`,
+    [to, driverId || null, job.id, biddingClosesAt]
+  );
+  await recordStatusChange(client, job.id, job.status, to, actor, { reason, metadata });
+
+  // Not awaited: the scheduler's sweep closes the window even if this fails
+  // or the transaction rolls back first
+  if (biddingClosesAt) {
+    BiddingScheduler.scheduleClose(job.id, biddingClosesAt)
+      .catch(err => console.error(`Failed to schedule bidding close for job ${job.id}:`, err));
+  }
+  if (['assigned', 'cancelled'].includes(to)) {
+    replanRoutes(result.rows[0], [job.driver_id, result.rows[0].driver_id]);
+  }
+
+  return result.rows[0];
+};
+
+// Queues a recompute of the day route each driver has this job on. Not
+// awaited, like scheduleClose: stored routes are also recomputed on read
+// once their jobs no longer match.
+const replanRoutes = (job, driverIds) => {
+  const date = SlotService.localDate(job.scheduled_date ? new Date(job.scheduled_date) : new Date());
+  for (const driverId of new Set(driverIds.filter(Boolean))) {
+    RouteScheduler.scheduleRecompute(driverId, date)
+      .catch(err => console.error(`Failed to schedule route recompute for driver ${driverId}:`, err));
+  }
+};
+
+const isStaff = (user) => JobStateMachine.STAFF_ROLES.includes(user.role);
+
+const isBiddingOpen = (job) =>
+  job.status === 'bidding' && (!job.bidding_closes_at || new Date(job.bidding_closes_at) > new Date());
+
+// Disposal fees for listed items are paid by the driver, so bids must
+// cover them
+const checkBidCoversItems = (job, amount) => {
+  if (amount != null && Number(amount) < Number(job.items_surcharge)) {
+    throw createError(400, `Your bid must cover the $${job.items_surcharge} in disposal fees for the listed items`);
+  }
+};
+
+// Returns the driver's pending bid and the locked job
+const lockOwnBid = async (client, jobId, driverId) => {
+  const job = await lockJob(client, jobId);
+  if (!isBiddingOpen(job)) {
+    throw createError(409, 'Bidding on this job has closed');
+  }
+
+  const result = await client.query(
+    'SELECT * FROM bids WHERE job_id = $1 AND driver_id = $2 FOR UPDATE',
+    [jobId, driverId]
+  );
+  const bid = result.rows[0];
+  if (!bid || bid.status !== 'pending') {
+    throw createError(404, 'You have no open bid on this job');
+  }
+  return { job, bid };
+};
+
+// Paged job list for the given WHERE fragments; `status` may be a list
+// filter such as "active"
+const listJobs = async (conditions, params, { status, page, limit }) => {
+  const where = [...conditions];
+  const values = [...params];
+  if (status) {
+    values.push(JobStateMachine.statusesForFilter(status));
+    where.push(`status = ANY($${values.length})`);
+  }
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const [rows, count] = await Promise.all([
+    db.query(
+      `SELECT * FROM jobs ${whereSql} ORDER BY created_at DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offsetFor(page, limit)]
+    ),
+    db.query(`SELECT COUNT(*) FROM jobs ${whereSql}`, values)
+  ]);
+
+  return {
+    jobs: rows.rows,
+    pagination: paginationMeta(page, limit, parseInt(count.rows[0].count))
+  };
+};
 
 module.exports = {
+  SYSTEM_ACTOR,
+  isStaff,
+  withTransaction,
+  lockJob,
+  applyTransition,
+
+  // Instant quote for a job that hasn't been created yet
+  getQuote: async ({ address, category, volume, description, items, serviceType }) => {
+    const location = address ? await GeocodingService.geocode(address) : null;
+    return PricingService.quote({ category, volume, description, items, serviceType, location });
+  },
+
   createJob: async (jobData) => {
+    // Rejects restricted items before anything else is looked up
+    const screening = InventoryService.screenItems(jobData.items);
+
+    // Jobs without coordinates would never show up in driver searches
+    const point = await GeocodingService.geocode(jobData.address);
+    if (!point) {
+      throw createError(400, 'We could not find that address');
+    }
+
+    let quote = null;
+    if (jobData.pricingPreference === 'ai') {
+      if (!(await SettingsService.getSetting('aiPricingEnabled'))) {
+        throw createError(400, 'Instant pricing is currently unavailable; please choose bidding');
+      }
+      quote = await PricingService.quote({ ...jobData, items: screening.items, location: point });
+    }
+
     const jobId = uuidv4();
     const query = `
     INSERT INTO jobs (
       id, customer_id, address, phone, contact_method,
       description, category, volume, service_type,
       pricing_preference, media_files, scheduled_date,
-      instructions, status, created_at
+      instructions, status, lat, lng,
+      quote_estimate, quote_low, quote_high, quote_breakdown, pricing_model_version,
+      recurring_schedule_id, preferred_driver_id,
+      items, items_surcharge, screening_flags, created_at
     )
     VALUES (
       $1, $2, $3, $4, $5,
       $6, $7, $8, $9,
       $10, $11, $12,
-      $13, $14, NOW()
+      $13, $14, $15, $16,
+      $17, $18, $19, $20, $21,
+      $22, $23,
+      $24, $25, $26, NOW()
     )
     RETURNING *;
   `;
@@ -31,36 +252,466 @@ module.exports = {
       jobData.volume,
       jobData.serviceType,
       jobData.pricingPreference,
-      JSON.stringify(jobData.mediaFiles || []),
+      JSON.stringify(jobData.mediaAssetIds || []),
       jobData.scheduledDate || null,
       jobData.instructions || null,
-      'pending'
+      'pending',
+      point.lat,
+      point.lng,
+      quote && quote.estimate,
+      quote && quote.low,
+      quote && quote.high,
+      quote && JSON.stringify(quote.breakdown),
+      quote && quote.modelVersion,
+      jobData.recurringScheduleId || null,
+      jobData.preferredDriverId || null,
+      JSON.stringify(screening.items),
+      screening.surcharge,
+      JSON.stringify(InventoryService.screenDescription(jobData.description))
     ];
 
-    const result = await db.query(query, values);
+    return withTransaction(async (client) => {
+      const result = await client.query(query, values);
+      let job = result.rows[0];
+      await MediaService.claimForJob(client, jobData.mediaAssetIds || [], jobData.customerId, jobId, 'job');
+      // Scheduled jobs booked by customers take the slot they held
+      if (jobData.slotHoldId) {
+        job = await SlotService.claimHold(client, jobData.slotHoldId, jobData.customerId, jobId);
+      }
+      await recordStatusChange(client, jobId, null, 'pending', { id: jobData.customerId, role: 'customer' });
+
+      // Bidding jobs open for bids straight away
+      if (job.pricing_preference === 'bidding') {
+        return applyTransition(client, job, 'bidding', SYSTEM_ACTOR);
+      }
+      return job;
+    });
+  },
+
+  getCustomerJobs: async ({ customerId, status, page, limit }) => {
+    return listJobs(['customer_id = $1'], [customerId], { status, page, limit });
+  },
+
+  getDriverJobs: async ({ driverId, status, page, limit }) => {
+    return listJobs(['driver_id = $1'], [driverId], { status, page, limit });
+  },
+
+  getAllJobs: async ({ status, page, limit }) => {
+    return listJobs([], [], { status, page, limit });
+  },
+
+  // Customers see their own jobs, drivers the jobs assigned to them or still
+  // open for work, staff everything. Anything else is reported as not found.
+  getJobById: async (jobId, user) => {
+    const result = await db.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+    const job = result.rows[0];
+    if (!job) {
+      throw createError(404, 'Job not found');
+    }
+
+    const staff = isStaff(user);
+    const isOwner = job.customer_id === user.id;
+    const isAssignedDriver = job.driver_id === user.id;
+    const isOpenToDriver = user.role === 'driver' && OPEN_STATUSES.includes(job.status);
+    if (!staff && !isOwner && !isAssignedDriver && !isOpenToDriver) {
+      throw createError(404, 'Job not found');
+    }
+
+    // Drivers only ever see their own bid
+    const bids = staff || isOwner
+      ? await db.query('SELECT * FROM bids WHERE job_id = $1 ORDER BY amount, submitted_at', [jobId])
+      : await db.query('SELECT * FROM bids WHERE job_id = $1 AND driver_id = $2', [jobId, user.id]);
+
+    return {
+      ...job,
+      media_files: await MediaService.describe(job.media_files),
+      completion_photos: await MediaService.describe(job.completion_photos),
+      bids: bids.rows
+    };
+  },
+
+  // Open jobs within `radius` miles of the driver, nearest first
+  getAvailableJobsForDriver: async ({ driverId, lat, lng, radius, category, volume }) => {
+    const result = await db.query(
+      `SELECT j.*,
+         ROUND((ST_Distance(j.location, origin.point) / $4)::numeric, 2)::float AS distance_miles,
+         EXISTS (
+           SELECT 1 FROM bids b WHERE b.job_id = j.id AND b.driver_id = $5
+         ) AS has_bid
+       FROM jobs j,
+         (SELECT ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography AS point) origin
+       WHERE j.status = ANY($6)
+         AND j.customer_id <> $5
+         AND ST_DWithin(j.location, origin.point, $3 * $4)
+         AND ($7::varchar IS NULL OR j.category = $7)
+         AND ($8::varchar IS NULL OR j.volume = $8)
+       ORDER BY distance_miles, j.created_at DESC`,
+      [lat, lng, radius, METERS_PER_MILE, driverId, OPEN_STATUSES, category || null, volume || null]
+    );
+    return result.rows.map(({ location, ...job }) => job);
+  },
+
+  canDriverBid: async (jobId, driverId) => {
+    const result = await db.query(
+      'SELECT status, customer_id, bidding_closes_at FROM jobs WHERE id = $1',
+      [jobId]
+    );
+    const job = result.rows[0];
+    return Boolean(job && isBiddingOpen(job) && job.customer_id !== driverId);
+  },
+
+  // One bid per driver per job. A withdrawn bid can be placed again.
+  placeBid: async ({ jobId, driverId, amount, eta, notes }) => {
+    return withTransaction(async (client) => {
+      const job = await lockJob(client, jobId);
+      if (!isBiddingOpen(job)) {
+        throw createError(409, 'This job is not open for bids');
+      }
+      if (job.customer_id === driverId) {
+        throw createError(409, 'You cannot bid on your own job');
+      }
+      checkBidCoversItems(job, amount);
+
+      const result = await client.query(
+        `INSERT INTO bids (job_id, driver_id, amount, eta, notes, status, submitted_at)
+         VALUES ($1, $2, $3, $4, $5, 'pending', NOW())
+         ON CONFLICT (job_id, driver_id) DO UPDATE SET
+           amount = EXCLUDED.amount, eta = EXCLUDED.eta, notes = EXCLUDED.notes,
+           status = 'pending', submitted_at = NOW(), updated_at = NOW()
+         WHERE bids.status = 'withdrawn'
+         RETURNING *`,
+        [jobId, driverId, amount, eta || null, notes || null]
+      );
+      if (!result.rows[0]) {
+        throw createError(409, 'You have already bid on this job; edit your existing bid instead');
+      }
+      return result.rows[0];
+    });
+  },
+
+  updateBid: async ({ jobId, driverId, amount, eta, notes }) => {
+    return withTransaction(async (client) => {
+      const { job, bid } = await lockOwnBid(client, jobId, driverId);
+      checkBidCoversItems(job, amount);
+      const result = await client.query(
+        `UPDATE bids SET amount = COALESCE($1, amount), eta = COALESCE($2, eta),
+           notes = COALESCE($3, notes), updated_at = NOW()
+         WHERE id = $4 RETURNING *`,
+        [amount ?? null, eta || null, notes ?? null, bid.id]
+      );
+      return result.rows[0];
+    });
+  },
+
+  withdrawBid: async (jobId, driverId) => {
+    return withTransaction(async (client) => {
+      const { bid } = await lockOwnBid(client, jobId, driverId);
+      const result = await client.query(
+        "UPDATE bids SET status = 'withdrawn', updated_at = NOW() WHERE id = $1 RETURNING *",
+        [bid.id]
+      );
+      return result.rows[0];
+    });
+  },
+
+  // Marks the winning bid, rejects the rest and assigns the driver in one
+  // transaction, so a job can never end up with two accepted bids
+  acceptBid: async (jobId, bidId, customerId) => {
+    return withTransaction(async (client) => {
+      const job = await lockJob(client, jobId);
+      if (job.customer_id !== customerId) {
+        throw createError(404, 'Job not found');
+      }
+
+      const bidResult = await client.query(
+        'SELECT * FROM bids WHERE id = $1 AND job_id = $2 FOR UPDATE',
+        [bidId, jobId]
+      );
+      const bid = bidResult.rows[0];
+      if (!bid) {
+        throw createError(404, 'Bid not found');
+      }
+      if (bid.status !== 'pending') {
+        throw createError(409, `Bid is already ${bid.status}`);
+      }
+
+      const assigned = await applyTransition(client, job, 'assigned', { id: customerId, role: 'customer' }, {
+        driverId: bid.driver_id,
+        metadata: { bidId }
+      });
+
+      await client.query(
+        "UPDATE bids SET status = 'accepted', updated_at = NOW() WHERE id = $1",
+        [bidId]
+      );
+      const rejected = await client.query(
+        `UPDATE bids SET status = 'rejected', updated_at = NOW()
+         WHERE job_id = $1 AND id <> $2 AND status = 'pending'
+         RETURNING id, driver_id`,
+        [jobId, bidId]
+      );
+      const priced = await client.query(
+        'UPDATE jobs SET final_price = $1, accepted_bid_id = $2 WHERE id = $3 RETURNING *',
+        [bid.amount, bidId, jobId]
+      );
+
+      return {
+        ...assigned,
+        ...priced.rows[0],
+        acceptedBid: { ...bid, status: 'accepted' },
+        rejectedBids: rejected.rows
+      };
+    });
+  },
+
+  // Drivers take AI-priced jobs directly; bidding jobs go through acceptBid
+  // `driver` is the calling user; the state machine checks their role
+  acceptJob: async (jobId, driver) => {
+    return withTransaction(async (client) => {
+      const job = await lockJob(client, jobId);
+      if (job.pricing_preference !== 'ai') {
+        throw createError(409, 'This job is priced by bidding; place a bid instead');
+      }
+      if (job.customer_id === driver.id) {
+        throw createError(409, 'You cannot accept your own job');
+      }
+
+      await applyTransition(client, job, 'assigned', driver, { driverId: driver.id });
+
+      // The customer agreed to the instant quote when creating the job
+      const result = await client.query(
+        'UPDATE jobs SET final_price = quote_estimate WHERE id = $1 RETURNING *',
+        [jobId]
+      );
+      return result.rows[0];
+    });
+  },
+
+  verifyDriverJobAccess: async (jobId, driverId) => {
+    const result = await db.query(
+      'SELECT 1 FROM jobs WHERE id = $1 AND driver_id = $2 AND status = ANY($3)',
+      [jobId, driverId, JobStateMachine.ACTIVE_STATUSES]
+    );
+    return result.rows.length > 0;
+  },
+
+  updateDriverLocation: async (jobId, driverId, { lat, lng }) => {
+    const result = await db.query(
+      `UPDATE jobs SET driver_lat = $1, driver_lng = $2, driver_location_at = NOW()
+       WHERE id = $3 AND driver_id = $4 AND status = ANY($5)
+       RETURNING id, driver_lat, driver_lng, driver_location_at`,
+      [lat, lng, jobId, driverId, JobStateMachine.ACTIVE_STATUSES]
+    );
+    if (!result.rows[0]) {
+      throw createError(404, 'No active job found for this driver');
+    }
     return result.rows[0];
   },
 
-  getAvailableJobs: async () => {
-    const result = await db.query('SELECT * FROM jobs WHERE status = $1', ['pending']);
+  getJobCustomerId: async (jobId) => {
+    const result = await db.query('SELECT customer_id FROM jobs WHERE id = $1', [jobId]);
+    return result.rows[0] ? result.rows[0].customer_id : null;
+  },
+
+  // Staff hand a job to another driver. Jobs not yet started keep or gain
+  // the `assigned` status; the history row records who had it before.
+  reassignJob: async (jobId, driverId, actor, { reason } = {}) => {
+    const driverResult = await db.query(
+      "SELECT id FROM users WHERE id = $1 AND role = 'driver' AND status = 'active'",
+      [driverId]
+    );
+    if (!driverResult.rows[0]) {
+      throw createError(404, 'Driver not found');
+    }
+
+    return withTransaction(async (client) => {
+      const job = await lockJob(client, jobId);
+      const metadata = { previousDriverId: job.driver_id, reassigned: true };
+
+      if (job.status !== 'assigned') {
+        return applyTransition(client, job, 'assigned', actor, { driverId, reason, metadata });
+      }
+
+      const result = await client.query(
+        'UPDATE jobs SET driver_id = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [driverId, jobId]
+      );
+      await recordStatusChange(client, jobId, 'assigned', 'assigned', actor, { reason, metadata });
+      replanRoutes(result.rows[0], [job.driver_id, driverId]);
+      return result.rows[0];
+    });
+  },
+
+  // Applies a customer's edits. Material changes (address, category,
+  // volume, items) re-quote AI-priced jobs and void bids, restarting the
+  // bidding window.
+  editJob: async (jobId, customer, updates, reason) => {
+    const screening = updates.items !== undefined ? InventoryService.screenItems(updates.items) : null;
+    const location = updates.address ? await GeocodingService.geocode(updates.address) : null;
+    if (updates.address && !location) {
+      throw createError(400, 'We could not find that address');
+    }
+    const proposed = screening ? { ...updates, items: screening.items } : updates;
+
+    return withTransaction(async (client) => {
+      let job = await lockJob(client, jobId);
+      if (job.customer_id !== customer.id) {
+        throw createError(404, 'Job not found');
+      }
+
+      const changes = {};
+      Object.entries(EDITABLE_FIELDS).forEach(([field, column]) => {
+        const value = proposed[field];
+        const unchanged = field === 'items' ? value && sameItems(value, job.items) : value === job[column];
+        if (value !== undefined && !unchanged) {
+          changes[field] = { from: job[column], to: value };
+        }
+      });
+      const fields = Object.keys(changes);
+      if (fields.length === 0) {
+        return { ...job, biddingReopened: false };
+      }
+
+      if (ASSIGNED_STATUSES.includes(job.status)) {
+        const locked = fields.filter(field => !EDITABLE_AFTER_ASSIGNMENT.includes(field));
+        if (locked.length > 0) {
+          throw createError(409, `Once a driver is assigned only instructions and contact details can change (not ${locked.join(', ')})`);
+        }
+      } else if (!UNASSIGNED_STATUSES.includes(job.status)) {
+        throw createError(409, `A ${job.status} job can no longer be edited`);
+      }
+
+      const assignments = fields.map((field, index) => `${EDITABLE_FIELDS[field]} = $${index + 2}`);
+      const values = fields.map(field => (field === 'items' ? JSON.stringify(changes.items.to) : changes[field].to));
+      if (location) {
+        values.push(location.lat, location.lng);
+        assignments.push(`lat = $${values.length}`, `lng = $${values.length + 1}`);
+      }
+      if (changes.items) {
+        values.push(screening.surcharge);
+        assignments.push(`items_surcharge = $${values.length + 1}`);
+      }
+      if (changes.description) {
+        values.push(JSON.stringify(InventoryService.screenDescription(changes.description.to)));
+        assignments.push(`screening_flags = $${values.length + 1}`);
+      }
+      const updated = await client.query(
+        `UPDATE jobs SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [jobId, ...values]
+      );
+      job = updated.rows[0];
+
+      const material = fields.some(field => MATERIAL_FIELDS.includes(field));
+      let biddingReopened = false;
+      if (material && job.quote_estimate !== null) {
+        const quote = await PricingService.quote({
+          category: job.category,
+          volume: job.volume,
+          description: job.description,
+          items: job.items,
+          serviceType: job.service_type,
+          location: { lat: job.lat, lng: job.lng }
+        });
+        const requoted = await client.query(
+          `UPDATE jobs SET quote_estimate = $2, quote_low = $3, quote_high = $4, quote_breakdown = $5,
+             pricing_model_version = $6
+           WHERE id = $1 RETURNING *`,
+          [jobId, quote.estimate, quote.low, quote.high, JSON.stringify(quote.breakdown), quote.modelVersion]
+        );
+        job = requoted.rows[0];
+      }
+      if (material && ['bidding', 'reviewing_bids'].includes(job.status)) {
+        await client.query(
+          "UPDATE bids SET status = 'rejected', updated_at = NOW() WHERE job_id = $1 AND status = 'pending'",
+          [jobId]
+        );
+        job = await applyTransition(client, job, 'bidding', customer, {
+          reason: 'Job scope changed',
+          metadata: { fields }
+        });
+        biddingReopened = true;
+      }
+
+      await recordChange(client, jobId, customer, 'edit', changes, reason);
+      return { ...job, biddingReopened };
+    });
+  },
+
+  // Moves the job into a slot the customer has just held, up until the
+  // driver sets off
+  rescheduleJob: async (jobId, customer, { slotHoldId, reason }) => {
+    const job = await withTransaction(async (client) => {
+      const locked = await lockJob(client, jobId);
+      if (locked.customer_id !== customer.id) {
+        throw createError(404, 'Job not found');
+      }
+      if (![...UNASSIGNED_STATUSES, 'assigned'].includes(locked.status)) {
+        throw createError(409, `A ${locked.status} job can no longer be rescheduled`);
+      }
+
+      const updated = await SlotService.claimHold(client, slotHoldId, customer.id, jobId);
+      // The job leaves one day's route and joins another
+      replanRoutes(locked, [locked.driver_id]);
+      replanRoutes(updated, [updated.driver_id]);
+      await recordChange(client, jobId, customer, 'reschedule', {
+        scheduledDate: { from: locked.scheduled_date, to: updated.scheduled_date },
+        serviceType: { from: locked.service_type, to: 'scheduled' }
+      }, reason);
+      return updated;
+    });
+
+    if (job.driver_id) {
+      // Required here: SocketService depends on this module
+      require('./socketService').emitToUser(job.driver_id, 'notification', {
+        title: 'Job rescheduled',
+        body: `The customer moved this pickup to ${new Date(job.scheduled_date).toLocaleString('en-US')}`,
+        data: { type: 'job_rescheduled', jobId, scheduledDate: job.scheduled_date }
+      });
+    }
+    return job;
+  },
+
+  getChanges: async (jobId, user) => {
+    const jobResult = await db.query('SELECT customer_id, driver_id FROM jobs WHERE id = $1', [jobId]);
+    const job = jobResult.rows[0];
+    if (!job || (!isStaff(user) && user.id !== job.customer_id && user.id !== job.driver_id)) {
+      throw createError(404, 'Job not found');
+    }
+
+    const result = await db.query(
+      `SELECT change_type, changes, reason, changed_by, created_at
+       FROM job_changes WHERE job_id = $1 ORDER BY created_at, id`,
+      [jobId]
+    );
     return result.rows;
   },
 
-  submitBid: async (jobId, driverId, bidAmount) => {
-    const query = `
-      INSERT INTO bids (job_id, driver_id, amount, submitted_at)
-      VALUES ($1, $2, $3, NOW())
-      RETURNING *;
-    `;
-    const result = await db.query(query, [jobId, driverId, bidAmount]);
-    return result.rows[0];
+  // Moves a job to `status` on behalf of `actor` ({ id, role }). Throws 409
+  // for transitions the state machine doesn't allow.
+  transitionJob: async (jobId, status, actor, options = {}) => {
+    return withTransaction(async (client) => {
+      const job = await lockJob(client, jobId);
+      return applyTransition(client, job, status, actor, options);
+    });
+  },
+
+  updateJobStatus: async (jobId, actor, { status, reason, ...metadata }) => {
+    return module.exports.transitionJob(jobId, status, actor, { reason, metadata });
   },
 
-  updateJobStatus: async (jobId, status) => {
+  getStatusHistory: async (jobId, user) => {
+    const jobResult = await db.query('SELECT customer_id, driver_id FROM jobs WHERE id = $1', [jobId]);
+    const job = jobResult.rows[0];
+    const staff = isStaff(user);
+    if (!job || (!staff && user.id !== job.customer_id && user.id !== job.driver_id)) {
+      throw createError(404, 'Job not found');
+    }
+
     const result = await db.query(
-      'UPDATE jobs SET status = $1 WHERE id = $2 RETURNING *;',
-      [status, jobId]
+      `SELECT from_status, to_status, changed_by, changed_by_role, reason, metadata, created_at
+       FROM job_status_history WHERE job_id = $1 ORDER BY created_at, id`,
+      [jobId]
     );
-    return result.rows[0];
+    return result.rows;
   }
 };
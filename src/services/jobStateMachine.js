@@ -0,0 +1,137 @@
+const { createError } = require('../utils/errors');
+const { ADMIN_ROLES } = require('../middleware/rbac');
+
+// Job lifecycle:
+//
+//   pending -> bidding -> reviewing_bids -> assigned -> en_route -> arrived -> in_progress -> completed
+//
+// `pending` jobs are waiting to be priced or opened for bids; AI-priced jobs
+// can go straight to `assigned`. Bidding closes automatically into
+// `reviewing_bids` (or back to `pending` when nobody bid); customers may
+// also accept a bid before it closes. Jobs can be `cancelled` before work
+// starts and `disputed` once work has started.
+
+const STATUSES = [
+  'pending',
+  'bidding',
+  'reviewing_bids',
+  'assigned',
+  'en_route',
+  'arrived',
+  'in_progress',
+  'completed',
+  'cancelled',
+  'disputed'
+];
+
+// What the older API called "active": a driver is attached and the job isn't finished
+const ACTIVE_STATUSES = ['assigned', 'en_route', 'arrived', 'in_progress'];
+
+// Values accepted by list filters; "active" expands to ACTIVE_STATUSES
+const STATUS_FILTERS = [...STATUSES, 'active'];
+
+const ADMIN = [...ADMIN_ROLES, 'super_admin'];
+
+const isCustomer = (job, actor) => actor.id === job.customer_id;
+const isAssignedDriver = (job, actor) => actor.id === job.driver_id;
+const hasDriver = (job, actor, context) => Boolean(context.driverId || job.driver_id);
+
+// Roles allowed per transition, with guards that must all pass. Roles are
+// user roles plus 'system' for scheduled/automatic changes. Guards only apply
+// to the listed non-admin roles; admins and the system act on any job.
+const TRANSITIONS = {
+  pending: {
+    bidding: { roles: ['customer', 'system', ...ADMIN], guards: { customer: [isCustomer] } },
+    assigned: { roles: ['driver', 'system', ...ADMIN], guards: { '*': [hasDriver] } },
+    cancelled: { roles: ['customer', 'system', ...ADMIN], guards: { customer: [isCustomer] } }
+  },
+  bidding: {
+    // Restarts the window, e.g. after the customer changes the job's scope
+    bidding: { roles: ['customer', 'system', ...ADMIN], guards: { customer: [isCustomer] } },
+    reviewing_bids: { roles: ['system', ...ADMIN] },
+    pending: { roles: ['system', ...ADMIN] },
+    assigned: { roles: ['customer', 'system', ...ADMIN], guards: { customer: [isCustomer], '*': [hasDriver] } },
+    cancelled: { roles: ['customer', 'system', ...ADMIN], guards: { customer: [isCustomer] } }
+  },
+  reviewing_bids: {
+    bidding: { roles: ['customer', 'system', ...ADMIN], guards: { customer: [isCustomer] } },
+    assigned: { roles: ['customer', 'system', ...ADMIN], guards: { customer: [isCustomer], '*': [hasDriver] } },
+    cancelled: { roles: ['customer', 'system', ...ADMIN], guards: { customer: [isCustomer] } }
+  },
+  assigned: {
+    en_route: { roles: ['driver', ...ADMIN], guards: { driver: [isAssignedDriver] } },
+    cancelled: { roles: ['customer', ...ADMIN], guards: { customer: [isCustomer] } }
+  },
+  en_route: {
+    arrived: { roles: ['driver', ...ADMIN], guards: { driver: [isAssignedDriver] } },
+    assigned: { roles: ADMIN, guards: { '*': [hasDriver] } },
+    cancelled: { roles: ['customer', ...ADMIN], guards: { customer: [isCustomer] } }
+  },
+  arrived: {
+    in_progress: { roles: ['driver', ...ADMIN], guards: { driver: [isAssignedDriver] } },
+    assigned: { roles: ADMIN, guards: { '*': [hasDriver] } },
+    cancelled: { roles: ['customer', ...ADMIN], guards: { customer: [isCustomer] } }
+  },
+  in_progress: {
+    completed: { roles: ['driver', ...ADMIN], guards: { driver: [isAssignedDriver] } },
+    disputed: { roles: ['customer', 'driver', ...ADMIN], guards: { customer: [isCustomer], driver: [isAssignedDriver] } },
+    cancelled: { roles: ADMIN }
+  },
+  completed: {
+    disputed: { roles: ['customer', 'driver', ...ADMIN], guards: { customer: [isCustomer], driver: [isAssignedDriver] } }
+  },
+  disputed: {
+    completed: { roles: ADMIN },
+    cancelled: { roles: ADMIN }
+  },
+  cancelled: {}
+};
+
+const allowedNextStatuses = (job, actor, context = {}) =>
+  Object.keys(TRANSITIONS[job.status] || {}).filter(to => {
+    try {
+      assertTransition(job, to, actor, context);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  });
+
+// Throws a 409 if `actor` ({ id, role }) may not move `job` to `to`.
+// `context` carries values the transition will set, e.g. { driverId }.
+function assertTransition(job, to, actor, context = {}) {
+  if (!STATUSES.includes(to)) {
+    throw createError(400, `Unknown job status: ${to}`);
+  }
+
+  const transition = (TRANSITIONS[job.status] || {})[to];
+  if (!transition) {
+    throw createError(409, `Job cannot move from ${job.status} to ${to}`);
+  }
+  if (!transition.roles.includes(actor.role)) {
+    throw createError(409, `A ${actor.role} cannot move a job from ${job.status} to ${to}`);
+  }
+
+  const guards = transition.guards || {};
+  const checks = [
+    ...(ADMIN.includes(actor.role) || actor.role === 'system' ? [] : guards[actor.role] || []),
+    ...(guards['*'] || [])
+  ];
+  if (!checks.every(guard => guard(job, actor, context))) {
+    throw createError(409, `Job cannot move from ${job.status} to ${to}: conditions not met`);
+  }
+}
+
+// Expands list filters such as "active" into concrete statuses
+const statusesForFilter = (filter) => (filter === 'active' ? ACTIVE_STATUSES : [filter]);
+
+module.exports = {
+  STAFF_ROLES: ADMIN,
+  STATUSES,
+  ACTIVE_STATUSES,
+  STATUS_FILTERS,
+  TRANSITIONS,
+  assertTransition,
+  allowedNextStatuses,
+  statusesForFilter
+};
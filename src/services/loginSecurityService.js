@@ -0,0 +1,125 @@
+const db = require('../db');
+const EmailService = require('./emailService');
+const { hashToken } = require('../utils/tokens');
+const { createError } = require('../utils/errors');
+const { paginationMeta, offsetFor } = require('../utils/pagination');
+
+// Every LOCKOUT_THRESHOLD consecutive failures lock the account, each lock
+// twice as long as the previous one, up to MAX_LOCKOUT_MINUTES
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const BASE_LOCKOUT_MINUTES = 5;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+const lockoutMinutes = (failedAttempts) => {
+  const level = Math.floor(failedAttempts / LOCKOUT_THRESHOLD) - 1;
+  return Math.min(BASE_LOCKOUT_MINUTES * 2 ** level, MAX_LOCKOUT_MINUTES);
+};
+
+// Clients that send a deviceId are recognised by it; otherwise fall back to
+// the user agent
+const deviceKey = ({ deviceId, userAgent }) => hashToken(deviceId || userAgent || 'unknown');
+
+const recordAttempt = (userId, email, method, success, failureReason, context) => db.query(
+  `INSERT INTO login_history (user_id, email, method, success, failure_reason, ip, user_agent, device_key)
+   VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+  [userId, email, method, success, failureReason, context.ip, context.userAgent, deviceKey(context)]
+);
+
+module.exports = {
+  // Request details stored with each attempt
+  getContext: (req) => ({
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    deviceId: req.body && req.body.deviceId
+  }),
+
+  isLocked: (user) => Boolean(user.locked_until && new Date(user.locked_until) > new Date()),
+
+  recordFailure: async (user, email, reason, context, method = 'password') => {
+    await recordAttempt(user ? user.id : null, email, method, false, reason, context);
+    if (!user) {
+      return null;
+    }
+
+    const result = await db.query(
+      'UPDATE users SET failed_login_attempts = failed_login_attempts + 1 WHERE id = $1 RETURNING failed_login_attempts',
+      [user.id]
+    );
+    const failedAttempts = result.rows[0].failed_login_attempts;
+
+    if (failedAttempts % LOCKOUT_THRESHOLD === 0) {
+      const minutes = lockoutMinutes(failedAttempts);
+      const locked = await db.query(
+        'UPDATE users SET locked_until = NOW() + make_interval(mins => $2) WHERE id = $1 RETURNING locked_until',
+        [user.id, minutes]
+      );
+      console.warn(`Account ${user.id} locked for ${minutes} minutes after ${failedAttempts} failed logins`);
+      return locked.rows[0].locked_until;
+    }
+    return null;
+  },
+
+  // Logs a refused attempt that doesn't count towards lockout, e.g. the
+  // account is already locked or suspended
+  recordRefusal: (user, reason, context, method = 'password') =>
+    recordAttempt(user.id, user.email, method, false, reason, context),
+
+  // Clears the failure counter and emails the user when the sign-in comes
+  // from a device with no earlier successful login
+  recordSuccess: async (user, context, method = 'password') => {
+    const known = await db.query(
+      'SELECT 1 FROM login_history WHERE user_id = $1 AND success AND device_key = $2 LIMIT 1',
+      [user.id, deviceKey(context)]
+    );
+    const previous = await db.query(
+      'SELECT 1 FROM login_history WHERE user_id = $1 AND success LIMIT 1',
+      [user.id]
+    );
+
+    await recordAttempt(user.id, user.email, method, true, null, context);
+    await db.query(
+      'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1',
+      [user.id]
+    );
+
+    // The very first sign-in isn't suspicious
+    if (previous.rows.length > 0 && known.rows.length === 0) {
+      EmailService.sendNewDeviceLoginEmail(user.email, {
+        name: user.name,
+        ip: context.ip,
+        userAgent: context.userAgent,
+        time: new Date()
+      }).catch(err => console.error('New device email error:', err));
+    }
+  },
+
+  unlock: async (userId) => {
+    const result = await db.query(
+      `UPDATE users SET failed_login_attempts = 0, locked_until = NULL
+       WHERE id = $1
+       RETURNING id, email, failed_login_attempts, locked_until`,
+      [userId]
+    );
+    if (!result.rows[0]) {
+      throw createError(404, 'User not found');
+    }
+    return result.rows[0];
+  },
+
+  getLoginHistory: async (userId, { page, limit }) => {
+    const [rows, count] = await Promise.all([
+      db.query(
+        `SELECT id, method, success, failure_reason, ip, user_agent, created_at
+         FROM login_history WHERE user_id = $1
+         ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+        [userId, limit, offsetFor(page, limit)]
+      ),
+      db.query('SELECT COUNT(*) FROM login_history WHERE user_id = $1', [userId])
+    ]);
+
+    return {
+      history: rows.rows,
+      pagination: paginationMeta(page, limit, parseInt(count.rows[0].count))
+    };
+  }
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+const ffmpegPath = require('ffmpeg-static');
+const db = require('../db');
+const StorageService = require('./storageService');
+const MediaService = require('./mediaService');
+const MediaQueue = require('./mediaQueue');
+const { sniffMimeType } = require('../utils/mimeSniff');
+const { createError } = require('../utils/errors');
+
+const MAX_IMAGE_BYTES = (parseInt(process.env.MEDIA_MAX_IMAGE_MB) || 15) * 1024 * 1024;
+const MAX_VIDEO_BYTES = (parseInt(process.env.MEDIA_MAX_VIDEO_MB) || 200) * 1024 * 1024;
+
+// Longest edge of each stored image variant. No original is kept: it would
+// still carry the EXIF block, including the GPS position of the customer's home.
+const IMAGE_VARIANTS = { full: 2560, large: 1600, medium: 800, thumb: 320 };
+const VIDEO_MAX_HEIGHT = 720;
+
+const readHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(64), 0, 64, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const runFfmpeg = (args) => new Promise((resolve, reject) => {
+  const ffmpeg = spawn(ffmpegPath, ['-hide_banner', '-loglevel', 'error', ...args]);
+  let stderr = '';
+  ffmpeg.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+  ffmpeg.on('error', reject);
+  ffmpeg.on('close', code => (code === 0 ? resolve() : reject(new Error(`ffmpeg exited with ${code}: ${stderr}`))));
+});
+
+// sharp drops all metadata from its output unless asked to keep it;
+// rotate() first bakes the EXIF orientation into the pixels
+const storeImageVariants = async (assetId, source, prefix = '') => {
+  const variants = {};
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await sharp(source, { failOn: 'error' })
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 82, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    const key = `media/${assetId}/${prefix}${name}.jpg`;
+    await StorageService.put(key, data, 'image/jpeg');
+    variants[`${prefix}${name}`] = { key, contentType: 'image/jpeg', width: info.width, height: info.height };
+  }
+  return variants;
+};
+
+const markReady = async (assetId, variants, durationSeconds = null) => {
+  const result = await db.query(
+    `UPDATE media_assets SET status = 'ready', variants = $2, duration_seconds = $3, updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [assetId, JSON.stringify(variants), durationSeconds]
+  );
+  return result.rows[0];
+};
+
+const markFailed = (assetId, err) => db.query(
+  "UPDATE media_assets SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1",
+  [assetId, err.message.slice(0, 500)]
+);
+
+const probeDuration = async (filePath) => {
+  // ffmpeg prints "Duration: 00:00:12.34" for any input it can read
+  const output = await new Promise((resolve) => {
+    const ffmpeg = spawn(ffmpegPath, ['-hide_banner', '-i', filePath]);
+    let stderr = '';
+    ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+    ffmpeg.on('close', () => resolve(stderr));
+    ffmpeg.on('error', () => resolve(''));
+  });
+  const match = /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(output);
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+};
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  MAX_VIDEO_BYTES,
+
+  // Takes a multer file saved on disk. Images are processed before this
+  // returns; videos come back 'processing' and are transcoded by the queue.
+  upload: async (file, ownerId) => {
+    try {
+      const sniffed = sniffMimeType(await readHeader(file.path));
+      if (!sniffed) {
+        throw createError(415, `${file.originalname}: unsupported file type`);
+      }
+      const limit = sniffed.kind === 'image' ? MAX_IMAGE_BYTES : MAX_VIDEO_BYTES;
+      if (file.size > limit) {
+        throw createError(413, `${file.originalname}: ${sniffed.kind}s can be at most ${limit / 1024 / 1024} MB`);
+      }
+
+      const assetId = crypto.randomUUID();
+      const result = await db.query(
+        `INSERT INTO media_assets (id, owner_id, kind, mime_type, size_bytes)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [assetId, ownerId, sniffed.kind, sniffed.mimeType, file.size]
+      );
+
+      if (sniffed.kind === 'video') {
+        // Kept apart from media/, which only ever holds stripped output
+        const sourceKey = `media-sources/${assetId}`;
+        try {
+          await StorageService.put(sourceKey, file.path, sniffed.mimeType);
+          await MediaQueue.enqueueTranscode(assetId, sourceKey);
+        } catch (err) {
+          console.error(`Could not queue transcoding for ${assetId}:`, err);
+          await markFailed(assetId, err);
+          StorageService.remove(sourceKey).catch(() => {});
+          throw createError(503, `${file.originalname}: video processing is unavailable, try again later`);
+        }
+        return MediaService.toResponse(result.rows[0]);
+      }
+
+      try {
+        const variants = await storeImageVariants(assetId, file.path);
+        return MediaService.toResponse(await markReady(assetId, variants));
+      } catch (err) {
+        await markFailed(assetId, err);
+        throw createError(422, `${file.originalname}: could not be processed as an image`);
+      }
+    } finally {
+      fs.promises.rm(file.path, { force: true }).catch(() => {});
+    }
+  },
+
+  // H.264/AAC MP4 without metadata, plus a poster frame in the image sizes
+  transcodeVideo: async (assetId, sourceKey) => {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'chunk-video-'));
+    try {
+      const sourcePath = path.join(workDir, 'source');
+      await StorageService.download(sourceKey, sourcePath);
+
+      const videoPath = path.join(workDir, 'video.mp4');
+      const posterPath = path.join(workDir, 'poster.jpg');
+
+      await runFfmpeg([
+        '-i', sourcePath,
+        '-map_metadata', '-1',
+        '-vf', `scale=-2:'min(${VIDEO_MAX_HEIGHT},ih)'`,
+        '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '26', '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac', '-b:a', '128k',
+        '-movflags', '+faststart',
+        '-y', videoPath
+      ]);
+      await runFfmpeg(['-i', videoPath, '-vf', 'thumbnail', '-frames:v', '1', '-y', posterPath]);
+
+      const key = `media/${assetId}/video.mp4`;
+      await StorageService.put(key, videoPath, 'video/mp4');
+      const variants = {
+        video: { key, contentType: 'video/mp4' },
+        ...(await storeImageVariants(assetId, posterPath, 'poster_'))
+      };
+
+      return await markReady(assetId, variants, await probeDuration(videoPath));
+    } catch (err) {
+      await markFailed(assetId, err);
+      throw err;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+      await StorageService.remove(sourceKey).catch(err => console.error(`Could not remove ${sourceKey}:`, err));
+    }
+  }
+};
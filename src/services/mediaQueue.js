@@ -0,0 +1,39 @@
+const Queue = require('bull');
+
+// Video transcoding runs here rather than in the upload request. One at a
+// time per process: ffmpeg already uses every core it can get.
+let queue;
+
+const getQueue = () => {
+  if (!queue) {
+    queue = new Queue('media', process.env.REDIS_URL || 'redis://localhost:6379');
+  }
+  return queue;
+};
+
+// `sourceKey` is the upload staged in storage, since the worker may run on
+// another machine. It's deleted once processed, so a failed job isn't
+// retried; the asset is marked failed and the client uploads again.
+const enqueueTranscode = (assetId, sourceKey) => getQueue().add(
+  'transcode',
+  { assetId, sourceKey },
+  { jobId: `transcode:${assetId}`, attempts: 1, removeOnComplete: true }
+);
+
+const start = () => {
+  // Required here: it loads sharp and ffmpeg, which only workers need
+  const MediaProcessingService = require('./mediaProcessingService');
+  const mediaQueue = getQueue();
+
+  mediaQueue.process('transcode', 1, (job) =>
+    MediaProcessingService.transcodeVideo(job.data.assetId, job.data.sourceKey));
+
+  mediaQueue.on('failed', (job, err) => {
+    console.error(`Media queue job ${job.name} ${job.id} failed:`, err);
+  });
+};
+
+module.exports = {
+  enqueueTranscode,
+  start
+};
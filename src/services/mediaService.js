@@ -0,0 +1,86 @@
+const db = require('../db');
+const StorageService = require('./storageService');
+const { STAFF_ROLES } = require('./jobStateMachine');
+const { createError } = require('../utils/errors');
+
+// What clients see: one signed/served URL per variant, never storage keys
+const toResponse = async (asset) => {
+  const variants = {};
+  for (const [name, variant] of Object.entries(asset.variants || {})) {
+    variants[name] = {
+      url: await StorageService.getUrl(variant.key),
+      contentType: variant.contentType,
+      width: variant.width,
+      height: variant.height
+    };
+  }
+
+  return {
+    id: asset.id,
+    kind: asset.kind,
+    status: asset.status,
+    mimeType: asset.mime_type,
+    sizeBytes: Number(asset.size_bytes),
+    durationSeconds: asset.duration_seconds === null ? undefined : Number(asset.duration_seconds),
+    variants,
+    error: asset.error || undefined,
+    createdAt: asset.created_at
+  };
+};
+
+module.exports = {
+  toResponse,
+
+  // Visible to the uploader, staff and the parties to the job it belongs to
+  getAsset: async (assetId, user) => {
+    const result = await db.query(
+      `SELECT a.*, j.customer_id, j.driver_id
+       FROM media_assets a LEFT JOIN jobs j ON j.id = a.job_id
+       WHERE a.id = $1`,
+      [assetId]
+    );
+    const asset = result.rows[0];
+    const allowed = asset && (
+      asset.owner_id === user.id ||
+      asset.customer_id === user.id ||
+      asset.driver_id === user.id ||
+      STAFF_ROLES.includes(user.role)
+    );
+    if (!allowed) {
+      throw createError(404, 'Media not found');
+    }
+    return toResponse(asset);
+  },
+
+  // Attaches the owner's unused assets to a job inside the caller's
+  // transaction. `kind` limits which kinds are accepted.
+  claimForJob: async (client, assetIds, ownerId, jobId, purpose, kind = null) => {
+    if (assetIds.length === 0) {
+      return [];
+    }
+
+    const result = await client.query(
+      `UPDATE media_assets SET job_id = $3, purpose = $4, updated_at = NOW()
+       WHERE id = ANY($1) AND owner_id = $2 AND job_id IS NULL AND status <> 'failed'
+         AND ($5::varchar IS NULL OR kind = $5)
+       RETURNING id`,
+      [assetIds, ownerId, jobId, purpose, kind]
+    );
+    if (result.rows.length !== new Set(assetIds).size) {
+      throw createError(400, 'Some media files are unknown, failed to process or already used');
+    }
+    return result.rows.map(row => row.id);
+  },
+
+  // Asset details for the IDs stored on a job, in the stored order. Entries
+  // that aren't asset IDs (older jobs stored raw URLs) are returned as is.
+  describe: async (references = []) => {
+    const ids = references.filter(ref => /^[0-9a-f-]{36}$/i.test(ref));
+    const result = ids.length > 0
+      ? await db.query('SELECT * FROM media_assets WHERE id = ANY($1)', [ids])
+      : { rows: [] };
+    const byId = new Map(result.rows.map(asset => [asset.id, asset]));
+
+    return Promise.all(references.map(ref => (byId.has(ref) ? toResponse(byId.get(ref)) : ref)));
+  }
+};
@@ -0,0 +1,147 @@
+const db = require('../db');
+const Totp = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { createError } = require('../utils/errors');
+const { MFA_REQUIRED_ROLES } = require('../middleware/rbac');
+
+const BACKUP_CODE_COUNT = 10;
+
+const getUser = async (userId) => {
+  const result = await db.query(
+    'SELECT id, name, email, role, token_version, mfa_enabled, mfa_secret FROM users WHERE id = $1',
+    [userId]
+  );
+  if (!result.rows[0]) {
+    throw createError(404, 'User not found');
+  }
+  return result.rows[0];
+};
+
+// Replaces any existing backup codes and returns the new plaintext set.
+// They are only ever shown once.
+const replaceBackupCodes = async (userId) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = generateToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM mfa_backup_codes WHERE user_id = $1', [userId]);
+  await db.query(
+    'INSERT INTO mfa_backup_codes (user_id, code_hash) SELECT $1, UNNEST($2::char(64)[])',
+    [userId, codes.map(hashToken)]
+  );
+
+  return codes;
+};
+
+// A TOTP code is only accepted for a time step after the last one used, so
+// a code seen once can't be replayed while it is still within the window.
+// The conditional update keeps two requests with the same code from both
+// passing.
+const acceptTotp = async (user, code) => {
+  const counter = Totp.matchCounter(decrypt(user.mfa_secret), code);
+  if (counter === null) {
+    return false;
+  }
+
+  const result = await db.query(
+    `UPDATE users SET mfa_last_counter = $2
+     WHERE id = $1 AND (mfa_last_counter IS NULL OR mfa_last_counter < $2)
+     RETURNING id`,
+    [user.id, counter]
+  );
+  return result.rows.length > 0;
+};
+
+// Accepts either a current TOTP code or an unused backup code
+const checkSecondFactor = async (user, code) => {
+  if (!user.mfa_secret) {
+    return false;
+  }
+
+  if (await acceptTotp(user, code)) {
+    return true;
+  }
+
+  const backup = await db.query(
+    `UPDATE mfa_backup_codes SET used_at = NOW()
+     WHERE id = (
+       SELECT id FROM mfa_backup_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     )
+     RETURNING id`,
+    [user.id, hashToken(String(code).toLowerCase())]
+  );
+  return backup.rows.length > 0;
+};
+
+module.exports = {
+  // Generates a fresh secret. MFA isn't active until enable() confirms the
+  // user's authenticator produces matching codes.
+  beginEnrollment: async (userId) => {
+    const user = await getUser(userId);
+    if (user.mfa_enabled) {
+      throw createError(409, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = Totp.generateSecret();
+    await db.query('UPDATE users SET mfa_secret = $1 WHERE id = $2', [encrypt(secret), userId]);
+
+    return {
+      secret,
+      otpauthUrl: Totp.provisioningUri(secret, user.email)
+    };
+  },
+
+  enable: async (userId, code) => {
+    const user = await getUser(userId);
+    if (user.mfa_enabled) {
+      throw createError(409, 'Two-factor authentication is already enabled');
+    }
+    if (!user.mfa_secret) {
+      throw createError(400, 'Start two-factor enrollment first');
+    }
+    if (!(await acceptTotp(user, code))) {
+      throw createError(400, 'Invalid verification code');
+    }
+
+    await db.query(
+      'UPDATE users SET mfa_enabled = TRUE, mfa_enabled_at = NOW() WHERE id = $1',
+      [userId]
+    );
+    const backupCodes = await replaceBackupCodes(userId);
+
+    return { user, backupCodes };
+  },
+
+  disable: async (userId, code) => {
+    const user = await getUser(userId);
+    if (MFA_REQUIRED_ROLES.includes(user.role)) {
+      throw createError(403, 'Two-factor authentication is required for your role');
+    }
+    if (!user.mfa_enabled || !(await checkSecondFactor(user, code))) {
+      throw createError(400, 'Invalid verification code');
+    }
+
+    await db.query(
+      'UPDATE users SET mfa_enabled = FALSE, mfa_secret = NULL, mfa_enabled_at = NULL, mfa_last_counter = NULL WHERE id = $1',
+      [userId]
+    );
+    await db.query('DELETE FROM mfa_backup_codes WHERE user_id = $1', [userId]);
+  },
+
+  regenerateBackupCodes: async (userId, code) => {
+    const user = await getUser(userId);
+    if (!user.mfa_enabled || !(await checkSecondFactor(user, code))) {
+      throw createError(400, 'Invalid verification code');
+    }
+
+    return replaceBackupCodes(userId);
+  },
+
+  // Second login step. The caller loads the user so it can apply the login
+  // lockout around this check.
+  verifyChallenge: async (user, code) => Boolean(user.mfa_enabled) && checkSecondFactor(user, code)
+};
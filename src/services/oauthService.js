@@ -0,0 +1,93 @@
+const db = require('../db');
+const SocketService = require('./socketService');
+const { createError } = require('../utils/errors');
+
+// Anyone can register an address they don't own and leave it unconfirmed.
+// When the provider shows the real owner has arrived, the account becomes
+// theirs alone: every credential and session set up before is dropped.
+const claimUnverifiedAccount = async (client, userId) => {
+  await client.query(
+    `UPDATE users SET password = NULL, phone = NULL, phone_verified = FALSE,
+       mfa_enabled = FALSE, mfa_secret = NULL, mfa_enabled_at = NULL,
+       email_verified_at = NOW(), status = CASE WHEN status = 'pending' THEN 'active' ELSE status END,
+       token_version = token_version + 1
+     WHERE id = $1`,
+    [userId]
+  );
+  await client.query('DELETE FROM mfa_backup_codes WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM user_identities WHERE user_id = $1', [userId]);
+  await client.query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL', [userId]);
+  const result = await client.query('SELECT * FROM users WHERE id = $1', [userId]);
+  return result.rows[0];
+};
+
+module.exports = {
+  // Resolves the local user for a normalized provider profile
+  // ({ provider, providerUserId, email, emailVerified, name }), linking or
+  // creating the account as needed.
+  findOrCreateUser: async (profile) => {
+    const { provider, providerUserId, email, emailVerified, name } = profile;
+
+    const linked = await db.query(
+      `SELECT u.* FROM user_identities i JOIN users u ON u.id = i.user_id
+       WHERE i.provider = $1 AND i.provider_user_id = $2`,
+      [provider, providerUserId]
+    );
+    if (linked.rows[0]) {
+      return linked.rows[0];
+    }
+
+    if (!email) {
+      throw createError(400, `Your ${provider} account did not share an email address`);
+    }
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query('SELECT * FROM users WHERE email = $1 FOR UPDATE', [email]);
+      let user = existing.rows[0];
+      let claimed = false;
+
+      if (user) {
+        // Only link to an existing account when the provider vouches for the
+        // address, otherwise anyone could claim it with an unverified login
+        if (!emailVerified) {
+          throw createError(409, 'An account with this email already exists. Sign in with your password first.');
+        }
+        if (!user.email_verified_at) {
+          user = await claimUnverifiedAccount(client, user.id);
+          claimed = true;
+        }
+      } else {
+        // An address the provider has verified needs no confirmation email
+        const created = await client.query(
+          `INSERT INTO users (name, email, password, role, status, email_verified_at)
+           VALUES ($1, $2, NULL, $3, $4, CASE WHEN $5 THEN NOW() END)
+           RETURNING *`,
+          [name || email, email, 'customer', emailVerified ? 'active' : 'pending', emailVerified]
+        );
+        user = created.rows[0];
+      }
+
+      await client.query(
+        'INSERT INTO user_identities (user_id, provider, provider_user_id, email) VALUES ($1, $2, $3, $4)',
+        [user.id, provider, providerUserId, email]
+      );
+
+      await client.query('COMMIT');
+      if (claimed) {
+        SocketService.disconnectUser(user.id);
+      }
+      return user;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.code === '23505') {
+        throw createError(409, `This account is already linked to a different ${provider} login`);
+      }
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const db = require('../db');
+const SmsService = require('./smsService');
+const { createError } = require('../utils/errors');
+
+const CODE_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 5;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_CODES_PER_HOUR = 5;
+
+// Six-digit codes are trivially brute-forced from a plain hash, so key it
+const hashCode = (phone, code) => crypto
+  .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+  .update(`${phone}:${code}`)
+  .digest('hex');
+
+const enforceRateLimit = async (phone) => {
+  const result = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '1 hour') AS last_hour,
+       COUNT(*) FILTER (WHERE created_at > NOW() - make_interval(secs => $2)) AS cooldown
+     FROM phone_otps WHERE phone = $1`,
+    [phone, RESEND_COOLDOWN_SECONDS]
+  );
+  const { last_hour: lastHour, cooldown } = result.rows[0];
+
+  if (parseInt(cooldown) > 0) {
+    throw createError(429, `Please wait ${RESEND_COOLDOWN_SECONDS} seconds before requesting another code`);
+  }
+  if (parseInt(lastHour) >= MAX_CODES_PER_HOUR) {
+    throw createError(429, 'Too many codes requested for this number, please try again later');
+  }
+};
+
+module.exports = {
+  // Issues a code for `purpose` ('verify' or 'login'). With `deliver: false`
+  // the attempt still counts towards the number's rate limit but no SMS goes
+  // out, so login requests for unknown numbers look the same as real ones.
+  requestCode: async (phone, purpose, { userId, requestedIp, deliver = true } = {}) => {
+    await enforceRateLimit(phone);
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    // Only the latest code for a number and purpose is redeemable
+    await db.query(
+      'UPDATE phone_otps SET consumed_at = NOW() WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL',
+      [phone, purpose]
+    );
+    await db.query(
+      `INSERT INTO phone_otps (phone, purpose, user_id, code_hash, expires_at, requested_ip)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5), $6)`,
+      [phone, purpose, userId || null, hashCode(phone, code), CODE_TTL_MINUTES, requestedIp || null]
+    );
+
+    if (deliver) {
+      await SmsService.sendSms(phone, `Your Chunk code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`);
+    }
+
+    return { expiresInMinutes: CODE_TTL_MINUTES };
+  },
+
+  // Checks a code and consumes it on success. Returns the consumed OTP row,
+  // or null if there is no live code or it doesn't match. Every guess is
+  // counted before it is checked, so concurrent guesses can't get past
+  // MAX_ATTEMPTS; counting the last one consumes the code.
+  verifyCode: async (phone, purpose, code, { userId } = {}) => {
+    const result = await db.query(
+      `UPDATE phone_otps SET attempts = attempts + 1,
+         consumed_at = CASE WHEN attempts + 1 >= $3 THEN NOW() ELSE consumed_at END
+       WHERE id = (
+         SELECT id FROM phone_otps
+         WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at DESC LIMIT 1
+       ) AND consumed_at IS NULL AND attempts < $3
+       RETURNING *`,
+      [phone, purpose, MAX_ATTEMPTS]
+    );
+    const otp = result.rows[0];
+    if (!otp || (userId && otp.user_id !== userId)) {
+      return null;
+    }
+
+    const matches = crypto.timingSafeEqual(
+      Buffer.from(otp.code_hash),
+      Buffer.from(hashCode(phone, code))
+    );
+    if (!matches) {
+      return null;
+    }
+
+    // The last allowed guess consumed the code when it was counted
+    if (otp.consumed_at) {
+      return otp;
+    }
+
+    // Guard against the same code being redeemed twice concurrently
+    const consumed = await db.query(
+      'UPDATE phone_otps SET consumed_at = NOW() WHERE id = $1 AND consumed_at IS NULL RETURNING *',
+      [otp.id]
+    );
+    return consumed.rows[0] || null;
+  }
+};
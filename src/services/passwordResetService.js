@@ -0,0 +1,87 @@
+const bcrypt = require('bcrypt');
+const db = require('../db');
+const EmailService = require('./emailService');
+const SocketService = require('./socketService');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+module.exports = {
+  // Issues a reset token and emails it. Resolves the same way whether or not
+  // the address is registered so callers can't be used to enumerate accounts.
+  requestReset: async (email, requestedIp) => {
+    const result = await db.query('SELECT id, name, email FROM users WHERE email = $1', [email]);
+    const user = result.rows[0];
+    if (!user) {
+      return;
+    }
+
+    const token = generateToken();
+
+    // Only the most recent link should work
+    await db.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    await db.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+       VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)`,
+      [user.id, hashToken(token), TOKEN_TTL_MINUTES, requestedIp || null]
+    );
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:4200'}/reset-password?token=${token}`;
+
+    // Don't make the response time depend on SMTP
+    EmailService.sendPasswordResetEmail(user.email, {
+      name: user.name,
+      resetUrl,
+      expiresInMinutes: TOKEN_TTL_MINUTES
+    }).catch(err => console.error('Password reset email error:', err));
+  },
+
+  // Consumes a reset token and sets the new password. Returns false if the
+  // token is unknown, expired or already used.
+  resetPassword: async (token, newPassword) => {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const tokenResult = await client.query(
+        `UPDATE password_reset_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token)]
+      );
+      const resetToken = tokenResult.rows[0];
+      if (!resetToken) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+      // Bumping token_version revokes every token issued before the reset
+      await client.query(
+        'UPDATE users SET password = $1, token_version = token_version + 1 WHERE id = $2',
+        [hashedPassword, resetToken.user_id]
+      );
+      await client.query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+        [resetToken.user_id]
+      );
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [resetToken.user_id]
+      );
+
+      await client.query('COMMIT');
+      SocketService.disconnectUser(resetToken.user_id);
+      return true;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+};
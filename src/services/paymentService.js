@@ -1,11 +1,744 @@
+const crypto = require('crypto');
+const Stripe = require('stripe');
+const db = require('../db');
+const JobService = require('./jobService');
+const SettingsService = require('./settingsService');
+const SlotService = require('./slotService');
+const { createError } = require('../utils/errors');
+const { paginationMeta, offsetFor } = require('../utils/pagination');
+
+// Money is stored in dollars (NUMERIC) and sent to Stripe in cents. Each
+// payment is one PaymentIntent; the driver's share is moved to their
+// Connect account with a separate transfer once the job is finished.
+
+let stripeClient;
+
+// STRIPE_API_BASE points the client at another server, e.g.
+// http://localhost:12111 for stripe-mock
+const createDefaultClient = () => {
+  const options = {};
+  if (process.env.STRIPE_API_BASE) {
+    const url = new URL(process.env.STRIPE_API_BASE);
+    options.host = url.hostname;
+    options.port = url.port;
+    options.protocol = url.protocol.replace(':', '');
+  }
+  return Stripe(process.env.STRIPE_SECRET_KEY, options);
+};
+
+const getStripe = () => {
+  if (!stripeClient) {
+    stripeClient = createDefaultClient();
+  }
+  return stripeClient;
+};
+
+// Swap the Stripe client, e.g. for an in-process fake in tests. It needs
+// the resources used here: customers, paymentMethods, paymentIntents,
+// setupIntents, refunds, transfers (with createReversal), accounts,
+// accountLinks, payouts and webhooks.constructEvent.
+const setStripeClient = (client) => {
+  stripeClient = client;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+const createPaymentRecord = async ({
+  jobId, customerId, driverId = null, kind = 'job', amount, currency = 'usd',
+  stripePaymentIntentId = null, status = 'pending', driverAmount
+}) => {
+  // Unless given, the driver's share is what's left after commission
+  const commissionRate = Number(await SettingsService.getSetting('commissionRate')) || 0;
+  const share = driverAmount ?? round(amount * (1 - commissionRate / 100));
+  const result = await db.query(
+    `INSERT INTO payments
+       (id, job_id, customer_id, driver_id, kind, amount, currency, status, platform_fee, driver_amount, stripe_payment_intent_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [crypto.randomUUID(), jobId || null, customerId, driverId, kind, amount, currency.toLowerCase(), status,
+      round(amount - share), share, stripePaymentIntentId]
+  );
+  return result.rows[0];
+};
+
+// The user's Stripe customer, created the first time it's needed
+const getStripeCustomerId = async (userId) => {
+  const result = await db.query('SELECT id, email, name, stripe_customer_id FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+  if (!user) {
+    throw createError(404, 'User not found');
+  }
+  if (user.stripe_customer_id) {
+    return user.stripe_customer_id;
+  }
+
+  const customer = await getStripe().customers.create(
+    { email: user.email, name: user.name, metadata: { userId } },
+    { idempotencyKey: `customer-${userId}` }
+  );
+  const saved = await db.query(
+    'UPDATE users SET stripe_customer_id = COALESCE(stripe_customer_id, $2) WHERE id = $1 RETURNING stripe_customer_id',
+    [userId, customer.id]
+  );
+  return saved.rows[0].stripe_customer_id;
+};
+
+// The customer's default card, or their first saved one
+const getDefaultPaymentMethod = async (stripeCustomerId) => {
+  const customer = await getStripe().customers.retrieve(stripeCustomerId);
+  const defaultMethod = customer.invoice_settings && customer.invoice_settings.default_payment_method;
+  if (defaultMethod) {
+    return typeof defaultMethod === 'string' ? defaultMethod : defaultMethod.id;
+  }
+  const methods = await getStripe().paymentMethods.list({ customer: stripeCustomerId, type: 'card', limit: 1 });
+  return methods.data[0] ? methods.data[0].id : null;
+};
+
+// Charges a saved card without the customer present. Declines and cards
+// that need the customer to authenticate are recorded as failed payments
+// rather than thrown. Returns { status, reference }.
+const chargeOffSession = async ({ customerId, paymentMethodId, amount, jobId, kind, driverAmount, description }) => {
+  const stripeCustomerId = await getStripeCustomerId(customerId);
+  const payment = await createPaymentRecord({ jobId, customerId, kind, amount, driverAmount });
+  const fail = async (intentId, reason) => {
+    await db.query(
+      `UPDATE payments SET status = 'failed', failure_reason = $3,
+         stripe_payment_intent_id = COALESCE($2, stripe_payment_intent_id), updated_at = NOW()
+       WHERE id = $1`,
+      [payment.id, intentId, reason]
+    );
+    return { status: 'failed', reference: intentId };
+  };
+
+  let intent;
+  try {
+    intent = await getStripe().paymentIntents.create({
+      amount: toCents(amount),
+      currency: 'usd',
+      customer: stripeCustomerId,
+      payment_method: paymentMethodId,
+      off_session: true,
+      confirm: true,
+      description,
+      transfer_group: jobId || undefined,
+      metadata: { paymentId: payment.id, jobId: jobId || '', customerId, kind }
+    }, { idempotencyKey: `payment-${payment.id}` });
+  } catch (err) {
+    if (err.type === 'StripeCardError') {
+      const failedIntent = err.raw && err.raw.payment_intent;
+      return fail(failedIntent ? failedIntent.id : null, err.message);
+    }
+    await fail(null, err.message);
+    throw err;
+  }
+
+  if (intent.status !== 'succeeded') {
+    return fail(intent.id, `Payment needs customer action (${intent.status})`);
+  }
+  await module.exports.handlePaymentSuccess(intent);
+  return { status: 'completed', reference: intent.id };
+};
+
+// Moves drivers' shares of paid, finished jobs (completed, or cancelled
+// with compensation) to their Connect accounts. Safe to call repeatedly:
+// each payment is claimed before its transfer, which Stripe also dedupes.
+const releaseDriverFunds = async ({ jobId = null, driverId = null }) => {
+  const result = await db.query(
+    `SELECT p.id, p.job_id, p.driver_amount, p.currency, p.stripe_charge_id, j.driver_id, a.stripe_account_id
+     FROM payments p
+     JOIN jobs j ON j.id = p.job_id
+     JOIN driver_connect_accounts a ON a.driver_id = j.driver_id AND a.payouts_enabled
+     WHERE p.status = 'completed' AND p.transfer_status = 'pending' AND p.driver_amount > 0
+       AND j.status IN ('completed', 'cancelled')
+       AND ($1::uuid IS NULL OR p.job_id = $1)
+       AND ($2::uuid IS NULL OR j.driver_id = $2)`,
+    [jobId, driverId]
+  );
+
+  for (const payment of result.rows) {
+    const claimed = await db.query(
+      `UPDATE payments SET transfer_status = 'transferring', driver_id = $2, updated_at = NOW()
+       WHERE id = $1 AND transfer_status = 'pending' RETURNING id`,
+      [payment.id, payment.driver_id]
+    );
+    if (!claimed.rows[0]) {
+      continue;
+    }
+
+    try {
+      const transfer = await getStripe().transfers.create({
+        amount: toCents(payment.driver_amount),
+        currency: payment.currency,
+        destination: payment.stripe_account_id,
+        transfer_group: payment.job_id,
+        source_transaction: payment.stripe_charge_id || undefined,
+        metadata: { paymentId: payment.id, jobId: payment.job_id }
+      }, { idempotencyKey: `transfer-${payment.id}` });
+      await db.query(
+        "UPDATE payments SET transfer_status = 'transferred', stripe_transfer_id = $2, updated_at = NOW() WHERE id = $1",
+        [payment.id, transfer.id]
+      );
+    } catch (err) {
+      console.error(`Driver transfer failed for payment ${payment.id}:`, err);
+      await db.query("UPDATE payments SET transfer_status = 'pending', updated_at = NOW() WHERE id = $1", [payment.id]);
+    }
+  }
+};
+
+// Stripe didn't answer (or failed on its side), so the request may or may
+// not have gone through; sending it again with the same key is safe
+const isRetryable = (err) =>
+  !err.type || ['StripeConnectionError', 'StripeAPIError', 'StripeRateLimitError'].includes(err.type);
+
+// Sends a 'processing' refund to Stripe and records the outcome. Keys come
+// from the refund record, so sending the same refund again never refunds
+// or reverses twice. Stripe errors that may be retried leave it processing.
+const submitRefund = async (refund) => {
+  const paymentResult = await db.query('SELECT * FROM payments WHERE id = $1', [refund.payment_id]);
+  const payment = paymentResult.rows[0];
+
+  let stripeRefund;
+  try {
+    stripeRefund = await getStripe().refunds.create({
+      payment_intent: payment.stripe_payment_intent_id,
+      amount: toCents(refund.amount),
+      metadata: { paymentId: payment.id, refundId: refund.id }
+    }, { idempotencyKey: `refund-${refund.id}` });
+  } catch (err) {
+    if (!isRetryable(err)) {
+      await db.query(
+        "UPDATE payment_refunds SET status = 'failed', processed_at = NOW() WHERE id = $1 AND status = 'processing'",
+        [refund.id]
+      );
+    }
+    throw err;
+  }
+
+  if (stripeRefund.status !== 'failed' && Number(refund.driver_reversal) > 0) {
+    await getStripe().transfers.createReversal(payment.stripe_transfer_id, {
+      amount: toCents(refund.driver_reversal),
+      metadata: { paymentId: payment.id, refundId: refund.id }
+    }, { idempotencyKey: `reversal-${refund.id}` });
+  }
+
+  return JobService.withTransaction(async (client) => {
+    const status = stripeRefund.status === 'failed' ? 'failed' : stripeRefund.status === 'succeeded' ? 'succeeded' : 'pending';
+    const saved = await client.query(
+      `UPDATE payment_refunds SET status = $2, stripe_refund_id = $3, processed_at = NOW()
+       WHERE id = $1 AND status = 'processing'
+       RETURNING *`,
+      [refund.id, status, stripeRefund.id]
+    );
+    // Already finalised by a concurrent attempt
+    if (!saved.rows[0]) {
+      const current = await client.query('SELECT * FROM payment_refunds WHERE id = $1', [refund.id]);
+      const latest = await client.query('SELECT * FROM payments WHERE id = $1', [payment.id]);
+      return { payment: latest.rows[0], refund: current.rows[0] };
+    }
+    if (status === 'failed') {
+      return { payment, refund: saved.rows[0] };
+    }
+
+    // Open customer requests are settled by this refund
+    await client.query(
+      `UPDATE payment_refunds SET status = 'processed', processed_by = $2, processed_at = NOW()
+       WHERE payment_id = $1 AND status = 'requested'`,
+      [payment.id, refund.processed_by]
+    );
+    const updated = await client.query(
+      `UPDATE payments SET amount_refunded = amount_refunded + $2, driver_amount = $3,
+         platform_fee = amount - amount_refunded - $2 - $3,
+         status = CASE WHEN amount_refunded + $2 >= amount THEN 'refunded' ELSE status END, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [payment.id, refund.amount, refund.driver_amount]
+    );
+    return { payment: updated.rows[0], refund: saved.rows[0] };
+  });
+};
+
+// Refunds part or all of a completed payment. The driver's share shrinks
+// in proportion (or to `driverAmount`, when given) and anything already
+// transferred beyond it is reversed from their Connect account.
+//
+// The refund is recorded as 'processing' before anything is sent to
+// Stripe, and a payment has at most one such refund. One left behind by a
+// crash or timeout is sent again before a new refund is taken.
+const refundPayment = async (paymentId, amount, { reason, actorId = null, driverAmount }) => {
+  const stuck = await db.query("SELECT * FROM payment_refunds WHERE payment_id = $1 AND status = 'processing'", [paymentId]);
+  for (const refund of stuck.rows) {
+    await submitRefund(refund);
+  }
+
+  const refund = await JobService.withTransaction(async (client) => {
+    const result = await client.query('SELECT * FROM payments WHERE id = $1 FOR UPDATE', [paymentId]);
+    const payment = result.rows[0];
+    if (!payment) {
+      throw createError(404, 'Payment not found');
+    }
+    if (payment.status !== 'completed') {
+      throw createError(409, `A ${payment.status} payment cannot be refunded`);
+    }
+    const processing = await client.query(
+      "SELECT 1 FROM payment_refunds WHERE payment_id = $1 AND status = 'processing'",
+      [paymentId]
+    );
+    if (processing.rows[0]) {
+      throw createError(409, 'Another refund on this payment is still being processed');
+    }
+
+    const refundable = round(payment.amount - payment.amount_refunded);
+    const refundAmount = amount == null ? refundable : round(amount);
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw createError(400, `Refunds on this payment must be between $0.01 and $${refundable.toFixed(2)}`);
+    }
+
+    const remaining = round(refundable - refundAmount);
+    const newDriverAmount = driverAmount != null
+      ? round(Math.min(driverAmount, remaining))
+      : round(payment.driver_amount * (remaining / refundable));
+    const reversal = payment.transfer_status === 'transferred' ? round(payment.driver_amount - newDriverAmount) : 0;
+
+    const saved = await client.query(
+      `INSERT INTO payment_refunds
+         (id, payment_id, amount, reason, status, driver_amount, driver_reversal, requested_by, processed_by)
+       VALUES ($1, $2, $3, $4, 'processing', $5, $6, $7, $7)
+       RETURNING *`,
+      [crypto.randomUUID(), paymentId, refundAmount, reason || null, newDriverAmount, Math.max(0, reversal), actorId]
+    );
+    return saved.rows[0];
+  });
+
+  return submitRefund(refund);
+};
+
+// Stripe sends the intent; payments are found by its id or, for intents
+// created before their record had one, by the paymentId in its metadata
+const MATCH_INTENT = '(stripe_payment_intent_id = $1 OR id::text = $2)';
+const intentParams = (intent) => [intent.id, (intent.metadata && intent.metadata.paymentId) || null];
+
+const listPayments = async (conditions, params, { status, startDate, endDate, page, limit }) => {
+  const where = [...conditions];
+  const values = [...params];
+  if (status) {
+    values.push(status);
+    where.push(`p.status = $${values.length}`);
+  }
+  if (startDate) {
+    values.push(startDate);
+    where.push(`p.created_at >= $${values.length}`);
+  }
+  if (endDate) {
+    values.push(endDate);
+    where.push(`p.created_at < $${values.length}`);
+  }
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const [rows, count] = await Promise.all([
+    db.query(
+      `SELECT p.*, j.address AS job_address, j.category AS job_category, u.name AS customer_name, u.email AS customer_email
+       FROM payments p
+       LEFT JOIN jobs j ON j.id = p.job_id
+       LEFT JOIN users u ON u.id = p.customer_id
+       ${whereSql}
+       ORDER BY p.created_at DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offsetFor(page, limit)]
+    ),
+    db.query(`SELECT COUNT(*) FROM payments p ${whereSql}`, values)
+  ]);
+
+  return {
+    payments: rows.rows,
+    pagination: paginationMeta(page, limit, parseInt(count.rows[0].count))
+  };
+};
+
 module.exports = {
-  processPayment: async (paymentData) => {
-    // Placeholder logic
-    return { success: true, message: 'Payment processed (mock)' };
+  getStripe,
+  setStripeClient,
+  getStripeCustomerId,
+  createPaymentRecord,
+  releaseDriverFunds,
+
+  // The customer's job with what they've paid towards it so far, or null
+  // if it isn't theirs
+  verifyJobOwnership: async (jobId, customerId) => {
+    const result = await db.query(
+      `SELECT j.*,
+         (SELECT COALESCE(SUM(p.amount - p.amount_refunded), 0) FROM payments p
+          WHERE p.job_id = j.id AND p.kind = 'job' AND p.status = 'completed') AS amount_paid
+       FROM jobs j
+       WHERE j.id = $1 AND j.customer_id = $2`,
+      [jobId, customerId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // For saving a card to charge later, e.g. for recurring pickups
+  createSetupIntent: async (customerId) => {
+    const setupIntent = await getStripe().setupIntents.create({
+      customer: await getStripeCustomerId(customerId),
+      usage: 'off_session',
+      metadata: { customerId }
+    });
+    return { clientSecret: setupIntent.client_secret, setupIntentId: setupIntent.id };
+  },
+
+  // Off-session charge of a customer's saved card, e.g. for a recurring
+  // pickup. Returns { status, reference }.
+  chargeSavedPaymentMethod: async ({ customerId, paymentMethodId, amount, jobId, description }) =>
+    chargeOffSession({ customerId, paymentMethodId, amount, jobId, kind: 'job', description }),
+
+  // Settles a cancelled job: refunds what the customer paid beyond the
+  // fee, or charges the fee to their saved card if nothing was paid.
+  // `refundAmount` overrides the refund (staff cancellations). The driver's
+  // compensation comes out of what the customer pays. Returns
+  // { action, status, reference }.
+  settleCancellation: async ({ jobId, customerId, fee, driverCompensation = 0, refundAmount, reason }) => {
+    // Nothing more should be paid towards a cancelled job
+    const pending = await db.query(
+      "SELECT id, stripe_payment_intent_id FROM payments WHERE job_id = $1 AND status = 'pending' AND stripe_payment_intent_id IS NOT NULL",
+      [jobId]
+    );
+    for (const payment of pending.rows) {
+      await getStripe().paymentIntents.cancel(payment.stripe_payment_intent_id).catch(err => {
+        console.error(`Could not cancel payment intent ${payment.stripe_payment_intent_id}:`, err.message);
+      });
+      await db.query("UPDATE payments SET status = 'cancelled', updated_at = NOW() WHERE id = $1 AND status = 'pending'", [payment.id]);
+    }
+
+    const paid = await db.query(
+      "SELECT * FROM payments WHERE job_id = $1 AND kind = 'job' AND status = 'completed' ORDER BY paid_at DESC LIMIT 1",
+      [jobId]
+    );
+    const payment = paid.rows[0];
+    let settlement = { action: 'none', status: 'completed', reference: null };
+
+    if (payment) {
+      const refundable = round(payment.amount - payment.amount_refunded);
+      const refund = round(Math.min(refundable, refundAmount ?? Math.max(0, refundable - fee)));
+      if (refund > 0) {
+        const result = await refundPayment(payment.id, refund, {
+          reason: reason || 'Job cancelled',
+          driverAmount: driverCompensation
+        });
+        settlement = {
+          action: 'refund',
+          status: result.refund.status === 'failed' ? 'failed' : 'completed',
+          reference: result.refund.stripe_refund_id
+        };
+      } else {
+        const share = round(Math.min(driverCompensation, refundable));
+        await db.query(
+          'UPDATE payments SET driver_amount = $2, platform_fee = $3, updated_at = NOW() WHERE id = $1',
+          [payment.id, share, round(refundable - share)]
+        );
+      }
+    } else if (fee > 0) {
+      const stripeCustomerId = await getStripeCustomerId(customerId);
+      const paymentMethodId = await getDefaultPaymentMethod(stripeCustomerId);
+      if (!paymentMethodId) {
+        return { action: 'charge', status: 'failed', reference: null };
+      }
+      const charge = await chargeOffSession({
+        customerId,
+        paymentMethodId,
+        amount: fee,
+        jobId,
+        kind: 'cancellation_fee',
+        driverAmount: round(Math.min(driverCompensation, fee)),
+        description: 'Cancellation fee'
+      });
+      settlement = { action: 'charge', ...charge };
+    }
+
+    await releaseDriverFunds({ jobId });
+    return settlement;
+  },
+
+  // Webhook handlers. Stripe may deliver an event more than once or out of
+  // order, so each one only moves a payment forward from the states it
+  // expects.
+  handlePaymentSuccess: async (paymentIntent) => {
+    const charge = paymentIntent.latest_charge;
+    const result = await db.query(
+      `UPDATE payments SET status = 'completed', stripe_payment_intent_id = $1, stripe_charge_id = $3,
+         failure_reason = NULL, paid_at = NOW(), updated_at = NOW()
+       WHERE ${MATCH_INTENT} AND status IN ('pending', 'failed')
+       RETURNING *`,
+      [...intentParams(paymentIntent), charge && typeof charge === 'object' ? charge.id : charge || null]
+    );
+    const payment = result.rows[0];
+    if (payment && payment.job_id) {
+      await releaseDriverFunds({ jobId: payment.job_id });
+    }
+    return payment || null;
   },
 
-  getPaymentHistory: async (userId) => {
-    // Placeholder logic
-    return [];
+  handlePaymentFailure: async (paymentIntent) => {
+    const error = paymentIntent.last_payment_error;
+    const result = await db.query(
+      `UPDATE payments SET status = 'failed', failure_reason = $3, updated_at = NOW()
+       WHERE ${MATCH_INTENT} AND status = 'pending'
+       RETURNING *`,
+      [...intentParams(paymentIntent), (error && error.message) || 'Payment failed']
+    );
+    return result.rows[0] || null;
+  },
+
+  handlePaymentCancellation: async (paymentIntent) => {
+    const result = await db.query(
+      `UPDATE payments SET status = 'cancelled', updated_at = NOW()
+       WHERE ${MATCH_INTENT} AND status IN ('pending', 'failed')
+       RETURNING *`,
+      intentParams(paymentIntent)
+    );
+    return result.rows[0] || null;
+  },
+
+  // Opened, updated and closed disputes. The driver's share is held while
+  // a dispute is open and released again if it's won.
+  handleDispute: async (dispute) => {
+    const found = await db.query(
+      'SELECT id FROM payments WHERE stripe_charge_id = $1 OR stripe_payment_intent_id = $2',
+      [dispute.charge, dispute.payment_intent || null]
+    );
+    const payment = found.rows[0];
+    if (!payment) {
+      console.warn(`Dispute ${dispute.id} is for an unknown charge ${dispute.charge}`);
+      return null;
+    }
+
+    await db.query(
+      `INSERT INTO payment_disputes (payment_id, stripe_dispute_id, amount, reason, status)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (stripe_dispute_id) DO UPDATE SET status = EXCLUDED.status, updated_at = NOW()`,
+      [payment.id, dispute.id, dispute.amount / 100, dispute.reason || null, dispute.status]
+    );
+
+    const won = dispute.status === 'won';
+    const result = await db.query(
+      `UPDATE payments SET
+         status = CASE WHEN $2 THEN 'completed' ELSE 'disputed' END,
+         transfer_status = CASE
+           WHEN $2 AND transfer_status = 'held' THEN 'pending'
+           WHEN NOT $2 AND transfer_status = 'pending' THEN 'held'
+           ELSE transfer_status END,
+         updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [payment.id, won]
+    );
+    if (won) {
+      await releaseDriverFunds({ jobId: result.rows[0].job_id });
+    }
+    return result.rows[0];
+  },
+
+  // Connect onboarding progress; transfers waiting on it go out once
+  // payouts are enabled
+  handleAccountUpdate: async (account) => {
+    const result = await db.query(
+      `UPDATE driver_connect_accounts SET charges_enabled = $2, payouts_enabled = $3, details_submitted = $4, updated_at = NOW()
+       WHERE stripe_account_id = $1 RETURNING driver_id, payouts_enabled`,
+      [account.id, Boolean(account.charges_enabled), Boolean(account.payouts_enabled), Boolean(account.details_submitted)]
+    );
+    const connected = result.rows[0];
+    if (connected && connected.payouts_enabled) {
+      await releaseDriverFunds({ driverId: connected.driver_id });
+    }
+    return connected || null;
+  },
+
+  getCustomerPayments: async ({ customerId, status, page, limit }) => {
+    return listPayments(['p.customer_id = $1'], [customerId], { status, page, limit });
+  },
+
+  getAllPayments: async ({ status, startDate, endDate, page, limit }) => {
+    return listPayments([], [], { status, startDate, endDate, page, limit });
+  },
+
+  // Visible to the paying customer, the driver and staff
+  getPaymentById: async (paymentId, user) => {
+    const result = await db.query('SELECT * FROM payments WHERE id = $1', [paymentId]);
+    const payment = result.rows[0];
+    if (!payment || (payment.customer_id !== user.id && payment.driver_id !== user.id && !JobService.isStaff(user))) {
+      throw createError(404, 'Payment not found');
+    }
+
+    const [refunds, disputes] = await Promise.all([
+      db.query('SELECT * FROM payment_refunds WHERE payment_id = $1 ORDER BY created_at', [paymentId]),
+      db.query('SELECT * FROM payment_disputes WHERE payment_id = $1 ORDER BY created_at', [paymentId])
+    ]);
+    return { ...payment, refunds: refunds.rows, disputes: disputes.rows };
+  },
+
+  // Customers ask; staff decide through processRefund. `amount` defaults
+  // to everything not already refunded or requested.
+  requestRefund: async (paymentId, customerId, reason, amount) => {
+    const result = await db.query(
+      `SELECT p.*,
+         (SELECT COALESCE(SUM(r.amount), 0) FROM payment_refunds r
+          WHERE r.payment_id = p.id AND r.status = 'requested') AS amount_requested
+       FROM payments p WHERE p.id = $1 AND p.customer_id = $2`,
+      [paymentId, customerId]
+    );
+    const payment = result.rows[0];
+    if (!payment) {
+      throw createError(404, 'Payment not found');
+    }
+    if (payment.status !== 'completed') {
+      throw createError(409, `A ${payment.status} payment cannot be refunded`);
+    }
+
+    const available = round(payment.amount - payment.amount_refunded - payment.amount_requested);
+    const requested = amount == null ? available : round(Number(amount));
+    if (requested <= 0 || requested > available) {
+      throw createError(400, available > 0
+        ? `You can request up to $${available.toFixed(2)} back on this payment`
+        : 'There is nothing left to refund on this payment');
+    }
+
+    const refund = await db.query(
+      `INSERT INTO payment_refunds (id, payment_id, amount, reason, status, requested_by)
+       VALUES ($1, $2, $3, $4, 'requested', $5)
+       RETURNING *`,
+      [crypto.randomUUID(), paymentId, requested, reason, customerId]
+    );
+    return refund.rows[0];
+  },
+
+  // Staff refund; `amount` defaults to everything not already refunded
+  processRefund: async (paymentId, amount, reason, adminId) => {
+    return refundPayment(paymentId, amount == null ? null : Number(amount), { reason, actorId: adminId });
+  },
+
+  saveDriverConnectAccount: async (driverId, accountId) => {
+    const result = await db.query(
+      `INSERT INTO driver_connect_accounts (driver_id, stripe_account_id)
+       VALUES ($1, $2)
+       ON CONFLICT (driver_id) DO UPDATE SET
+         stripe_account_id = EXCLUDED.stripe_account_id, charges_enabled = FALSE, payouts_enabled = FALSE,
+         details_submitted = FALSE, updated_at = NOW()
+       RETURNING *`,
+      [driverId, accountId]
+    );
+    return result.rows[0];
+  },
+
+  getDriverConnectAccount: async (driverId) => {
+    const result = await db.query('SELECT * FROM driver_connect_accounts WHERE driver_id = $1', [driverId]);
+    const account = result.rows[0];
+    return account
+      ? {
+        accountId: account.stripe_account_id,
+        chargesEnabled: account.charges_enabled,
+        payoutsEnabled: account.payouts_enabled,
+        detailsSubmitted: account.details_submitted
+      }
+      : null;
+  },
+
+  recordPayout: async (driverId, payoutId, amount) => {
+    const result = await db.query(
+      `INSERT INTO driver_payouts (id, driver_id, stripe_payout_id, amount)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [crypto.randomUUID(), driverId, payoutId, amount]
+    );
+    return result.rows[0];
+  },
+
+  // The driver's share of each paid job, with totals for the period:
+  // transferred to their Connect account, still to be transferred, and
+  // paid out to their bank
+  getDriverEarnings: async ({ driverId, startDate, endDate, page, limit }) => {
+    const where = `COALESCE(p.driver_id, j.driver_id) = $1 AND p.paid_at IS NOT NULL AND p.driver_amount > 0
+      AND ($2::timestamptz IS NULL OR p.paid_at >= $2) AND ($3::timestamptz IS NULL OR p.paid_at < $3)`;
+    const params = [driverId, startDate || null, endDate || null];
+
+    const [rows, totals, payouts] = await Promise.all([
+      db.query(
+        `SELECT p.id AS payment_id, p.job_id, p.kind, p.driver_amount AS amount, p.currency, p.transfer_status,
+           p.paid_at, j.address, j.category, j.status AS job_status
+         FROM payments p JOIN jobs j ON j.id = p.job_id
+         WHERE ${where}
+         ORDER BY p.paid_at DESC LIMIT $4 OFFSET $5`,
+        [...params, limit, offsetFor(page, limit)]
+      ),
+      db.query(
+        `SELECT COUNT(*)::int AS count,
+           COALESCE(SUM(p.driver_amount) FILTER (WHERE p.transfer_status = 'transferred'), 0)::float AS transferred,
+           COALESCE(SUM(p.driver_amount) FILTER (WHERE p.transfer_status <> 'transferred'), 0)::float AS pending
+         FROM payments p JOIN jobs j ON j.id = p.job_id
+         WHERE ${where}`,
+        params
+      ),
+      db.query(
+        `SELECT COALESCE(SUM(amount), 0)::float AS paid_out FROM driver_payouts
+         WHERE driver_id = $1 AND ($2::timestamptz IS NULL OR created_at >= $2) AND ($3::timestamptz IS NULL OR created_at < $3)`,
+        params
+      )
+    ]);
+
+    const summary = totals.rows[0];
+    return {
+      earnings: rows.rows,
+      totals: {
+        earned: round(summary.transferred + summary.pending),
+        transferred: summary.transferred,
+        pending: summary.pending,
+        paidOut: payouts.rows[0].paid_out
+      },
+      pagination: paginationMeta(page, limit, summary.count)
+    };
+  },
+
+  // Payment volume between two dates, with daily figures in the service
+  // time zone
+  getPaymentAnalytics: async (startDate, endDate) => {
+    const [totals, byStatus, daily] = await Promise.all([
+      db.query(
+        `SELECT COUNT(*) FILTER (WHERE paid_at IS NOT NULL)::int AS paid_count,
+           COALESCE(SUM(amount) FILTER (WHERE paid_at IS NOT NULL), 0)::float AS volume,
+           COALESCE(SUM(amount_refunded), 0)::float AS refunded,
+           COALESCE(SUM(platform_fee) FILTER (WHERE paid_at IS NOT NULL), 0)::float AS platform_fees,
+           COALESCE(SUM(driver_amount) FILTER (WHERE paid_at IS NOT NULL), 0)::float AS driver_earnings,
+           COALESCE(SUM(amount) FILTER (WHERE status = 'disputed'), 0)::float AS disputed
+         FROM payments WHERE created_at >= $1 AND created_at < $2`,
+        [startDate, endDate]
+      ),
+      db.query(
+        `SELECT status, COUNT(*)::int AS count, COALESCE(SUM(amount), 0)::float AS amount
+         FROM payments WHERE created_at >= $1 AND created_at < $2
+         GROUP BY status ORDER BY status`,
+        [startDate, endDate]
+      ),
+      db.query(
+        `SELECT to_char(created_at AT TIME ZONE $3, 'YYYY-MM-DD') AS date,
+           COUNT(*) FILTER (WHERE paid_at IS NOT NULL)::int AS paid_count,
+           COALESCE(SUM(amount) FILTER (WHERE paid_at IS NOT NULL), 0)::float AS volume,
+           COALESCE(SUM(amount_refunded), 0)::float AS refunded
+         FROM payments WHERE created_at >= $1 AND created_at < $2
+         GROUP BY 1 ORDER BY 1`,
+        [startDate, endDate, SlotService.TIMEZONE]
+      )
+    ]);
+
+    const summary = totals.rows[0];
+    return {
+      startDate,
+      endDate,
+      timezone: SlotService.TIMEZONE,
+      totals: {
+        payments: summary.paid_count,
+        volume: summary.volume,
+        refunded: summary.refunded,
+        net: round(summary.volume - summary.refunded),
+        platformFees: summary.platform_fees,
+        driverEarnings: summary.driver_earnings,
+        disputed: summary.disputed
+      },
+      byStatus: byStatus.rows,
+      daily: daily.rows
+    };
   }
 };
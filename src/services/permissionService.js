@@ -0,0 +1,108 @@
+const db = require('../db');
+const { PERMISSIONS, WILDCARD } = require('../config/permissions');
+const { createError } = require('../utils/errors');
+
+// Role permissions, then per-user grants, then per-user denies. A deny
+// always wins, even over a role wildcard.
+const resolve = (rolePermissions, overrides) => {
+  const granted = new Set(rolePermissions);
+  overrides.filter(o => o.effect === 'grant').forEach(o => granted.add(o.permission));
+
+  const effective = granted.has(WILDCARD) ? new Set(PERMISSIONS) : granted;
+  overrides.filter(o => o.effect === 'deny').forEach(o => effective.delete(o.permission));
+  effective.delete(WILDCARD);
+
+  return [...effective].sort();
+};
+
+const getUserRole = async (userId) => {
+  const result = await db.query('SELECT id, role FROM users WHERE id = $1', [userId]);
+  if (!result.rows[0]) {
+    throw createError(404, 'User not found');
+  }
+  return result.rows[0].role;
+};
+
+module.exports = {
+  getEffectivePermissions: async (userId) => {
+    const role = await getUserRole(userId);
+
+    const [roleResult, overrideResult] = await Promise.all([
+      db.query('SELECT permission FROM role_permissions WHERE role = $1', [role]),
+      db.query('SELECT permission, effect FROM user_permissions WHERE user_id = $1', [userId])
+    ]);
+
+    return {
+      userId,
+      role,
+      permissions: resolve(roleResult.rows.map(r => r.permission), overrideResult.rows),
+      grants: overrideResult.rows.filter(o => o.effect === 'grant').map(o => o.permission),
+      denies: overrideResult.rows.filter(o => o.effect === 'deny').map(o => o.permission)
+    };
+  },
+
+  // Replaces a user's explicit grants and denies
+  setUserOverrides: async (userId, { grant = [], deny = [] }, changedBy) => {
+    await getUserRole(userId);
+
+    const overlap = grant.filter(permission => deny.includes(permission));
+    if (overlap.length > 0) {
+      throw createError(400, `Permissions cannot be both granted and denied: ${overlap.join(', ')}`);
+    }
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM user_permissions WHERE user_id = $1', [userId]);
+      await client.query(
+        `INSERT INTO user_permissions (user_id, permission, effect, granted_by)
+         SELECT $1, permission, effect, $4 FROM (
+           SELECT UNNEST($2::varchar[]) AS permission, 'grant' AS effect
+           UNION ALL
+           SELECT UNNEST($3::varchar[]), 'deny'
+         ) overrides`,
+        [userId, grant, deny, changedBy]
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    return module.exports.getEffectivePermissions(userId);
+  },
+
+  getRolePermissions: async () => {
+    const result = await db.query('SELECT role, permission FROM role_permissions ORDER BY role, permission');
+    return result.rows.reduce((roles, { role, permission }) => {
+      (roles[role] = roles[role] || []).push(permission);
+      return roles;
+    }, {});
+  },
+
+  setRolePermissions: async (role, permissions) => {
+    if (role === 'super_admin') {
+      throw createError(400, 'super_admin permissions cannot be changed');
+    }
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+      await client.query(
+        'INSERT INTO role_permissions (role, permission) SELECT $1, UNNEST($2::varchar[])',
+        [role, permissions]
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    return { role, permissions: [...permissions].sort() };
+  }
+};
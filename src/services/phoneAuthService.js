@@ -0,0 +1,70 @@
+const db = require('../db');
+const OtpService = require('./otpService');
+const { createError } = require('../utils/errors');
+
+// Roles allowed to sign in with a phone code instead of a password
+const OTP_LOGIN_ROLES = ['driver'];
+
+module.exports = {
+  startVerification: async (userId, phone, requestedIp) => {
+    const taken = await db.query(
+      'SELECT id FROM users WHERE phone = $1 AND phone_verified AND id <> $2',
+      [phone, userId]
+    );
+    if (taken.rows.length > 0) {
+      throw createError(409, 'Phone number is already verified on another account');
+    }
+
+    return OtpService.requestCode(phone, 'verify', { userId, requestedIp });
+  },
+
+  confirmVerification: async (userId, phone, code) => {
+    const otp = await OtpService.verifyCode(phone, 'verify', code, { userId });
+    if (!otp) {
+      throw createError(400, 'Invalid or expired code');
+    }
+
+    try {
+      const result = await db.query(
+        'UPDATE users SET phone = $1, phone_verified = TRUE WHERE id = $2 RETURNING id, phone, phone_verified',
+        [phone, userId]
+      );
+      return result.rows[0];
+    } catch (err) {
+      if (err.code === '23505') {
+        throw createError(409, 'Phone number is already verified on another account');
+      }
+      throw err;
+    }
+  },
+
+  // Always resolves the same way so the endpoint can't be used to discover
+  // which numbers are registered; the SMS only goes out for real accounts
+  requestLoginCode: async (phone, requestedIp) => {
+    const result = await db.query(
+      'SELECT id FROM users WHERE phone = $1 AND phone_verified AND role = ANY($2)',
+      [phone, OTP_LOGIN_ROLES]
+    );
+    const user = result.rows[0];
+
+    return OtpService.requestCode(phone, 'login', {
+      userId: user ? user.id : null,
+      requestedIp,
+      deliver: Boolean(user)
+    });
+  },
+
+  // Returns the user for a valid login code, or null
+  verifyLoginCode: async (phone, code) => {
+    const otp = await OtpService.verifyCode(phone, 'login', code);
+    if (!otp || !otp.user_id) {
+      return null;
+    }
+
+    const result = await db.query(
+      'SELECT * FROM users WHERE id = $1 AND phone = $2 AND phone_verified AND role = ANY($3)',
+      [otp.user_id, phone, OTP_LOGIN_ROLES]
+    );
+    return result.rows[0] || null;
+  }
+};
@@ -0,0 +1,149 @@
+const db = require('../db');
+const SettingsService = require('./settingsService');
+const InventoryService = require('./inventoryService');
+
+// Instant quotes for pricingPreference 'ai'. Everything here runs locally:
+// a rule-based model, nudged towards what customers have actually accepted
+// for similar jobs. Bump MODEL.version whenever any number below changes so
+// jobs keep a record of which model priced them.
+const MODEL = {
+  version: 'rules-2026.10.1',
+  basePrice: { small: 89, medium: 179, large: 329 },
+  categoryMultiplier: {
+    furniture: 1.0,
+    appliances: 1.15,
+    electronics: 1.1,
+    construction: 1.3,
+    yard: 0.95,
+    general: 1.0,
+    other: 1.05
+  },
+  // Surcharges for items mentioned in the description. Only used when the
+  // customer hasn't listed their items; listed items are charged from the
+  // item catalogue instead.
+  itemSurcharges: [
+    { code: 'piano', label: 'Piano', pattern: /\bpiano\b/i, amount: 150 },
+    { code: 'hot_tub', label: 'Hot tub / spa', pattern: /\b(hot ?tub|jacuzzi|spa)\b/i, amount: 200 },
+    { code: 'safe', label: 'Safe', pattern: /\bsafe\b/i, amount: 100 },
+    { code: 'refrigerant', label: 'Refrigerant appliance', pattern: /\b(fridge|refrigerator|freezer|air ?conditioner|a\/c)\b/i, amount: 40 },
+    { code: 'mattress', label: 'Mattress', pattern: /\bmattress(es)?\b/i, amount: 25 },
+    { code: 'tires', label: 'Tires', pattern: /\btires?\b/i, amount: 15 }
+  ],
+  // Surcharges for conditions mentioned in the description
+  conditionSurcharges: [
+    { code: 'stairs', label: 'Stairs / difficult access', pattern: /\b(stairs|staircase|basement|attic|no elevator)\b/i, amount: 30 }
+  ],
+  // Per listed item over InventoryService.HEAVY_ITEM_KG
+  heavyItemSurcharge: 35,
+  includedMiles: 10,
+  perMile: 2,
+  asapMultiplier: 1.15,
+  // How far the quote moves towards the historical median of accepted bids
+  historyWeight: 0.4,
+  historyMinSamples: 5,
+  historyDays: 180,
+  range: { low: 0.9, high: 1.15 }
+};
+
+// Where trucks start from (yard or dump site) as "lat,lng"; no distance
+// charge when unset
+const parseOrigin = (value) => {
+  const [lat, lng] = (value || '').split(',').map(Number);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+const ORIGIN = parseOrigin(process.env.PRICING_ORIGIN);
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const milesBetween = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 3958.8 * Math.asin(Math.sqrt(h));
+};
+
+// Median accepted-bid price for similar recent jobs
+const getHistoricalPrice = async (category, volume) => {
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS samples,
+       PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY final_price) AS median
+     FROM jobs
+     WHERE category = $1 AND volume = $2
+       AND accepted_bid_id IS NOT NULL AND final_price IS NOT NULL
+       AND created_at > NOW() - make_interval(days => $3)`,
+    [category, volume, MODEL.historyDays]
+  );
+  const { samples, median } = result.rows[0];
+  return samples >= MODEL.historyMinSamples ? { samples, median: Number(median) } : null;
+};
+
+// Returns { modelVersion, currency, estimate, low, high, breakdown, history }.
+// The breakdown lines always add up to the estimate. Restricted `items`
+// are rejected with a 400.
+const quote = async ({ category, volume, description = '', items = [], serviceType, location }) => {
+  const breakdown = [];
+  const add = (code, label, amount) => {
+    if (amount !== 0) {
+      breakdown.push({ code, label, amount: round(amount) });
+    }
+  };
+
+  const base = MODEL.basePrice[volume];
+  add('base', `Base price (${volume} load)`, base);
+  add('category', `Category adjustment (${category})`, base * ((MODEL.categoryMultiplier[category] || 1) - 1));
+
+  if (items.length > 0) {
+    const screened = InventoryService.screenItems(items).items;
+    screened
+      .filter(item => item.surcharge > 0)
+      .forEach(item => add(`item_${item.type}`, `${item.label} × ${item.quantity}`, item.surcharge));
+    const heavy = screened.filter(item => item.heavy).reduce((count, item) => count + item.quantity, 0);
+    add('heavy_items', `Heavy items (${heavy} over ${InventoryService.HEAVY_ITEM_KG} kg)`, heavy * MODEL.heavyItemSurcharge);
+  } else {
+    MODEL.itemSurcharges
+      .filter(({ pattern }) => pattern.test(description))
+      .forEach(({ code, label, amount }) => add(code, label, amount));
+  }
+  MODEL.conditionSurcharges
+    .filter(({ pattern }) => pattern.test(description))
+    .forEach(({ code, label, amount }) => add(code, label, amount));
+
+  if (ORIGIN && location) {
+    const extraMiles = Math.max(0, milesBetween(ORIGIN, location) - MODEL.includedMiles);
+    add('distance', `Distance (${Math.round(extraMiles)} mi beyond ${MODEL.includedMiles} included)`, extraMiles * MODEL.perMile);
+  }
+
+  const subtotal = () => breakdown.reduce((sum, line) => sum + line.amount, 0);
+
+  if (serviceType === 'asap') {
+    add('asap', 'Same-day service', subtotal() * (MODEL.asapMultiplier - 1));
+  }
+
+  const history = await getHistoricalPrice(category, volume);
+  if (history) {
+    add('market', `Market adjustment (${history.samples} similar jobs)`, (history.median - subtotal()) * MODEL.historyWeight);
+  }
+
+  const minimum = Number(await SettingsService.getSetting('minimumJobAmount')) || 0;
+  if (subtotal() < minimum) {
+    add('minimum', 'Minimum job charge', minimum - subtotal());
+  }
+
+  const estimate = round(subtotal());
+  return {
+    modelVersion: MODEL.version,
+    currency: 'usd',
+    estimate,
+    low: Math.max(minimum, Math.floor(estimate * MODEL.range.low)),
+    high: Math.max(minimum, Math.ceil(estimate * MODEL.range.high)),
+    breakdown,
+    history
+  };
+};
+
+module.exports = {
+  MODEL_VERSION: MODEL.version,
+  quote
+};
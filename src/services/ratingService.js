@@ -0,0 +1,257 @@
+const db = require('../db');
+const JobService = require('./jobService');
+const SocketService = require('./socketService');
+const { createError } = require('../utils/errors');
+const { paginationMeta, offsetFor } = require('../utils/pagination');
+
+// Both sides rate blind: a rating stays hidden from the other party until
+// they have rated too or this many days after completion, whichever comes
+// first. Rating closes at the same point, so nobody rates after seeing theirs.
+const REVEAL_DAYS = parseInt(process.env.RATING_REVEAL_DAYS) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The "recent" half of the trend
+const RECENT_DAYS = 90;
+
+// Feedback tags, keyed by the role of the person being rated
+const TAGS = {
+  driver: ['punctual', 'careful', 'friendly', 'professional', 'efficient', 'good_communication',
+    'late', 'careless', 'unprofessional'],
+  customer: ['accurate_description', 'ready_on_time', 'friendly', 'easy_access', 'clear_instructions',
+    'inaccurate_description', 'not_ready', 'difficult_access', 'unfriendly']
+};
+
+// Per-user average and count over revealed, unmoderated ratings. Joined by
+// bid ranking and dispatch as `LEFT JOIN (...) r ON r.ratee_id = ...`.
+const REPUTATION_SQL = `
+  SELECT ratee_id, AVG(rating)::float AS average_rating, COUNT(*)::int AS rating_count
+  FROM ratings WHERE status = 'visible' AND revealed_at <= NOW()
+  GROUP BY ratee_id`;
+
+const toResponse = (rating) => ({
+  id: rating.id,
+  jobId: rating.job_id,
+  raterId: rating.rater_id,
+  raterRole: rating.rater_role,
+  rateeId: rating.ratee_id,
+  rating: rating.rating,
+  review: rating.review,
+  tags: rating.tags,
+  createdAt: rating.created_at,
+  revealedAt: rating.revealed_at
+});
+
+const isRevealed = (rating) => new Date(rating.revealed_at) <= new Date() && rating.status === 'visible';
+
+module.exports = {
+  TAGS,
+  REPUTATION_SQL,
+
+  // Customers rate their driver and drivers rate their customer
+  submitRating: async (jobId, user, { rating, review, tags = [] }) => {
+    const { created, revealed, job } = await JobService.withTransaction(async (client) => {
+      const locked = await JobService.lockJob(client, jobId);
+      const raterRole = locked && (locked.customer_id === user.id ? 'customer' : locked.driver_id === user.id ? 'driver' : null);
+      if (!raterRole) {
+        throw createError(404, 'Job not found');
+      }
+      if (locked.status !== 'completed') {
+        throw createError(409, 'Only completed jobs can be rated');
+      }
+
+      const closesAt = new Date(new Date(locked.completed_at || locked.updated_at).getTime() + REVEAL_DAYS * DAY_MS);
+      if (closesAt <= new Date()) {
+        throw createError(409, 'The rating period for this job has ended');
+      }
+
+      const rateeRole = raterRole === 'customer' ? 'driver' : 'customer';
+      const unknown = tags.filter(tag => !TAGS[rateeRole].includes(tag));
+      if (unknown.length > 0) {
+        throw createError(400, `Unknown tags for rating a ${rateeRole}: ${unknown.join(', ')}`);
+      }
+
+      let inserted;
+      try {
+        inserted = await client.query(
+          `INSERT INTO ratings (job_id, rater_id, rater_role, ratee_id, rating, review, tags, revealed_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *`,
+          [jobId, user.id, raterRole, raterRole === 'customer' ? locked.driver_id : locked.customer_id,
+            rating, review || null, [...new Set(tags)], closesAt]
+        );
+      } catch (err) {
+        if (err.code === '23505') {
+          throw createError(409, 'You have already rated this job');
+        }
+        throw err;
+      }
+
+      // Second rating in: both become visible now
+      const both = await client.query(
+        `UPDATE ratings SET revealed_at = NOW()
+         WHERE job_id = $1 AND (SELECT COUNT(*) FROM ratings WHERE job_id = $1) = 2
+         RETURNING id`,
+        [jobId]
+      );
+
+      return {
+        created: both.rows.length > 0 ? { ...inserted.rows[0], revealed_at: new Date() } : inserted.rows[0],
+        revealed: both.rows.length > 0,
+        job: locked
+      };
+    });
+
+    if (revealed) {
+      for (const userId of [job.customer_id, job.driver_id]) {
+        SocketService.emitToUser(userId, 'notification', {
+          title: 'Ratings revealed',
+          body: 'You can now see how the other side rated your last job',
+          data: { type: 'ratings_revealed', jobId }
+        });
+      }
+    }
+
+    return toResponse(created);
+  },
+
+  // The caller's own rating and, once revealed, the one they received.
+  // Staff see both regardless.
+  getJobRatings: async (jobId, user) => {
+    const jobResult = await db.query('SELECT customer_id, driver_id, completed_at FROM jobs WHERE id = $1', [jobId]);
+    const job = jobResult.rows[0];
+    const staff = JobService.isStaff(user);
+    if (!job || (job.customer_id !== user.id && job.driver_id !== user.id && !staff)) {
+      throw createError(404, 'Job not found');
+    }
+
+    const result = await db.query('SELECT * FROM ratings WHERE job_id = $1 ORDER BY created_at', [jobId]);
+    if (staff) {
+      return { ratings: result.rows.map(rating => ({ ...toResponse(rating), status: rating.status })) };
+    }
+
+    const given = result.rows.find(rating => rating.rater_id === user.id);
+    const received = result.rows.find(rating => rating.ratee_id === user.id);
+    return {
+      given: given ? toResponse(given) : null,
+      received: received && isRevealed(received) ? toResponse(received) : null,
+      receivedPending: Boolean(received && !isRevealed(received)),
+      revealsAt: job.completed_at ? new Date(new Date(job.completed_at).getTime() + REVEAL_DAYS * DAY_MS) : null
+    };
+  },
+
+  // Average, count, recent trend and most common tags for a user's
+  // revealed ratings
+  getReputation: async (userId) => {
+    const [summary, tags] = await Promise.all([
+      db.query(
+        `SELECT AVG(rating)::float AS average,
+           COUNT(*)::int AS count,
+           AVG(rating) FILTER (WHERE created_at > NOW() - make_interval(days => $2))::float AS recent_average,
+           COUNT(*) FILTER (WHERE created_at > NOW() - make_interval(days => $2))::int AS recent_count
+         FROM ratings
+         WHERE ratee_id = $1 AND status = 'visible' AND revealed_at <= NOW()`,
+        [userId, RECENT_DAYS]
+      ),
+      db.query(
+        `SELECT tag, COUNT(*)::int AS count
+         FROM ratings, UNNEST(tags) AS tag
+         WHERE ratee_id = $1 AND status = 'visible' AND revealed_at <= NOW()
+         GROUP BY tag ORDER BY count DESC, tag LIMIT 10`,
+        [userId]
+      )
+    ]);
+
+    const { average, count, recent_average: recentAverage, recent_count: recentCount } = summary.rows[0];
+    const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+    return {
+      userId,
+      averageRating: round(average),
+      ratingCount: count,
+      recentAverage: round(recentAverage),
+      recentCount,
+      // Recent average against the all-time one; positive means improving
+      trend: recentCount > 0 && count > recentCount ? round(recentAverage - average) : 0,
+      tags: tags.rows
+    };
+  },
+
+  // Revealed reviews a user has received, newest first
+  getReceivedRatings: async (userId, { page, limit }) => {
+    const where = "ratee_id = $1 AND status = 'visible' AND revealed_at <= NOW()";
+    const [rows, count] = await Promise.all([
+      db.query(
+        `SELECT * FROM ratings WHERE ${where} ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+        [userId, limit, offsetFor(page, limit)]
+      ),
+      db.query(`SELECT COUNT(*) FROM ratings WHERE ${where}`, [userId])
+    ]);
+
+    return {
+      ratings: rows.rows.map(rating => {
+        // Raters stay anonymous on public profiles
+        const { raterId, ...rest } = toResponse(rating);
+        return rest;
+      }),
+      pagination: paginationMeta(page, limit, parseInt(count.rows[0].count))
+    };
+  },
+
+  // Admin console listing, including hidden and not-yet-revealed ratings
+  listRatings: async ({ status, rateeId, maxRating, page, limit }) => {
+    const conditions = [];
+    const values = [];
+    if (status) {
+      values.push(status);
+      conditions.push(`r.status = $${values.length}`);
+    }
+    if (rateeId) {
+      values.push(rateeId);
+      conditions.push(`r.ratee_id = $${values.length}`);
+    }
+    if (maxRating) {
+      values.push(maxRating);
+      conditions.push(`r.rating <= $${values.length}`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows, count] = await Promise.all([
+      db.query(
+        `SELECT r.*, rater.name AS rater_name, ratee.name AS ratee_name
+         FROM ratings r
+         JOIN users rater ON rater.id = r.rater_id
+         JOIN users ratee ON ratee.id = r.ratee_id
+         ${where}
+         ORDER BY r.created_at DESC
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offsetFor(page, limit)]
+      ),
+      db.query(`SELECT COUNT(*) FROM ratings r ${where}`, values)
+    ]);
+
+    return {
+      ratings: rows.rows.map(rating => ({
+        ...toResponse(rating),
+        raterName: rating.rater_name,
+        rateeName: rating.ratee_name,
+        status: rating.status,
+        moderatedBy: rating.moderated_by,
+        moderatedAt: rating.moderated_at,
+        moderationReason: rating.moderation_reason
+      })),
+      pagination: paginationMeta(page, limit, parseInt(count.rows[0].count))
+    };
+  },
+
+  // Hidden ratings drop out of profiles, aggregates and ranking
+  moderateRating: async (ratingId, { status, reason }, moderatorId) => {
+    const result = await db.query(
+      `UPDATE ratings SET status = $2, moderation_reason = $3, moderated_by = $4, moderated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [ratingId, status, reason || null, moderatorId]
+    );
+    if (!result.rows[0]) {
+      throw createError(404, 'Rating not found');
+    }
+    return { ...toResponse(result.rows[0]), status: result.rows[0].status, moderationReason: result.rows[0].moderation_reason };
+  }
+};
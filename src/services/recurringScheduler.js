@@ -0,0 +1,33 @@
+const Queue = require('bull');
+
+// Turns recurring pickup schedules into jobs. Nothing is time-critical to
+// the minute: jobs are created days ahead, so an hourly sweep is enough.
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+let queue;
+
+const getQueue = () => {
+  if (!queue) {
+    queue = new Queue('recurring', process.env.REDIS_URL || 'redis://localhost:6379');
+  }
+  return queue;
+};
+
+// Starts processing in this process
+const start = () => {
+  // Required here, like the other schedulers, so loading this module stays
+  // cheap for processes that never run the sweep
+  const RecurringService = require('./recurringService');
+  const recurringQueue = getQueue();
+
+  recurringQueue.process('sweep', () => RecurringService.runDue());
+  recurringQueue.add('sweep', {}, { repeat: { every: SWEEP_INTERVAL_MS }, removeOnComplete: true });
+
+  recurringQueue.on('failed', (job, err) => {
+    console.error(`Recurring queue job ${job.name} ${job.id} failed:`, err);
+  });
+};
+
+module.exports = {
+  start
+};
@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const db = require('../db');
+const JobService = require('./jobService');
+const CancellationService = require('./cancellationService');
+const PaymentService = require('./paymentService');
+const SlotService = require('./slotService');
+const SocketService = require('./socketService');
+const InventoryService = require('./inventoryService');
+const RRule = require('../utils/rrule');
+const { createError } = require('../utils/errors');
+const { paginationMeta, offsetFor } = require('../utils/pagination');
+
+// Occurrences are listed this far ahead so customers can skip specific
+// dates; each one becomes a real job JOB_LEAD_DAYS before it's due.
+const MATERIALIZE_DAYS = 60;
+const JOB_LEAD_DAYS = parseInt(process.env.RECURRING_JOB_LEAD_DAYS) || 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TEMPLATE_FIELDS = ['address', 'phone', 'contactMethod', 'description', 'category', 'volume', 'instructions', 'items'];
+
+const pickTemplate = (template) =>
+  Object.fromEntries(TEMPLATE_FIELDS.filter(field => template[field] !== undefined).map(field => [field, template[field]]));
+
+const ruleFor = (frequency, rrule) => {
+  const rule = frequency === 'custom' ? rrule : RRule.PRESETS[frequency];
+  try {
+    RRule.parse(rule || '');
+  } catch (err) {
+    throw createError(400, err instanceof RRule.RRuleError ? err.message : 'Invalid recurrence rule');
+  }
+  return rule;
+};
+
+const getOwnSchedule = async (queryable, scheduleId, user) => {
+  const result = await queryable.query('SELECT * FROM recurring_schedules WHERE id = $1', [scheduleId]);
+  const schedule = result.rows[0];
+  if (!schedule || (schedule.customer_id !== user.id && !JobService.isStaff(user))) {
+    throw createError(404, 'Recurring pickup not found');
+  }
+  return schedule;
+};
+
+// Lists upcoming dates as 'scheduled' occurrences. Existing rows are kept,
+// so skipped dates stay skipped.
+const materialize = async (schedule) => {
+  if (schedule.status !== 'active') {
+    return;
+  }
+  const now = new Date();
+  const dates = RRule.between(
+    schedule.rrule, new Date(schedule.starts_at), now, new Date(now.getTime() + MATERIALIZE_DAYS * DAY_MS), SlotService.TIMEZONE
+  );
+  await db.query(
+    `INSERT INTO recurring_occurrences (schedule_id, scheduled_for)
+     SELECT $1, UNNEST($2::timestamptz[])
+     ON CONFLICT (schedule_id, scheduled_for) DO NOTHING`,
+    [schedule.id, dates]
+  );
+};
+
+const clearUpcoming = (scheduleId, before = null) => db.query(
+  `DELETE FROM recurring_occurrences
+   WHERE schedule_id = $1 AND status = 'scheduled' AND ($2::timestamptz IS NULL OR scheduled_for < $2)`,
+  [scheduleId, before]
+);
+
+// Creates the job for one occurrence and charges the saved card for it
+const generateOccurrence = async (occurrence, schedule) => {
+  const claimed = await db.query(
+    "UPDATE recurring_occurrences SET status = 'generating', updated_at = NOW() WHERE id = $1 AND status = 'scheduled' RETURNING id",
+    [occurrence.id]
+  );
+  if (!claimed.rows[0]) {
+    return null;
+  }
+
+  let job;
+  try {
+    // Books the slot window the occurrence falls in, so repeat pickups
+    // can't overbook it
+    const hold = await SlotService.holdWindowAt(schedule.customer_id, {
+      address: schedule.template.address,
+      at: occurrence.scheduled_for
+    });
+    job = await JobService.createJob({
+      ...schedule.template,
+      customerId: schedule.customer_id,
+      serviceType: 'scheduled',
+      pricingPreference: 'ai',
+      slotHoldId: hold.id,
+      recurringScheduleId: schedule.id,
+      preferredDriverId: schedule.prefer_same_driver ? schedule.preferred_driver_id : null
+    });
+  } catch (err) {
+    console.error(`Recurring pickup ${schedule.id} failed to create a job:`, err);
+    await db.query(
+      "UPDATE recurring_occurrences SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1",
+      [occurrence.id, err.message]
+    );
+    SocketService.emitToUser(schedule.customer_id, 'notification', {
+      title: 'Recurring pickup not booked',
+      body: `We couldn't book your pickup for ${new Date(occurrence.scheduled_for).toDateString()}: ${err.message}`,
+      data: { type: 'recurring_failed', scheduleId: schedule.id, occurrenceId: occurrence.id }
+    });
+    return null;
+  }
+
+  let payment = { status: null, reference: null };
+  if (schedule.payment_method_id) {
+    payment = await PaymentService.chargeSavedPaymentMethod({
+      customerId: schedule.customer_id,
+      paymentMethodId: schedule.payment_method_id,
+      amount: Number(job.quote_estimate),
+      jobId: job.id,
+      description: `Recurring pickup on ${new Date(occurrence.scheduled_for).toDateString()}`
+    }).catch(err => {
+      console.error(`Recurring pickup charge failed for job ${job.id}:`, err);
+      return { status: 'failed', reference: null };
+    });
+  }
+
+  await db.query(
+    `UPDATE recurring_occurrences SET status = 'generated', job_id = $2, payment_status = $3,
+       payment_reference = $4, updated_at = NOW()
+     WHERE id = $1`,
+    [occurrence.id, job.id, payment.status, payment.reference]
+  );
+
+  // The preferred driver gets first look; anyone can still take the job
+  if (job.preferred_driver_id) {
+    SocketService.emitToUser(job.preferred_driver_id, 'notification', {
+      title: 'Repeat pickup available',
+      body: `A customer you've served before has a pickup on ${new Date(occurrence.scheduled_for).toDateString()}`,
+      data: { type: 'recurring_job', jobId: job.id }
+    });
+  }
+  if (payment.status === 'failed') {
+    SocketService.emitToUser(schedule.customer_id, 'notification', {
+      title: 'Payment failed',
+      body: 'We could not charge your saved card for an upcoming pickup. Please update your payment method.',
+      data: { type: 'recurring_payment_failed', scheduleId: schedule.id, jobId: job.id }
+    });
+  }
+  return job;
+};
+
+module.exports = {
+  TEMPLATE_FIELDS,
+
+  createSchedule: async (customer, { template, frequency, rrule, startsAt, preferSameDriver = false, paymentMethodId }) => {
+    const rule = ruleFor(frequency, rrule);
+    if (new Date(startsAt) <= new Date()) {
+      throw createError(400, 'startsAt must be in the future');
+    }
+    InventoryService.screenItems(template.items);
+
+    const result = await db.query(
+      `INSERT INTO recurring_schedules
+         (id, customer_id, template, frequency, rrule, starts_at, prefer_same_driver, payment_method_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [crypto.randomUUID(), customer.id, JSON.stringify(pickTemplate(template)), frequency, rule, startsAt,
+        preferSameDriver, paymentMethodId || null]
+    );
+    await materialize(result.rows[0]);
+    return module.exports.getSchedule(result.rows[0].id, customer);
+  },
+
+  listSchedules: async (customerId, { page, limit }) => {
+    const [rows, count] = await Promise.all([
+      db.query(
+        `SELECT * FROM recurring_schedules WHERE customer_id = $1 AND status <> 'cancelled'
+         ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+        [customerId, limit, offsetFor(page, limit)]
+      ),
+      db.query("SELECT COUNT(*) FROM recurring_schedules WHERE customer_id = $1 AND status <> 'cancelled'", [customerId])
+    ]);
+
+    return {
+      schedules: rows.rows,
+      pagination: paginationMeta(page, limit, parseInt(count.rows[0].count))
+    };
+  },
+
+  // The schedule with its recent and upcoming occurrences
+  getSchedule: async (scheduleId, user) => {
+    const schedule = await getOwnSchedule(db, scheduleId, user);
+    const occurrences = await db.query(
+      `SELECT o.id, o.scheduled_for, o.status, o.job_id, o.payment_status, o.error, j.status AS job_status
+       FROM recurring_occurrences o LEFT JOIN jobs j ON j.id = o.job_id
+       WHERE o.schedule_id = $1 AND o.scheduled_for > NOW() - INTERVAL '30 days'
+       ORDER BY o.scheduled_for`,
+      [scheduleId]
+    );
+    return { ...schedule, occurrences: occurrences.rows };
+  },
+
+  // Template and preference changes apply to jobs not created yet; a new
+  // frequency replaces the upcoming dates
+  updateSchedule: async (scheduleId, customer, { template, frequency, rrule, preferSameDriver, paymentMethodId }) => {
+    const schedule = await getOwnSchedule(db, scheduleId, customer);
+    if (schedule.status === 'cancelled') {
+      throw createError(409, 'This recurring pickup has been cancelled');
+    }
+    const rule = frequency ? ruleFor(frequency, rrule) : null;
+    if (template) {
+      InventoryService.screenItems(template.items);
+    }
+
+    const result = await db.query(
+      `UPDATE recurring_schedules SET
+         template = COALESCE($2, template),
+         frequency = COALESCE($3, frequency),
+         rrule = COALESCE($4, rrule),
+         prefer_same_driver = COALESCE($5, prefer_same_driver),
+         payment_method_id = COALESCE($6, payment_method_id),
+         updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [scheduleId, template ? JSON.stringify({ ...schedule.template, ...pickTemplate(template) }) : null,
+        frequency || null, rule, preferSameDriver ?? null, paymentMethodId || null]
+    );
+
+    if (rule) {
+      await clearUpcoming(scheduleId);
+      await materialize(result.rows[0]);
+    }
+    return module.exports.getSchedule(scheduleId, customer);
+  },
+
+  // Stops creating jobs until `until` (or until resumed). Dates inside the
+  // pause are dropped; jobs already created are left alone.
+  pauseSchedule: async (scheduleId, customer, until = null) => {
+    const schedule = await getOwnSchedule(db, scheduleId, customer);
+    if (schedule.status !== 'active') {
+      throw createError(409, `A ${schedule.status} recurring pickup cannot be paused`);
+    }
+
+    await db.query(
+      "UPDATE recurring_schedules SET status = 'paused', paused_until = $2, updated_at = NOW() WHERE id = $1",
+      [scheduleId, until]
+    );
+    await clearUpcoming(scheduleId, until);
+    return module.exports.getSchedule(scheduleId, customer);
+  },
+
+  resumeSchedule: async (scheduleId, customer) => {
+    const schedule = await getOwnSchedule(db, scheduleId, customer);
+    if (schedule.status !== 'paused') {
+      throw createError(409, 'This recurring pickup is not paused');
+    }
+
+    const result = await db.query(
+      "UPDATE recurring_schedules SET status = 'active', paused_until = NULL, updated_at = NOW() WHERE id = $1 RETURNING *",
+      [scheduleId]
+    );
+    await materialize(result.rows[0]);
+    return module.exports.getSchedule(scheduleId, customer);
+  },
+
+  cancelSchedule: async (scheduleId, customer) => {
+    await getOwnSchedule(db, scheduleId, customer);
+    await db.query(
+      "UPDATE recurring_schedules SET status = 'cancelled', updated_at = NOW() WHERE id = $1",
+      [scheduleId]
+    );
+    await clearUpcoming(scheduleId);
+  },
+
+  // Skips one date. If its job already exists it is cancelled under the
+  // normal cancellation policy.
+  skipOccurrence: async (scheduleId, occurrenceId, customer, reason) => {
+    await getOwnSchedule(db, scheduleId, customer);
+    const result = await db.query(
+      'SELECT * FROM recurring_occurrences WHERE id = $1 AND schedule_id = $2',
+      [occurrenceId, scheduleId]
+    );
+    const occurrence = result.rows[0];
+    if (!occurrence) {
+      throw createError(404, 'Occurrence not found');
+    }
+    if (!['scheduled', 'generated'].includes(occurrence.status)) {
+      throw createError(409, `A ${occurrence.status} occurrence cannot be skipped`);
+    }
+
+    let cancellation = null;
+    if (occurrence.job_id) {
+      const job = await CancellationService.cancelJob(occurrence.job_id, { id: customer.id, role: 'customer' }, {
+        reason: reason || 'Skipped recurring pickup'
+      });
+      cancellation = job.cancellation;
+    }
+
+    await db.query(
+      "UPDATE recurring_occurrences SET status = 'skipped', updated_at = NOW() WHERE id = $1",
+      [occurrenceId]
+    );
+    return { id: occurrence.id, scheduledFor: occurrence.scheduled_for, status: 'skipped', cancellation };
+  },
+
+  unskipOccurrence: async (scheduleId, occurrenceId, customer) => {
+    await getOwnSchedule(db, scheduleId, customer);
+    const result = await db.query(
+      `UPDATE recurring_occurrences SET status = 'scheduled', updated_at = NOW()
+       WHERE id = $1 AND schedule_id = $2 AND status = 'skipped' AND job_id IS NULL AND scheduled_for > NOW()
+       RETURNING id, scheduled_for, status`,
+      [occurrenceId, scheduleId]
+    );
+    if (!result.rows[0]) {
+      throw createError(409, 'Only skipped future dates without a job can be restored');
+    }
+    return result.rows[0];
+  },
+
+  // Run periodically by the scheduler: ends finished pauses, lists new
+  // dates, creates jobs coming due and marks dates that passed unbooked
+  runDue: async () => {
+    await db.query(
+      "UPDATE recurring_schedules SET status = 'active', paused_until = NULL, updated_at = NOW() WHERE status = 'paused' AND paused_until <= NOW()"
+    );
+
+    // Keep offering the job to whoever completed the last one
+    await db.query(
+      `UPDATE recurring_schedules s SET preferred_driver_id = last.driver_id
+       FROM (
+         SELECT DISTINCT ON (recurring_schedule_id) recurring_schedule_id, driver_id
+         FROM jobs WHERE recurring_schedule_id IS NOT NULL AND status = 'completed'
+         ORDER BY recurring_schedule_id, completed_at DESC
+       ) last
+       WHERE s.id = last.recurring_schedule_id AND s.prefer_same_driver`
+    );
+
+    const schedules = await db.query("SELECT * FROM recurring_schedules WHERE status = 'active'");
+    for (const schedule of schedules.rows) {
+      await materialize(schedule);
+    }
+
+    await db.query(
+      "UPDATE recurring_occurrences SET status = 'missed', updated_at = NOW() WHERE status = 'scheduled' AND scheduled_for <= NOW()"
+    );
+
+    const due = await db.query(
+      `SELECT o.* FROM recurring_occurrences o
+       JOIN recurring_schedules s ON s.id = o.schedule_id AND s.status = 'active'
+       WHERE o.status = 'scheduled' AND o.scheduled_for <= NOW() + make_interval(days => $1)
+       ORDER BY o.scheduled_for`,
+      [JOB_LEAD_DAYS]
+    );
+    const byId = new Map(schedules.rows.map(schedule => [schedule.id, schedule]));
+    let created = 0;
+    for (const occurrence of due.rows) {
+      if (await generateOccurrence(occurrence, byId.get(occurrence.schedule_id))) {
+        created += 1;
+      }
+    }
+    return created;
+  }
+};
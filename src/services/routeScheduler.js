@@ -0,0 +1,50 @@
+const Queue = require('bull');
+
+// Recomputes drivers' stored day routes after their jobs change. The short
+// delay lets the change commit first and folds bursts of changes into one
+// recompute per driver and day.
+const RECOMPUTE_DELAY_MS = 3000;
+
+let queue;
+
+const getQueue = () => {
+  if (!queue) {
+    queue = new Queue('routes', process.env.REDIS_URL || 'redis://localhost:6379');
+  }
+  return queue;
+};
+
+// `date` is the local YYYY-MM-DD day of the route. Changes within one
+// RECOMPUTE_DELAY_MS window share a job id; that job can't start before
+// the window is over, so a later change always gets a recompute of its own.
+const scheduleRecompute = (driverId, date) => getQueue().add(
+  'recompute',
+  { driverId, date },
+  {
+    jobId: `recompute:${driverId}:${date}:${Math.floor(Date.now() / RECOMPUTE_DELAY_MS)}`,
+    delay: RECOMPUTE_DELAY_MS,
+    attempts: 2,
+    backoff: 5000,
+    removeOnComplete: true,
+    removeOnFail: true
+  }
+);
+
+// Starts processing in this process
+const start = () => {
+  // Required here: RouteService loads SocketService, which depends on
+  // JobService, which schedules through this module
+  const RouteService = require('./routeService');
+  const routeQueue = getQueue();
+
+  routeQueue.process('recompute', (job) => RouteService.recompute(job.data.driverId, job.data.date));
+
+  routeQueue.on('failed', (job, err) => {
+    console.error(`Routes queue job ${job.name} ${job.id} failed:`, err);
+  });
+};
+
+module.exports = {
+  scheduleRecompute,
+  start
+};
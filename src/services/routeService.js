@@ -0,0 +1,272 @@
+const db = require('../db');
+const SocketService = require('./socketService');
+const SlotService = require('./slotService');
+const RouteSolver = require('../utils/routeSolver');
+const { ACTIVE_STATUSES } = require('./jobStateMachine');
+const { createError } = require('../utils/errors');
+
+// Truck space each job takes, in the same units as a driver's capacity
+const VOLUME_UNITS = { small: 1, medium: 2, large: 4 };
+const SERVICE_MINUTES = { small: 20, medium: 35, large: 60 };
+const DEFAULT_CAPACITY = parseInt(process.env.TRUCK_CAPACITY_UNITS) || 6;
+const AVERAGE_SPEED_MPH = parseInt(process.env.ROUTE_AVERAGE_SPEED_MPH) || 22;
+const DAY_START = process.env.ROUTE_DAY_START || '07:00';
+// Straight lines understate road distance by roughly this much in cities
+const ROAD_FACTOR = 1.3;
+const DUMP_MINUTES = 20;
+// Scheduled jobs booked without a slot are given a window this long
+const DEFAULT_WINDOW_MINUTES = 120;
+// Disposal sites considered for a route, nearest first
+const MAX_SITES = 5;
+// Jobs the driver has already set off for stay at the front, in this order
+const PINNED_STATUSES = ['in_progress', 'arrived', 'en_route'];
+const METERS_PER_MILE = 1609.344;
+
+const roundCoordinate = (value) => Math.round(value * 10000) / 10000;
+
+// Default distances: rows imported into distance_cache where present,
+// straight-line estimates otherwise. Never calls a map API.
+const cachedOrStraightLine = async (points) => {
+  const rounded = points.map(point => ({ lat: roundCoordinate(point.lat), lng: roundCoordinate(point.lng) }));
+  const result = await db.query(
+    `SELECT from_lat::float, from_lng::float, to_lat::float, to_lng::float, meters, seconds
+     FROM distance_cache
+     WHERE (from_lat, from_lng) IN (SELECT * FROM UNNEST($1::numeric[], $2::numeric[]))
+       AND (to_lat, to_lng) IN (SELECT * FROM UNNEST($1::numeric[], $2::numeric[]))`,
+    [rounded.map(point => point.lat), rounded.map(point => point.lng)]
+  );
+  const cached = new Map(result.rows.map(row => [
+    `${row.from_lat},${row.from_lng}>${row.to_lat},${row.to_lng}`,
+    { meters: row.meters, seconds: row.seconds }
+  ]));
+
+  const metersPerSecond = (AVERAGE_SPEED_MPH * METERS_PER_MILE) / 3600;
+  return rounded.map((from, i) => rounded.map((to, j) => {
+    if (i === j) {
+      return { meters: 0, seconds: 0 };
+    }
+    const hit = cached.get(`${from.lat},${from.lng}>${to.lat},${to.lng}`);
+    if (hit) {
+      return hit;
+    }
+    const meters = RouteSolver.haversineMeters(points[i], points[j]) * ROAD_FACTOR;
+    return { meters, seconds: meters / metersPerSecond };
+  }));
+};
+
+let distanceMatrix = cachedOrStraightLine;
+
+// Replaces the distance source, e.g. with a self-hosted routing engine.
+// `matrix(points)` resolves to matrix[from][to] = { meters, seconds }.
+const setDistanceMatrix = (matrix) => {
+  distanceMatrix = matrix;
+};
+
+const getDayJobs = (driverId, date) => db.query(
+  `SELECT id, status, lat, lng, volume, address, items, screening_flags, scheduled_date, slot_end
+   FROM jobs
+   WHERE driver_id = $1 AND status = ANY($2) AND lat IS NOT NULL
+     AND ((scheduled_date AT TIME ZONE $3)::date = $4::date
+       OR (scheduled_date IS NULL AND $4::date = (NOW() AT TIME ZONE $3)::date))
+   ORDER BY id`,
+  [driverId, ACTIVE_STATUSES, SlotService.TIMEZONE, date]
+);
+
+// Where and when the day starts: the driver's live position for today,
+// otherwise their service area base, at DAY_START (or now, if later)
+const getStart = async (driverId, date, jobs) => {
+  const result = await db.query(
+    `SELECT
+       (SELECT json_build_object('lat', lat, 'lng', lng) FROM driver_locations
+        WHERE driver_id = $1 AND updated_at > NOW() - INTERVAL '30 minutes'
+          AND $2::date = (NOW() AT TIME ZONE $3)::date) AS live,
+       (SELECT json_build_object('lat', lat, 'lng', lng) FROM driver_service_areas WHERE driver_id = $1) AS base,
+       (SELECT truck_capacity_units FROM driver_service_areas WHERE driver_id = $1) AS capacity,
+       GREATEST(($2::date + $4::time) AT TIME ZONE $3, NOW()) AS start_at`,
+    [driverId, date, SlotService.TIMEZONE, DAY_START]
+  );
+  const row = result.rows[0];
+  return {
+    point: row.live || row.base || { lat: jobs[0].lat, lng: jobs[0].lng },
+    startAt: new Date(row.start_at),
+    capacity: row.capacity || DEFAULT_CAPACITY
+  };
+};
+
+const getSites = async (jobs) => {
+  const lat = jobs.reduce((sum, job) => sum + job.lat, 0) / jobs.length;
+  const lng = jobs.reduce((sum, job) => sum + job.lng, 0) / jobs.length;
+  const result = await db.query(
+    `SELECT id, name, kind, lat, lng FROM disposal_sites
+     WHERE active
+     ORDER BY location <-> ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography
+     LIMIT $3`,
+    [lat, lng, MAX_SITES]
+  );
+  return result.rows;
+};
+
+const toPlan = (driverId, date, solution, { start, startAt, jobs, sites, capacity }) => {
+  const points = [start, ...jobs, ...sites];
+  const iso = (time) => new Date(time).toISOString();
+  const siteById = new Map(sites.map(site => [site.id, site]));
+
+  const jobById = new Map(jobs.map(job => [job.id, job]));
+
+  return {
+    driverId,
+    date,
+    capacity,
+    start: { lat: start.lat, lng: start.lng, at: iso(startAt) },
+    sequence: solution.order.map(index => jobs[index].id),
+    stops: solution.stops.map(stop => (stop.type === 'job'
+      ? {
+        type: 'job',
+        jobId: stop.jobId,
+        address: jobById.get(stop.jobId).address,
+        items: jobById.get(stop.jobId).items,
+        screeningFlags: jobById.get(stop.jobId).screening_flags,
+        eta: iso(stop.arriveAt),
+        serviceStartAt: iso(stop.serviceStartAt),
+        departAt: iso(stop.departAt),
+        lateMinutes: Math.round(stop.lateSeconds / 60),
+        loadAfter: stop.loadAfter,
+        overCapacity: stop.overCapacity
+      }
+      : {
+        type: 'dump',
+        siteId: stop.siteId,
+        name: siteById.get(stop.siteId).name,
+        kind: siteById.get(stop.siteId).kind,
+        eta: iso(stop.arriveAt),
+        departAt: iso(stop.departAt)
+      })),
+    legs: solution.legs.map((leg, index) => ({
+      from: { lat: points[leg.from].lat, lng: points[leg.from].lng },
+      to: { lat: points[leg.to].lat, lng: points[leg.to].lng },
+      stopIndex: index,
+      distanceMiles: Math.round((leg.meters / METERS_PER_MILE) * 10) / 10,
+      minutes: Math.round(leg.seconds / 60)
+    })),
+    totals: {
+      distanceMiles: Math.round((solution.meters / METERS_PER_MILE) * 10) / 10,
+      drivingMinutes: Math.round(solution.drivingSeconds / 60),
+      lateMinutes: Math.round(solution.lateSeconds / 60),
+      finishAt: iso(solution.finishAt)
+    }
+  };
+};
+
+// Solves and stores the driver's route for a local date (YYYY-MM-DD)
+const planRoute = async (driverId, date) => {
+  const { rows: jobs } = await getDayJobs(driverId, date);
+  const jobIds = jobs.map(job => job.id);
+  let plan;
+
+  if (jobs.length === 0) {
+    plan = { driverId, date, sequence: [], stops: [], legs: [], totals: { distanceMiles: 0, drivingMinutes: 0, lateMinutes: 0 } };
+  } else {
+    const [{ point: start, startAt, capacity }, sites] = await Promise.all([getStart(driverId, date, jobs), getSites(jobs)]);
+    const points = [start, ...jobs, ...sites];
+    const matrix = await distanceMatrix(points);
+
+    const solverJobs = jobs.map((job, index) => {
+      const windowStart = job.scheduled_date ? new Date(job.scheduled_date) : null;
+      const windowEnd = job.slot_end
+        ? new Date(job.slot_end)
+        : windowStart && new Date(windowStart.getTime() + DEFAULT_WINDOW_MINUTES * 60000);
+      return {
+        id: job.id,
+        point: index + 1,
+        units: VOLUME_UNITS[job.volume] || VOLUME_UNITS.medium,
+        serviceSeconds: (SERVICE_MINUTES[job.volume] || SERVICE_MINUTES.medium) * 60,
+        windowStart,
+        windowEnd
+      };
+    });
+    const pinned = jobs
+      .map((job, index) => ({ index, rank: PINNED_STATUSES.indexOf(job.status) }))
+      .filter(job => job.rank !== -1)
+      .sort((a, b) => a.rank - b.rank)
+      .map(job => job.index);
+
+    const solution = RouteSolver.solve({
+      start: 0,
+      startAt,
+      capacity,
+      jobs: solverJobs,
+      pinned,
+      sites: sites.map((site, index) => ({ id: site.id, point: jobs.length + 1 + index })),
+      travel: (from, to) => matrix[from][to],
+      dumpSeconds: DUMP_MINUTES * 60
+    });
+    plan = toPlan(driverId, date, solution, { start, startAt, jobs, sites, capacity });
+  }
+
+  await db.query(
+    `INSERT INTO route_plans (driver_id, plan_date, job_ids, plan, computed_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (driver_id, plan_date) DO UPDATE SET job_ids = $3, plan = $4, computed_at = NOW()`,
+    [driverId, date, jobIds, JSON.stringify(plan)]
+  );
+  return { ...plan, computedAt: new Date() };
+};
+
+module.exports = {
+  VOLUME_UNITS,
+  setDistanceMatrix,
+  planRoute,
+
+  // The stored route if it still covers exactly the day's jobs; otherwise
+  // (or when `refresh` is set) a fresh one
+  getRoute: async (driverId, date, { refresh = false } = {}) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw createError(400, 'date must be YYYY-MM-DD');
+    }
+    if (!refresh) {
+      const [stored, current] = await Promise.all([
+        db.query('SELECT job_ids, plan, computed_at FROM route_plans WHERE driver_id = $1 AND plan_date = $2', [driverId, date]),
+        getDayJobs(driverId, date)
+      ]);
+      const plan = stored.rows[0];
+      const currentIds = current.rows.map(job => job.id);
+      if (plan && plan.job_ids.length === currentIds.length && [...plan.job_ids].sort().every((id, i) => id === currentIds[i])) {
+        return { ...plan.plan, computedAt: plan.computed_at };
+      }
+    }
+    return planRoute(driverId, date);
+  },
+
+  // Run by RouteScheduler after the driver's jobs change
+  recompute: async (driverId, date) => {
+    const plan = await planRoute(driverId, date);
+    SocketService.emitToUser(driverId, 'route-updated', plan);
+    return plan;
+  },
+
+  // Admin-managed disposal sites used for mid-route dump stops
+  listDisposalSites: async () => {
+    const result = await db.query('SELECT id, name, kind, lat, lng, active, created_at FROM disposal_sites ORDER BY name');
+    return result.rows;
+  },
+
+  addDisposalSite: async ({ name, kind, lat, lng }) => {
+    const result = await db.query(
+      `INSERT INTO disposal_sites (name, kind, lat, lng) VALUES ($1, $2, $3, $4)
+       RETURNING id, name, kind, lat, lng, active, created_at`,
+      [name, kind, lat, lng]
+    );
+    return result.rows[0];
+  },
+
+  setDisposalSiteActive: async (siteId, active) => {
+    const result = await db.query(
+      'UPDATE disposal_sites SET active = $2 WHERE id = $1 RETURNING id, name, kind, lat, lng, active, created_at',
+      [siteId, active]
+    );
+    if (!result.rows[0]) {
+      throw createError(404, 'Disposal site not found');
+    }
+    return result.rows[0];
+  }
+};
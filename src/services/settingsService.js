@@ -0,0 +1,55 @@
+const db = require('../db');
+
+// Values used until an admin changes them through PUT /api/admin/settings
+const DEFAULT_SETTINGS = {
+  commissionRate: 15,
+  aiPricingEnabled: true,
+  minimumJobAmount: 50,
+  autoDispatchEnabled: false,
+  maxBidDuration: 30, // minutes a bidding window stays open
+  // Cancellation policy: free until a driver is assigned and for this many
+  // minutes after; then a flat fee, plus compensation for a driver already
+  // on the way
+  cancellationFreeWindowMinutes: 10,
+  cancellationFee: 25,
+  driverEnRouteCompensation: 15,
+  // Evidence a driver must submit to complete a job
+  completionMinBeforePhotos: 1,
+  completionMinAfterPhotos: 1,
+  completionMaxDistanceMeters: 300,
+  completionRequireConfirmation: false, // customer signature or PIN
+  completionRequireReceipts: false // disposal receipts
+};
+
+const getSettings = async () => {
+  const result = await db.query('SELECT key, value FROM system_settings');
+  return result.rows.reduce(
+    (settings, { key, value }) => ({ ...settings, [key]: value }),
+    { ...DEFAULT_SETTINGS }
+  );
+};
+
+const getSetting = async (key) => (await getSettings())[key];
+
+// Only known keys are stored; anything else in `changes` is ignored
+const updateSettings = async (changes, updatedBy) => {
+  const entries = Object.entries(changes).filter(([key]) => key in DEFAULT_SETTINGS);
+
+  for (const [key, value] of entries) {
+    await db.query(
+      `INSERT INTO system_settings (key, value, updated_by, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (key) DO UPDATE SET value = $2, updated_by = $3, updated_at = NOW()`,
+      [key, JSON.stringify(value), updatedBy]
+    );
+  }
+
+  return getSettings();
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSettings,
+  getSetting,
+  updateSettings
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const db = require('../db');
+const GeocodingService = require('./geocodingService');
+const { createError } = require('../utils/errors');
+
+// Scheduled jobs are booked into fixed time windows. A window is offered at
+// an address when the drivers covering it have more room in it than is
+// already taken by jobs and live holds there.
+const TIMEZONE = process.env.SERVICE_TIMEZONE || 'America/New_York';
+const SLOT_WINDOWS = (process.env.SLOT_WINDOWS || '08:00-10:00,10:00-12:00,12:00-14:00,14:00-16:00,16:00-18:00')
+  .split(',')
+  .map(window => window.trim().split('-'))
+  .map(([start, end]) => ({ start, end }));
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES) || 10;
+const MIN_LEAD_HOURS = parseInt(process.env.SLOT_MIN_LEAD_HOURS) || 12;
+const BOOKING_DAYS = 14;
+const METERS_PER_MILE = 1609.344;
+// How far a job may be from the address its slot was held for
+const HOLD_MATCH_METERS = 200;
+
+// YYYY-MM-DD in the service time zone
+const localDate = (date) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(date);
+
+// Capacity and bookings per window between two local dates (inclusive).
+// A driver counts towards a window if the address is in their area, their
+// weekly hours cover the whole window and no block-out overlaps it. Jobs
+// and holds count against it when any of those drivers could serve them.
+const querySlots = (queryable, point, fromDate, toDate, slotStart = null) => queryable.query(
+  `WITH windows AS (
+     SELECT (d::date + w.start_time) AT TIME ZONE $1 AS slot_start,
+       (d::date + w.end_time) AT TIME ZONE $1 AS slot_end,
+       EXTRACT(DOW FROM d)::int AS weekday, w.start_time, w.end_time
+     FROM generate_series($2::date, $3::date, INTERVAL '1 day') AS d
+     CROSS JOIN UNNEST($4::time[], $5::time[]) AS w(start_time, end_time)
+   ),
+   drivers AS (
+     SELECT a.driver_id, a.location, a.radius_miles, a.jobs_per_slot
+     FROM driver_service_areas a
+     JOIN users u ON u.id = a.driver_id AND u.role = 'driver' AND u.status = 'active'
+     WHERE ST_DWithin(a.location, ST_SetSRID(ST_MakePoint($7, $6), 4326)::geography, a.radius_miles * $8)
+   ),
+   supply AS (
+     SELECT w.slot_start, w.slot_end, SUM(dr.jobs_per_slot)::int AS capacity
+     FROM windows w
+     JOIN drivers dr ON EXISTS (
+       SELECT 1 FROM driver_availability v
+       WHERE v.driver_id = dr.driver_id AND v.weekday = w.weekday
+         AND v.start_time <= w.start_time AND v.end_time >= w.end_time
+     ) AND NOT EXISTS (
+       SELECT 1 FROM driver_blockouts b
+       WHERE b.driver_id = dr.driver_id AND b.starts_at < w.slot_end AND b.ends_at > w.slot_start
+     )
+     WHERE w.slot_start > NOW() + make_interval(hours => $9)
+       AND ($10::timestamptz IS NULL OR w.slot_start = $10)
+     GROUP BY w.slot_start, w.slot_end
+   )
+   SELECT s.slot_start, s.slot_end, s.capacity,
+     (SELECT COUNT(*) FROM jobs j
+      WHERE j.status <> 'cancelled' AND j.scheduled_date >= s.slot_start AND j.scheduled_date < s.slot_end
+        AND EXISTS (SELECT 1 FROM drivers dr WHERE ST_DWithin(dr.location, j.location, dr.radius_miles * $8))
+     )::int
+     + (SELECT COUNT(*) FROM slot_holds h
+        WHERE h.job_id IS NULL AND h.expires_at > NOW() AND h.slot_start = s.slot_start
+          AND EXISTS (SELECT 1 FROM drivers dr WHERE ST_DWithin(dr.location, h.location, dr.radius_miles * $8))
+     )::int AS booked
+   FROM supply s
+   ORDER BY s.slot_start`,
+  [TIMEZONE, fromDate, toDate, SLOT_WINDOWS.map(window => window.start), SLOT_WINDOWS.map(window => window.end),
+    point.lat, point.lng, METERS_PER_MILE, MIN_LEAD_HOURS, slotStart]
+);
+
+const locate = async (address) => {
+  const point = await GeocodingService.geocode(address);
+  if (!point) {
+    throw createError(400, 'We could not find that address');
+  }
+  return point;
+};
+
+// Reserves a place in the window starting at `slotStart` for HOLD_MINUTES.
+// Holds on the same slot are taken one at a time, so the last place can't
+// be given out twice. With `replaceHolds` the customer's other unused
+// holds are dropped first.
+const reserve = async (customerId, point, slotStart, { replaceHolds }) => {
+  const start = new Date(slotStart);
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`slot:${start.toISOString()}`]);
+    if (replaceHolds) {
+      await client.query('DELETE FROM slot_holds WHERE customer_id = $1 AND job_id IS NULL', [customerId]);
+    }
+
+    const result = await querySlots(client, point, localDate(start), localDate(start), start);
+    const slot = result.rows[0];
+    if (!slot) {
+      throw createError(400, 'That time slot is not offered at this address');
+    }
+    if (slot.booked >= slot.capacity) {
+      throw createError(409, 'That time slot has just been taken; please pick another');
+    }
+
+    const hold = await client.query(
+      `INSERT INTO slot_holds (id, customer_id, slot_start, slot_end, lat, lng, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7))
+       RETURNING id, slot_start, slot_end, expires_at`,
+      [crypto.randomUUID(), customerId, slot.slot_start, slot.slot_end, point.lat, point.lng, HOLD_MINUTES]
+    );
+    await client.query('COMMIT');
+    return hold.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  TIMEZONE,
+  BOOKING_DAYS,
+  localDate,
+
+  // Open slots at an address for `days` days from `from` (a local date)
+  getAvailableSlots: async ({ address, from, days = 7 }) => {
+    const point = await locate(address);
+    const start = from || localDate(new Date());
+    const end = localDate(new Date(new Date(`${start}T12:00:00Z`).getTime() + (Math.min(days, BOOKING_DAYS) - 1) * 86400000));
+
+    const result = await querySlots(db, point, start, end);
+    return {
+      timezone: TIMEZONE,
+      slots: result.rows
+        .filter(slot => slot.capacity > slot.booked)
+        .map(slot => ({ start: slot.slot_start, end: slot.slot_end, remaining: slot.capacity - slot.booked }))
+    };
+  },
+
+  // Holds a slot while the customer checks out. A customer has at most one
+  // live hold.
+  holdSlot: async (customerId, { address, slotStart }) =>
+    reserve(customerId, await locate(address), slotStart, { replaceHolds: true }),
+
+  // Holds the window that contains `at`, next to any hold the customer is
+  // checking out with. Recurring pickups book through this so they count
+  // against capacity like any other scheduled job.
+  holdWindowAt: async (customerId, { address, at }) => {
+    const point = await locate(address);
+    const time = new Date(at);
+    const result = await querySlots(db, point, localDate(time), localDate(time));
+    const slot = result.rows.find(row => new Date(row.slot_start) <= time && time < new Date(row.slot_end));
+    if (!slot) {
+      throw createError(409, `No driver is available for a pickup at ${time.toLocaleString('en-US', { timeZone: TIMEZONE })}`);
+    }
+    return reserve(customerId, point, slot.slot_start, { replaceHolds: false });
+  },
+
+  releaseHold: async (customerId, holdId) => {
+    const result = await db.query(
+      'DELETE FROM slot_holds WHERE id = $1 AND customer_id = $2 AND job_id IS NULL RETURNING id',
+      [holdId, customerId]
+    );
+    if (!result.rows[0]) {
+      throw createError(404, 'Slot hold not found');
+    }
+  },
+
+  // Books the held slot for a job inside the caller's transaction and
+  // returns the updated job row
+  claimHold: async (client, holdId, customerId, jobId) => {
+    const result = await client.query(
+      `SELECT h.*, ST_DWithin(h.location, j.location, $3) AS matches_address
+       FROM slot_holds h, jobs j
+       WHERE h.id = $1 AND j.id = $2
+       FOR UPDATE OF h`,
+      [holdId, jobId, HOLD_MATCH_METERS]
+    );
+    const hold = result.rows[0];
+    if (!hold || hold.customer_id !== customerId) {
+      throw createError(400, 'Slot hold not found');
+    }
+    if (hold.job_id) {
+      throw createError(409, 'This slot hold has already been used');
+    }
+    if (new Date(hold.expires_at) <= new Date()) {
+      throw createError(409, 'Your hold on this slot has expired; please pick a slot again');
+    }
+    if (!hold.matches_address) {
+      throw createError(400, 'The held slot is for a different address');
+    }
+
+    await client.query('UPDATE slot_holds SET job_id = $2 WHERE id = $1', [holdId, jobId]);
+    const job = await client.query(
+      `UPDATE jobs SET service_type = 'scheduled', scheduled_date = $2, slot_end = $3, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [jobId, hold.slot_start, hold.slot_end]
+    );
+    return job.rows[0];
+  }
+};
@@ -0,0 +1,35 @@
+let transport;
+
+// Default transport sends through Twilio. Loaded lazily so environments
+// without credentials (tests, local dev with a fake) never touch it.
+const createTwilioTransport = () => {
+  const twilio = require('twilio');
+  const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+  return {
+    send: (to, body) => client.messages.create({
+      to,
+      from: process.env.TWILIO_FROM_NUMBER,
+      body
+    })
+  };
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTwilioTransport();
+  }
+  return transport;
+};
+
+// Swap the SMS transport (anything with an async send(to, body))
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendSms = async (to, body) => getTransport().send(to, body);
+
+module.exports = {
+  setTransport,
+  sendSms
+};
@@ -1,11 +1,21 @@
 const socketIo = require('socket.io');
-const jwt = require('jsonwebtoken');
+const TokenService = require('./tokenService');
+const { ADMIN_ROLES } = require('../middleware/rbac');
 //const ChatService = require('./chatService');
 const JobService = require('./jobService');
+const EmailVerificationService = require('./emailVerificationService');
+const DriverLocationService = require('./driverLocationService');
 //const NotificationService = require('./notificationService');
 
 let io;
 
+// ISO 8601 date or date-time, as express-validator's isISO8601() accepts
+const ISO_8601 = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// The only statuses drivers may report over the socket; completion and
+// cancellation have their own endpoints with their own checks
+const DRIVER_PROGRESS_STATUSES = ['en_route', 'arrived', 'in_progress'];
+
 const initialize = (server) => {
   io = socketIo(server, {
     cors: {
@@ -24,11 +34,13 @@ const initialize = (server) => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      socket.userId = decoded.userId;
-      socket.userRole = decoded.role;
-      socket.userName = decoded.name;
-      
+      // Same check and claims as HTTP requests (see TokenService)
+      const claims = await TokenService.authenticateAccessToken(token);
+      socket.user = claims;
+      socket.userId = claims.id;
+      socket.userRole = claims.role;
+      socket.userName = claims.name || claims.email;
+
       next();
     } catch (error) {
       next(new Error('Authentication error: Invalid token'));
@@ -41,6 +53,11 @@ const initialize = (server) => {
     // Join user-specific room for notifications
     socket.join(`user:${socket.userId}`);
 
+    // Staff receive broadcastToAdmins() events
+    if (socket.userRole === 'super_admin' || ADMIN_ROLES.includes(socket.userRole)) {
+      socket.join('admin');
+    }
+
     // Handle chat room joining
     socket.on('join-chat', async (jobId) => {
       try {
@@ -156,7 +173,8 @@ const initialize = (server) => {
         }
 
         // Update location in database
-        await JobService.updateDriverLocation(jobId, socket.userId, lat, lng);
+        await JobService.updateDriverLocation(jobId, socket.userId, { lat, lng });
+        await DriverLocationService.updatePresence(socket.userId, { lat, lng });
 
         // Broadcast to customer and admin
         const roomName = `chat:${jobId}`;
@@ -177,20 +195,25 @@ const initialize = (server) => {
     socket.on('job-status-update', async (data) => {
       try {
         const { jobId, status, eta, notes } = data;
-        
-        // Verify driver access
-        const hasAccess = await JobService.verifyDriverJobAccess(jobId, socket.userId);
-        if (!hasAccess) {
-          socket.emit('error', { message: 'Access denied' });
+
+        // Cancelling goes through the cancellation policy (fees, driver
+        // compensation, rejected bids): PUT /api/jobs/:jobId/status
+        if (status === 'cancelled') {
+          socket.emit('error', { message: 'Cancel jobs from the job page so the cancellation policy applies' });
+          return;
+        }
+        // Completing a job needs its proof of completion (PUT /api/jobs/:jobId/complete)
+        if (!DRIVER_PROGRESS_STATUSES.includes(status)) {
+          socket.emit('error', { message: `Jobs cannot be moved to ${status} here` });
           return;
         }
 
-        // Update job status
-        const updateResult = await JobService.updateJobStatus(jobId, status, {
-          driverId: socket.userId,
-          eta,
-          notes
-        });
+        // The job state machine checks the transition and that this driver is assigned
+        const job = await JobService.updateJobStatus(
+          jobId,
+          { id: socket.userId, role: socket.userRole },
+          { status, eta, notes }
+        );
 
         // Broadcast to all relevant users
         const roomName = `chat:${jobId}`;
@@ -205,8 +228,7 @@ const initialize = (server) => {
         });
 
         // Send notifications
-        const customerId = await JobService.getJobCustomerId(jobId);
-        NotificationService.sendPushNotification(customerId, {
+        emitToUser(job.customer_id, 'notification', {
           title: 'Job Status Update',
           body: `Your job status has been updated to: ${status}`,
           data: {
@@ -218,7 +240,7 @@ const initialize = (server) => {
 
       } catch (error) {
         console.error('Error updating job status:', error);
-        socket.emit('error', { message: 'Failed to update job status' });
+        socket.emit('error', { message: error.status ? error.message : 'Failed to update job status' });
       }
     });
 
@@ -226,7 +248,28 @@ const initialize = (server) => {
     socket.on('place-bid', async (data) => {
       try {
         const { jobId, amount, eta, notes } = data;
-        
+
+        if (socket.userRole !== 'driver') {
+          socket.emit('error', { message: 'Only drivers can bid on jobs' });
+          return;
+        }
+        // Same rules as POST /api/jobs/:jobId/bid, except that eta may be left out
+        const bidAmount = Number(amount);
+        if (!['number', 'string'].includes(typeof amount) || amount === '' || !Number.isFinite(bidAmount) || bidAmount < 0) {
+          socket.emit('error', { message: 'Bid amount must be a number of at least 0' });
+          return;
+        }
+        if (eta != null && !(typeof eta === 'string' && ISO_8601.test(eta) && !isNaN(new Date(eta)))) {
+          socket.emit('error', { message: 'ETA must be an ISO 8601 date' });
+          return;
+        }
+
+        const emailAllowed = await EmailVerificationService.isActionAllowed(socket.userId, 'bids:place');
+        if (!emailAllowed) {
+          socket.emit('error', { message: 'Please verify your email address first' });
+          return;
+        }
+
         // Verify driver can bid on this job
         const canBid = await JobService.canDriverBid(jobId, socket.userId);
         if (!canBid) {
@@ -238,29 +281,46 @@ const initialize = (server) => {
         const bid = await JobService.placeBid({
           jobId,
           driverId: socket.userId,
-          amount,
-          eta: new Date(eta),
+          amount: bidAmount,
+          eta: eta == null ? null : new Date(eta),
           notes
         });
 
         // Notify customer
         const customerId = await JobService.getJobCustomerId(jobId);
-        NotificationService.sendPushNotification(customerId, {
+        emitToUser(customerId, 'notification', {
           title: 'New Bid Received',
-          body: `${socket.userName} bid $${amount} on your job`,
+          body: `${socket.userName} bid $${bidAmount} on your job`,
           data: {
             type: 'new_bid',
             jobId,
             bidId: bid.id,
             driverId: socket.userId,
             driverName: socket.userName,
-            amount
+            amount: bidAmount
           }
         });
 
       } catch (error) {
         console.error('Error placing bid:', error);
-        socket.emit('error', { message: 'Failed to place bid' });
+        socket.emit('error', { message: error.status ? error.message : 'Failed to place bid' });
+      }
+    });
+
+    // Drivers go on and off duty for auto-dispatch, reporting where they are
+    socket.on('driver-availability', async (data) => {
+      try {
+        if (socket.userRole !== 'driver') {
+          socket.emit('error', { message: 'Access denied' });
+          return;
+        }
+
+        const { lat, lng, available } = data;
+        const presence = await DriverLocationService.updatePresence(socket.userId, { lat, lng, available: Boolean(available) });
+        socket.emit('driver-availability', presence);
+      } catch (error) {
+        console.error('Error updating availability:', error);
+        socket.emit('error', { message: 'Failed to update availability' });
       }
     });
 
@@ -279,6 +339,15 @@ const initialize = (server) => {
     // Handle disconnection
     socket.on('disconnect', () => {
       console.log(`User ${socket.userName} (${socket.userId}) disconnected`);
+
+      // Disconnected drivers can't answer dispatch offers. A driver with
+      // another connection still open (a second device or tab) stays
+      // available; this socket has already left its rooms here.
+      if (socket.userRole === 'driver') {
+        io.in(`user:${socket.userId}`).allSockets()
+          .then(remaining => (remaining.size === 0 ? DriverLocationService.setAvailable(socket.userId, false) : null))
+          .catch(err => console.error('Error clearing availability:', err));
+      }
       
       // Clean up any active typing indicators
       if (socket.currentChatRoom) {
@@ -307,6 +376,14 @@ const emitToUser = (userId, event, data) => {
   }
 };
 
+// Drops the user's open connections, e.g. once their tokens are revoked;
+// reconnecting needs a token that still passes authentication
+const disconnectUser = (userId) => {
+  if (io) {
+    io.in(`user:${userId}`).disconnectSockets(true);
+  }
+};
+
 const emitToChat = (jobId, event, data) => {
   if (io) {
     io.to(`chat:${jobId}`).emit(event, data);
@@ -329,6 +406,7 @@ const broadcastToAdmins = (event, data) => {
 module.exports = {
   initialize,
   emitToUser,
+  disconnectUser,
   emitToChat,
   emitToLocation,
   broadcastToAdmins
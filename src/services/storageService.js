@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+let storage;
+
+// Local URLs are signed like S3's: the key and an expiry, under an HMAC
+const signature = (key, expires) => crypto
+  .createHmac('sha256', process.env.UPLOAD_URL_SECRET || process.env.JWT_SECRET)
+  .update(`${key}:${expires}`)
+  .digest('hex');
+
+const signLocalUrl = (key) => {
+  const expires = Math.floor(Date.now() / 1000) + SIGNED_URL_TTL_SECONDS;
+  const base = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${base}/uploads/${key}?expires=${expires}&signature=${signature(key, expires)}`;
+};
+
+// Mounted by app.js in front of the /uploads static files; only URLs from
+// getUrl() get through, until they expire
+const verifySignedUrl = (req, res, next) => {
+  const key = decodeURIComponent(req.path.replace(/^\//, ''));
+  const expires = Number(req.query.expires);
+  const expected = Buffer.from(signature(key, expires));
+  const given = Buffer.from(String(req.query.signature || ''));
+  if (!(expires * 1000 > Date.now()) || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(403).json({ error: 'This link is invalid or has expired' });
+  }
+  next();
+};
+
+// Files under UPLOAD_DIR, served by app.js at /uploads. For development.
+const createLocalStorage = (root = UPLOAD_DIR) => ({
+  put: async (key, body) => {
+    const target = path.join(root, key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    if (typeof body === 'string') {
+      await fs.promises.copyFile(body, target);
+    } else {
+      await fs.promises.writeFile(target, body);
+    }
+  },
+  getUrl: async (key) => signLocalUrl(key),
+  download: (key, filePath) => fs.promises.copyFile(path.join(root, key), filePath),
+  remove: (key) => fs.promises.rm(path.join(root, key), { force: true })
+});
+
+// Private bucket; clients get short-lived signed URLs
+const createS3Storage = () => {
+  const AWS = require('aws-sdk');
+  const s3 = new AWS.S3({
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    region: process.env.AWS_REGION
+  });
+  const Bucket = process.env.AWS_S3_BUCKET;
+
+  return {
+    put: (key, body, contentType) => s3.upload({
+      Bucket,
+      Key: key,
+      Body: typeof body === 'string' ? fs.createReadStream(body) : body,
+      ContentType: contentType
+    }).promise(),
+    getUrl: (key) => s3.getSignedUrlPromise('getObject', { Bucket, Key: key, Expires: SIGNED_URL_TTL_SECONDS }),
+    download: (key, filePath) => pipeline(s3.getObject({ Bucket, Key: key }).createReadStream(), fs.createWriteStream(filePath)),
+    remove: (key) => s3.deleteObject({ Bucket, Key: key }).promise()
+  };
+};
+
+// STORAGE_DRIVER=s3|local; defaults to S3 when a bucket is configured
+const driver = () => process.env.STORAGE_DRIVER || (process.env.AWS_S3_BUCKET ? 's3' : 'local');
+
+const getStorage = () => {
+  if (!storage) {
+    storage = driver() === 's3' ? createS3Storage() : createLocalStorage();
+  }
+  return storage;
+};
+
+// Swap the backend (anything with async put(key, body, contentType),
+// getUrl(key), download(key, filePath) and remove(key)). `body` is a Buffer
+// or a file path.
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  isLocal: () => driver() === 'local',
+  createLocalStorage,
+  verifySignedUrl,
+  setStorage,
+  put: (key, body, contentType) => getStorage().put(key, body, contentType),
+  getUrl: (key) => getStorage().getUrl(key),
+  download: (key, filePath) => getStorage().download(key, filePath),
+  remove: (key) => getStorage().remove(key)
+};
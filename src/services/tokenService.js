@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const JwtKeys = require('../config/jwt');
+const { hashToken } = require('../utils/tokens');
+const { createError } = require('../utils/errors');
+
+const ACCESS_TOKEN_TTL = '1h';
+const MFA_PENDING_TOKEN_TTL = '5m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+/*
+ * Access token claims, shared by HTTP (middleware/auth) and Socket.IO:
+ *
+ *   id            user UUID
+ *   email         user email at issue time
+ *   name          display name at issue time
+ *   role          user role at issue time
+ *   tokenVersion  users.token_version at issue time. Bumping the column
+ *                 (password change, suspension, logout-all) revokes every
+ *                 token carrying an older value.
+ *   mfa           true only when the session passed a second factor
+ *   iat, exp      standard; tokens live for ACCESS_TOKEN_TTL
+ *
+ * The header carries `kid`, naming the key in config/jwt that signed it.
+ * Single-purpose tokens (MFA challenges, OAuth state, invitations) are signed
+ * with the same keys but carry a `purpose` claim and are never accepted as
+ * access tokens.
+ */
+
+// Signs with the active key and records its kid in the header
+const signToken = (payload, options = {}) => {
+  const { kid, secret } = JwtKeys.getSigningKey();
+  return jwt.sign(payload, secret, { ...options, algorithm: JwtKeys.ALGORITHM, keyid: kid });
+};
+
+// Verifies against the key named by the token's kid. Returns the claims, or
+// null for anything malformed, expired or signed with an unknown key.
+const verifyToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    return null;
+  }
+
+  const secret = JwtKeys.getVerificationKey(decoded.header.kid);
+  if (!secret) {
+    return null;
+  }
+
+  try {
+    return jwt.verify(token, secret, { algorithms: [JwtKeys.ALGORITHM] });
+  } catch (err) {
+    return null;
+  }
+};
+
+const signAccessToken = (user, { mfa = false } = {}) => signToken(
+  {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    tokenVersion: user.token_version,
+    ...(mfa && { mfa: true })
+  },
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Short-lived proof that the first factor succeeded
+// `method` is the first factor, recorded once the second one is checked
+const signMfaPendingToken = (user, method = 'password') => signToken(
+  { id: user.id, tokenVersion: user.token_version, purpose: 'mfa_pending', method },
+  { expiresIn: MFA_PENDING_TOKEN_TTL }
+);
+
+const verifyMfaPendingToken = (token) => {
+  const claims = verifyToken(token);
+  return claims && claims.purpose === 'mfa_pending' ? claims : null;
+};
+
+// Verifies an access token and checks it hasn't been revoked since it was
+// issued. Resolves to the claims; rejects with a 401/403 error otherwise.
+const authenticateAccessToken = async (token) => {
+  const claims = verifyToken(token);
+  if (!claims || claims.purpose) {
+    throw createError(403, 'Invalid or expired token');
+  }
+
+  const result = await db.query('SELECT token_version, status FROM users WHERE id = $1', [claims.id]);
+  const user = result.rows[0];
+  if (!user || (claims.tokenVersion || 0) !== user.token_version) {
+    throw createError(401, 'Session has been revoked');
+  }
+  if (user.status === 'suspended') {
+    throw createError(403, 'Account suspended');
+  }
+
+  return claims;
+};
+
+// Refresh tokens are JWTs signed with their own secret. `jti` identifies the
+// stored row and `fam` the per-device family it was rotated from.
+const storeRefreshToken = async (queryable, userId, { familyId, deviceId, deviceName, mfaVerified }) => {
+  const id = crypto.randomUUID();
+  const token = jwt.sign(
+    { id: userId, fam: familyId },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`, jwtid: id }
+  );
+
+  await queryable.query(
+    `INSERT INTO refresh_tokens (id, family_id, user_id, token_hash, device_id, device_name, mfa_verified, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(days => $8))`,
+    [id, familyId, userId, hashToken(token), deviceId || null, deviceName || null, Boolean(mfaVerified), REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return { id, token };
+};
+
+const verifyRefreshToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+  } catch (err) {
+    return null;
+  }
+};
+
+const revokeFamily = (queryable, familyId) => queryable.query(
+  'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+  [familyId]
+);
+
+module.exports = {
+  signToken,
+  verifyToken,
+  signAccessToken,
+  signMfaPendingToken,
+  verifyMfaPendingToken,
+  authenticateAccessToken,
+
+  // Starts a new refresh-token family. Signing in again on the same device
+  // replaces that device's previous family. Pass `mfa` once the second
+  // factor has been checked; rotated tokens keep the flag.
+  issueTokens: async (user, { deviceId, deviceName, mfa = false } = {}) => {
+    if (deviceId) {
+      await db.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND device_id = $2 AND revoked_at IS NULL',
+        [user.id, deviceId]
+      );
+    }
+
+    const { token: refreshToken } = await storeRefreshToken(db, user.id, {
+      familyId: crypto.randomUUID(),
+      deviceId,
+      deviceName,
+      mfaVerified: mfa
+    });
+
+    return {
+      token: signAccessToken(user, { mfa }),
+      refreshToken
+    };
+  },
+
+  // Exchanges a refresh token for a new access/refresh pair. Presenting a
+  // token that was already rotated revokes the whole family, since either the
+  // client or an attacker is holding a stolen copy. Returns null when the
+  // token can't be redeemed.
+  rotateRefreshToken: async (refreshToken) => {
+    const claims = verifyRefreshToken(refreshToken);
+    if (!claims) {
+      return null;
+    }
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT * FROM refresh_tokens WHERE id = $1 AND token_hash = $2 FOR UPDATE',
+        [claims.jti, hashToken(refreshToken)]
+      );
+      const stored = existing.rows[0];
+      if (!stored) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (stored.revoked_at) {
+        if (stored.replaced_by) {
+          console.warn(`Refresh token reuse detected for user ${stored.user_id}, revoking family ${stored.family_id}`);
+          await revokeFamily(client, stored.family_id);
+          await client.query('COMMIT');
+        } else {
+          await client.query('ROLLBACK');
+        }
+        return null;
+      }
+
+      const userResult = await client.query(
+        'SELECT id, email, name, role, status, token_version FROM users WHERE id = $1',
+        [stored.user_id]
+      );
+      const user = userResult.rows[0];
+      if (!user || user.status === 'suspended') {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const next = await storeRefreshToken(client, user.id, {
+        familyId: stored.family_id,
+        deviceId: stored.device_id,
+        deviceName: stored.device_name,
+        mfaVerified: stored.mfa_verified
+      });
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $2 WHERE id = $1',
+        [stored.id, next.id]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        token: signAccessToken(user, { mfa: stored.mfa_verified }),
+        refreshToken: next.token
+      };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Ends the device session the given refresh token belongs to
+  revokeRefreshToken: async (refreshToken) => {
+    const claims = verifyRefreshToken(refreshToken);
+    if (!claims) {
+      return false;
+    }
+
+    const result = await revokeFamily(db, claims.fam);
+    return result.rowCount > 0;
+  },
+
+  // Ends every session: refresh families are revoked and the token version
+  // bump invalidates outstanding access tokens
+  revokeAllForUser: async (userId) => {
+    await db.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+    await db.query('UPDATE users SET token_version = token_version + 1 WHERE id = $1', [userId]);
+    // Required here: SocketService depends on this module
+    require('./socketService').disconnectUser(userId);
+  }
+};
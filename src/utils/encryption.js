@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+// AES-256-GCM for secrets we must be able to read back (e.g. TOTP seeds).
+// Output format: iv.authTag.ciphertext, each base64.
+const getKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,10 @@
+// Errors thrown from services carry an HTTP status for middleware/errorHandler
+const createError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = {
+  createError
+};
@@ -0,0 +1,47 @@
+// Identifies uploads from their first bytes rather than trusting the
+// client's Content-Type or file name. Only formats we accept are listed.
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (buffer, start, end) => buffer.toString('ascii', start, end);
+
+// ISO base media brands (bytes 8..12 after "ftyp"). HEIC isn't listed:
+// sharp's prebuilt binaries can't decode it, so it's refused as unsupported
+// rather than failing later in processing.
+const FTYP_BRANDS = {
+  qt: 'video/quicktime',
+  isom: 'video/mp4',
+  iso2: 'video/mp4',
+  mp41: 'video/mp4',
+  mp42: 'video/mp4',
+  avc1: 'video/mp4',
+  M4V: 'video/mp4',
+  '3gp4': 'video/3gpp',
+  '3gp5': 'video/3gpp'
+};
+
+// Returns { mimeType, kind: 'image' | 'video' } or null
+const sniffMimeType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return { mimeType: 'image/jpeg', kind: 'image' };
+  }
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { mimeType: 'image/png', kind: 'image' };
+  }
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') {
+    return { mimeType: 'image/webp', kind: 'image' };
+  }
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return { mimeType: 'video/webm', kind: 'video' };
+  }
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const mimeType = FTYP_BRANDS[ascii(buffer, 8, 12).trim()];
+    if (mimeType) {
+      return { mimeType, kind: mimeType.split('/')[0] };
+    }
+  }
+  return null;
+};
+
+module.exports = { sniffMimeType };
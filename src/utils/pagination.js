@@ -0,0 +1,14 @@
+// Pagination metadata returned alongside every paged list
+const paginationMeta = (page, limit, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit)
+});
+
+const offsetFor = (page, limit) => (page - 1) * limit;
+
+module.exports = {
+  paginationMeta,
+  offsetFor
+};
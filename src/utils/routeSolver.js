@@ -0,0 +1,155 @@
+// Orders one driver's jobs for a day. Small instances only (a day's work is
+// rarely more than a dozen stops), so this is a plain cheapest-insertion
+// build followed by relocate moves, each candidate route scored by
+// simulating it: driving, waiting for windows to open, lateness and trips
+// to a disposal site whenever the next load wouldn't fit.
+//
+// Points are indexes into the caller's matrix: `travel(from, to)` returns
+// { meters, seconds } and must be synchronous.
+
+// Lateness is weighted so that arriving on time beats a shorter drive
+const LATE_PENALTY = 10;
+
+// Walks the route in order and returns its stops, legs and cost
+const simulate = (order, problem) => {
+  const { start, startAt, capacity, jobs, sites, travel, dumpSeconds } = problem;
+  const stops = [];
+  const legs = [];
+  let position = start;
+  let clock = startAt.getTime();
+  let load = problem.initialLoad || 0;
+  let drivingSeconds = 0;
+  let meters = 0;
+  let lateSeconds = 0;
+
+  const drive = (to) => {
+    const leg = travel(position, to);
+    legs.push({ from: position, to, meters: leg.meters, seconds: leg.seconds });
+    drivingSeconds += leg.seconds;
+    meters += leg.meters;
+    clock += leg.seconds * 1000;
+    position = to;
+  };
+
+  // The site with the shortest detour between here and `next`
+  const dump = (next) => {
+    if (sites.length === 0) {
+      return;
+    }
+    const detour = (site) => travel(position, site.point).seconds + (next === null ? 0 : travel(site.point, next).seconds);
+    const site = sites.reduce((best, candidate) => (detour(candidate) < detour(best) ? candidate : best));
+    drive(site.point);
+    const arriveAt = clock;
+    clock += dumpSeconds * 1000;
+    stops.push({ type: 'dump', siteId: site.id, point: site.point, arriveAt, departAt: clock, loadAfter: 0 });
+    load = 0;
+  };
+
+  for (const index of order) {
+    const job = jobs[index];
+    if (load > 0 && load + job.units > capacity) {
+      dump(job.point);
+    }
+    drive(job.point);
+    const arriveAt = clock;
+    if (job.windowStart && clock < job.windowStart.getTime()) {
+      clock = job.windowStart.getTime();
+    }
+    const late = job.windowEnd ? Math.max(0, clock - job.windowEnd.getTime()) / 1000 : 0;
+    lateSeconds += late;
+    const serviceStartAt = clock;
+    clock += job.serviceSeconds * 1000;
+    load += job.units;
+    stops.push({
+      type: 'job',
+      jobId: job.id,
+      point: job.point,
+      arriveAt,
+      serviceStartAt,
+      departAt: clock,
+      lateSeconds: late,
+      loadAfter: load,
+      overCapacity: job.units > capacity
+    });
+  }
+  // End the day empty
+  if (load > 0) {
+    dump(null);
+  }
+
+  const elapsedSeconds = (clock - startAt.getTime()) / 1000;
+  return {
+    stops,
+    legs,
+    meters,
+    drivingSeconds,
+    lateSeconds,
+    finishAt: clock,
+    cost: elapsedSeconds + LATE_PENALTY * lateSeconds
+  };
+};
+
+const solve = (problem) => {
+  const pinned = problem.pinned || [];
+  const free = problem.jobs.map((job, index) => index).filter(index => !pinned.includes(index));
+
+  // Build: repeatedly insert the job whose cheapest position costs least
+  let order = [...pinned];
+  let remaining = [...free];
+  while (remaining.length > 0) {
+    let best = null;
+    for (const index of remaining) {
+      for (let position = pinned.length; position <= order.length; position += 1) {
+        const candidate = [...order.slice(0, position), index, ...order.slice(position)];
+        const { cost } = simulate(candidate, problem);
+        if (!best || cost < best.cost) {
+          best = { cost, order: candidate, index };
+        }
+      }
+    }
+    order = best.order;
+    remaining = remaining.filter(index => index !== best.index);
+  }
+
+  // Improve: move single jobs while that lowers the cost
+  let current = simulate(order, problem);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let from = pinned.length; from < order.length && !improved; from += 1) {
+      for (let to = pinned.length; to < order.length && !improved; to += 1) {
+        if (from === to) {
+          continue;
+        }
+        const candidate = [...order];
+        const [moved] = candidate.splice(from, 1);
+        candidate.splice(to, 0, moved);
+        const result = simulate(candidate, problem);
+        if (result.cost < current.cost - 1) {
+          order = candidate;
+          current = result;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return { order, ...current };
+};
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Great-circle distance between two { lat, lng } points
+const haversineMeters = (a, b) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+module.exports = {
+  solve,
+  simulate,
+  haversineMeters
+};
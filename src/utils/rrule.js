@@ -0,0 +1,158 @@
+// The subset of RFC 5545 recurrence rules recurring pickups need:
+// FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, BYDAY (weekly), BYMONTHDAY
+// (monthly, negative counts from month end), COUNT and UNTIL. Rules are
+// expanded in wall-clock time in the given time zone, so occurrences keep
+// the local time of day of the start date across DST changes.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITERATIONS = 10000;
+
+class RRuleError extends Error {}
+
+// Wall-clock times are held in Dates whose UTC fields are the local ones
+const formatters = new Map();
+
+const toWallClock = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const parts = Object.fromEntries(
+    formatters.get(timeZone).formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+// The instant a wall-clock time falls at. The offset is checked again at
+// the first guess so times just after a DST change resolve correctly.
+const fromWallClock = (wall, timeZone) => {
+  const offsetAt = (instant) => toWallClock(new Date(instant), timeZone).getTime() - instant;
+  const guess = wall.getTime() - offsetAt(wall.getTime());
+  return new Date(wall.getTime() - offsetAt(guess));
+};
+
+// UNTIL with a trailing Z is an instant; a date or a time without one is
+// wall-clock time
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value);
+  if (!match) {
+    throw new RRuleError(`Invalid UNTIL: ${value}`);
+  }
+  const [, y, m, d, hh = '23', mm = '59', ss = '59', utc] = match;
+  return { date: new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss)), utc: utc === 'Z' };
+};
+
+const parse = (text) => {
+  const parts = Object.fromEntries(
+    text.replace(/^RRULE:/i, '').split(';').filter(Boolean).map(part => {
+      const [key, value] = part.split('=');
+      return [key.toUpperCase(), (value || '').toUpperCase()];
+    })
+  );
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parseInt(parts.INTERVAL) : 1,
+    byDay: parts.BYDAY ? parts.BYDAY.split(',') : null,
+    byMonthDay: parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(Number) : null,
+    count: parts.COUNT ? parseInt(parts.COUNT) : null,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null
+  };
+
+  const supported = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'];
+  const unsupported = Object.keys(parts).filter(key => !supported.includes(key));
+  if (unsupported.length > 0) {
+    throw new RRuleError(`Unsupported rule parts: ${unsupported.join(', ')}`);
+  }
+  if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(rule.freq)) {
+    throw new RRuleError('FREQ must be DAILY, WEEKLY or MONTHLY');
+  }
+  if (!(rule.interval >= 1)) {
+    throw new RRuleError('INTERVAL must be a positive integer');
+  }
+  if (rule.byDay && (rule.freq !== 'WEEKLY' || rule.byDay.some(day => !WEEKDAYS.includes(day)))) {
+    throw new RRuleError('BYDAY is only supported with FREQ=WEEKLY, as plain weekdays (MO,TU,...)');
+  }
+  if (rule.byMonthDay && (rule.freq !== 'MONTHLY' || rule.byMonthDay.some(day => !day || day < -31 || day > 31))) {
+    throw new RRuleError('BYMONTHDAY is only supported with FREQ=MONTHLY, as -31..31');
+  }
+  if (rule.count !== null && !(rule.count >= 1)) {
+    throw new RRuleError('COUNT must be a positive integer');
+  }
+  return rule;
+};
+
+const atTimeOf = (date, start) => new Date(Date.UTC(
+  date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+  start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds()
+));
+
+// Candidate dates for the period-th period after `start`, in order
+const periodDates = (rule, start, period) => {
+  if (rule.freq === 'DAILY') {
+    return [new Date(start.getTime() + period * rule.interval * DAY_MS)];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay || [WEEKDAYS[start.getUTCDay()]];
+    // Weeks start on Monday
+    const weekStart = new Date(start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS + period * rule.interval * 7 * DAY_MS);
+    return days
+      .map(day => atTimeOf(new Date(weekStart.getTime() + ((WEEKDAYS.indexOf(day) + 6) % 7) * DAY_MS), start))
+      .sort((a, b) => a - b);
+  }
+
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + period * rule.interval;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return (rule.byMonthDay || [start.getUTCDate()])
+    .map(day => (day < 0 ? daysInMonth + day + 1 : day))
+    // Months without that day are skipped, as RFC 5545 specifies
+    .filter(day => day >= 1 && day <= daysInMonth)
+    .map(day => atTimeOf(new Date(Date.UTC(year, month, day)), start))
+    .sort((a, b) => a - b);
+};
+
+// Occurrences of `text` starting at `start` that fall within [from, to],
+// expanded in `timeZone`
+const between = (text, start, from, to, timeZone = 'UTC') => {
+  const rule = parse(text);
+  const until = rule.until && (rule.until.utc ? rule.until.date : fromWallClock(rule.until.date, timeZone));
+  const localStart = toWallClock(start, timeZone);
+  const occurrences = [];
+  let seen = 0;
+
+  for (let period = 0; period < MAX_ITERATIONS; period += 1) {
+    for (const localDate of periodDates(rule, localStart, period)) {
+      const date = fromWallClock(localDate, timeZone);
+      if (date < start) {
+        continue;
+      }
+      if ((until && date > until) || date > to || (rule.count !== null && seen >= rule.count)) {
+        return occurrences;
+      }
+      seen += 1;
+      if (date >= from) {
+        occurrences.push(date);
+      }
+    }
+  }
+  return occurrences;
+};
+
+// Rules for the preset frequencies
+const PRESETS = {
+  weekly: 'FREQ=WEEKLY;INTERVAL=1',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY;INTERVAL=1'
+};
+
+module.exports = {
+  RRuleError,
+  PRESETS,
+  parse,
+  between
+};
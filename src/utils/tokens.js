@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Opaque, URL-safe random token for emailed links and similar
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Tokens are only ever stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,42 @@
+// Stand-in for src/db. Tests register a handler for each statement they
+// expect, matched by prefix or regex against the whitespace-collapsed SQL;
+// any other statement fails with its text. Transactions are no-ops.
+const createMemoryDb = () => {
+  const handlers = [];
+
+  const db = {
+    statements: [],
+
+    on: (pattern, handler) => {
+      handlers.push({ pattern, handler });
+      return db;
+    },
+
+    reset: () => {
+      handlers.length = 0;
+      db.statements.length = 0;
+    },
+
+    query: async (text, params = []) => {
+      const sql = text.replace(/\s+/g, ' ').trim();
+      if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql)) {
+        return { rows: [] };
+      }
+      db.statements.push(sql);
+
+      const found = handlers.find(({ pattern }) => (typeof pattern === 'string' ? sql.startsWith(pattern) : pattern.test(sql)));
+      if (!found) {
+        throw new Error(`Unexpected query: ${sql}`);
+      }
+      const rows = (await found.handler(params, sql)) || [];
+      return { rows: rows.map(row => ({ ...row })), rowCount: rows.length };
+    },
+
+    pool: {
+      connect: async () => ({ query: (text, params) => db.query(text, params), release: () => {} })
+    }
+  };
+  return db;
+};
+
+module.exports = { createMemoryDb };
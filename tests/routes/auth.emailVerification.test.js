@@ -0,0 +1,129 @@
+// Email verification links, delivered through a fake mail transport
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../../src/db', () => require('../helpers/memoryDb').createMemoryDb());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../../src/db');
+const EmailService = require('../../src/services/emailService');
+const authenticate = require('../../src/middleware/auth');
+const requireVerifiedEmail = require('../../src/middleware/emailVerification');
+const authRoutes = require('../../src/routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.post('/gated', authenticate, requireVerifiedEmail('jobs:create'), (req, res) => res.sendStatus(204));
+
+let users;
+let sent;
+
+beforeAll(() => {
+  EmailService.setTransport({ sendMail: async (message) => { sent.push(message); } });
+});
+
+beforeEach(() => {
+  db.reset();
+  users = new Map();
+  sent = [];
+
+  db.on('SELECT * FROM users WHERE email = $1', ([email]) => [...users.values()].filter(user => user.email === email))
+    .on('INSERT INTO users', ([name, email, password, role, status]) => {
+      const user = {
+        id: `user-${users.size + 1}`, name, email, password, role, status, token_version: 0,
+        email_verified_at: null, email_verification_sent_at: null
+      };
+      users.set(user.id, user);
+      return [user];
+    })
+    .on('UPDATE users SET email_verification_sent_at', ([id]) => {
+      users.get(id).email_verification_sent_at = new Date();
+    })
+    .on(/^SELECT id, name, email, email_verified_at,/, ([id, cooldownSeconds]) => {
+      const user = users.get(id);
+      const throttled = Boolean(user.email_verification_sent_at) &&
+        user.email_verification_sent_at > new Date(Date.now() - cooldownSeconds * 1000);
+      return [{ ...user, throttled }];
+    })
+    .on('UPDATE users SET email_verified_at', ([id, email]) => {
+      const user = users.get(id);
+      if (!user || user.email !== email) {
+        return [];
+      }
+      user.email_verified_at = user.email_verified_at || new Date();
+      user.status = user.status === 'pending' ? 'active' : user.status;
+      return [user];
+    })
+    .on('SELECT token_version, status FROM users WHERE id = $1', ([id]) => [users.get(id)])
+    .on('SELECT email_verified_at FROM users WHERE id = $1', ([id]) => [users.get(id)])
+    .on('INSERT INTO refresh_tokens', () => []);
+});
+
+// The verification email goes out after the response
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const emailedToken = () => /token=([\w.-]+)/.exec(sent[sent.length - 1].text)[1];
+
+const register = async () => {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ name: 'Jo', email: 'jo@example.com', password: 'long enough password' })
+    .expect(201);
+  await flush();
+  return res.body;
+};
+
+const verify = (token) => request(app).post('/api/auth/verify-email').send({ token });
+
+describe('email verification', () => {
+  it('sends a link on registration that activates the account', async () => {
+    const { user } = await register();
+    expect(user.status).toBe('pending');
+    expect(sent).toEqual([expect.objectContaining({ to: 'jo@example.com', subject: 'Confirm your Chunk email address' })]);
+
+    const res = await verify(emailedToken()).expect(200);
+
+    expect(res.body.user).toMatchObject({ id: user.id, status: 'active' });
+    expect(users.get(user.id).email_verified_at).toBeTruthy();
+  });
+
+  it('refuses a link once the address on the account has changed', async () => {
+    const { user } = await register();
+    users.get(user.id).email = 'someone-else@example.com';
+
+    await verify(emailedToken()).expect(400);
+    expect(users.get(user.id).email_verified_at).toBeNull();
+  });
+
+  it('refuses a token issued for something else', async () => {
+    const { token } = await register();
+
+    await verify(token).expect(400);
+  });
+
+  it('gates actions until the address is verified', async () => {
+    const { token } = await register();
+    const gated = () => request(app).post('/gated').set('Authorization', `Bearer ${token}`);
+
+    const refused = await gated().expect(403);
+    expect(refused.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+    await verify(emailedToken()).expect(200);
+    await gated().expect(204);
+  });
+
+  it('throttles resends and stops once verified', async () => {
+    const { user, token } = await register();
+    const resend = () => request(app).post('/api/auth/verify-email/resend').set('Authorization', `Bearer ${token}`);
+
+    await resend().expect(429);
+
+    users.get(user.id).email_verification_sent_at = new Date(Date.now() - 3 * 60 * 1000);
+    await resend().expect(200);
+    expect(sent).toHaveLength(2);
+
+    await verify(emailedToken()).expect(200);
+    await resend().expect(409);
+  });
+});
@@ -0,0 +1,147 @@
+// Google sign-in through a fake provider strategy and an in-memory database
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../../src/db', () => require('../helpers/memoryDb').createMemoryDb());
+
+const bcrypt = require('bcrypt');
+const express = require('express');
+const request = require('supertest');
+const db = require('../../src/db');
+const OAuthService = require('../../src/services/oauthService');
+const EmailService = require('../../src/services/emailService');
+const { useProvider } = require('../../src/config/passport');
+const authRoutes = require('../../src/routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+// Signs in whoever `profile` is, as Google would after the redirect
+let profile;
+useProvider('google', {
+  name: 'google',
+  authenticate() {
+    OAuthService.findOrCreateUser(profile).then(user => this.success(user), err => this.error(err));
+  }
+});
+
+let users;
+let identities;
+let refreshTokens;
+
+const seedUsers = () => {
+  db.reset();
+  users = new Map();
+  identities = [];
+  refreshTokens = [];
+  const byEmail = (email) => [...users.values()].filter(user => user.email === email);
+
+  db.on(/FROM user_identities i JOIN users u/, ([provider, providerUserId]) => identities
+    .filter(identity => identity.provider === provider && identity.provider_user_id === providerUserId)
+    .map(identity => users.get(identity.user_id)))
+    .on('SELECT * FROM users WHERE email = $1', ([email]) => byEmail(email))
+    .on('SELECT * FROM users WHERE id = $1', ([id]) => [users.get(id)])
+    .on('INSERT INTO users', ([name, email, role, status, verified]) => {
+      const user = {
+        id: `user-${users.size + 1}`, name, email, password: null, role, status,
+        email_verified_at: verified ? new Date() : null, token_version: 0, mfa_enabled: false
+      };
+      users.set(user.id, user);
+      return [user];
+    })
+    .on('UPDATE users SET password = NULL', ([id]) => {
+      const user = users.get(id);
+      Object.assign(user, {
+        password: null, phone: null, phone_verified: false, mfa_enabled: false, mfa_secret: null,
+        email_verified_at: new Date(), status: user.status === 'pending' ? 'active' : user.status,
+        token_version: user.token_version + 1
+      });
+    })
+    .on('DELETE FROM mfa_backup_codes', () => [])
+    .on('DELETE FROM user_identities', ([userId]) => {
+      identities = identities.filter(identity => identity.user_id !== userId);
+    })
+    .on('INSERT INTO user_identities', ([userId, provider, providerUserId, email]) => {
+      identities.push({ user_id: userId, provider, provider_user_id: providerUserId, email });
+    })
+    .on('UPDATE refresh_tokens SET revoked_at', ([userId]) => {
+      refreshTokens.filter(token => token.user_id === userId).forEach(token => { token.revoked_at = new Date(); });
+    })
+    .on('INSERT INTO refresh_tokens', ([id, familyId, userId]) => {
+      refreshTokens.push({ id, family_id: familyId, user_id: userId, revoked_at: null });
+    })
+    .on('SELECT 1 FROM login_history', () => [])
+    .on('INSERT INTO login_history', () => [])
+    .on('UPDATE users SET failed_login_attempts = 0', () => []);
+};
+
+const addUser = async (fields) => {
+  const user = {
+    id: `user-${users.size + 1}`, name: 'Someone', role: 'customer', status: 'active', token_version: 0,
+    mfa_enabled: false, email_verified_at: new Date(), password: await bcrypt.hash('correct horse', 4), ...fields
+  };
+  users.set(user.id, user);
+  return user;
+};
+
+beforeAll(() => {
+  EmailService.setTransport({ sendMail: async () => ({}) });
+});
+
+beforeEach(() => {
+  seedUsers();
+  profile = { provider: 'google', providerUserId: 'google-1', email: 'victim@example.com', emailVerified: true, name: 'Victim' };
+});
+
+describe('GET /api/auth/google/callback', () => {
+  it('creates a verified account for a new address', async () => {
+    const res = await request(app).get('/api/auth/google/callback').expect(200);
+
+    expect(res.body.token).toEqual(expect.any(String));
+    const [user] = users.values();
+    expect(user).toMatchObject({ email: 'victim@example.com', status: 'active', password: null });
+    expect(user.email_verified_at).toBeTruthy();
+    expect(identities).toEqual([expect.objectContaining({ user_id: user.id, provider_user_id: 'google-1' })]);
+  });
+
+  it('links to a verified account and leaves its password alone', async () => {
+    const owner = await addUser({ email: 'victim@example.com' });
+
+    const res = await request(app).get('/api/auth/google/callback').expect(200);
+
+    expect(res.body.user.id).toBe(owner.id);
+    expect(users.get(owner.id).password).toEqual(expect.any(String));
+    expect(users.get(owner.id).token_version).toBe(0);
+  });
+
+  it('takes an unconfirmed account away from whoever registered it', async () => {
+    // Someone registered the victim's address and never confirmed it
+    const squatted = await addUser({ email: 'victim@example.com', status: 'pending', email_verified_at: null, phone: '+15555550100' });
+    refreshTokens.push({ id: 'rt-squatter', user_id: squatted.id, revoked_at: null });
+    identities.push({ user_id: squatted.id, provider: 'github', provider_user_id: 'squatter' });
+
+    const res = await request(app).get('/api/auth/google/callback').expect(200);
+
+    expect(res.body.user.id).toBe(squatted.id);
+    expect(users.get(squatted.id)).toMatchObject({ password: null, phone: null, status: 'active', token_version: 1 });
+    expect(refreshTokens.find(token => token.id === 'rt-squatter').revoked_at).toBeTruthy();
+    expect(identities).toEqual([expect.objectContaining({ provider: 'google', provider_user_id: 'google-1' })]);
+
+    // The password the squatter chose no longer signs in
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'victim@example.com', password: 'correct horse' })
+      .expect(401);
+  });
+
+  it('refuses to link when Google has not verified the address', async () => {
+    await addUser({ email: 'victim@example.com' });
+    profile.emailVerified = false;
+
+    const res = await request(app).get('/api/auth/google/callback').expect(409);
+
+    expect(res.body.error).toMatch(/already exists/);
+    expect(identities).toEqual([]);
+  });
+});
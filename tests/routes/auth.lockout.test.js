@@ -0,0 +1,113 @@
+// Password sign-in lockout against an in-memory database
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../../src/db', () => require('../helpers/memoryDb').createMemoryDb());
+
+const bcrypt = require('bcrypt');
+const express = require('express');
+const request = require('supertest');
+const db = require('../../src/db');
+const EmailService = require('../../src/services/emailService');
+const authRoutes = require('../../src/routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+let user;
+let history;
+let lockMinutes;
+let sent;
+
+beforeAll(() => {
+  EmailService.setTransport({ sendMail: async (message) => { sent.push(message); } });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+beforeEach(async () => {
+  db.reset();
+  history = [];
+  lockMinutes = [];
+  sent = [];
+  user = {
+    id: 'user-1', name: 'Alex', email: 'alex@example.com', role: 'customer', status: 'active',
+    password: await bcrypt.hash('correct horse', 4), token_version: 0, mfa_enabled: false,
+    failed_login_attempts: 0, locked_until: null
+  };
+
+  db.on('SELECT * FROM users WHERE email = $1', ([email]) => (email === user.email ? [user] : []))
+    .on('INSERT INTO login_history', ([userId, email, method, success, reason, ip, userAgent, deviceKey]) => {
+      history.push({ user_id: userId, email, success, failure_reason: reason, device_key: deviceKey });
+    })
+    .on('UPDATE users SET failed_login_attempts = failed_login_attempts + 1', () => {
+      user.failed_login_attempts += 1;
+      return [{ failed_login_attempts: user.failed_login_attempts }];
+    })
+    .on('UPDATE users SET locked_until', ([, minutes]) => {
+      lockMinutes.push(minutes);
+      user.locked_until = new Date(Date.now() + minutes * 60000);
+      return [{ locked_until: user.locked_until }];
+    })
+    .on('UPDATE users SET failed_login_attempts = 0', () => {
+      Object.assign(user, { failed_login_attempts: 0, locked_until: null });
+    })
+    .on(/^SELECT 1 FROM login_history WHERE user_id = \$1 AND success AND device_key/, ([userId, deviceKey]) =>
+      history.filter(row => row.user_id === userId && row.success && row.device_key === deviceKey).slice(0, 1))
+    .on(/^SELECT 1 FROM login_history WHERE user_id = \$1 AND success LIMIT 1/, ([userId]) =>
+      history.filter(row => row.user_id === userId && row.success).slice(0, 1))
+    .on('UPDATE refresh_tokens SET revoked_at', () => [])
+    .on('INSERT INTO refresh_tokens', () => []);
+});
+
+const login = (password, deviceId = 'phone') => request(app)
+  .post('/api/auth/login')
+  .send({ email: user.email, password, deviceId });
+
+const failTimes = async (count) => {
+  const statuses = [];
+  for (let attempt = 0; attempt < count; attempt++) {
+    statuses.push((await login('wrong password')).status);
+  }
+  return statuses;
+};
+
+describe('login lockout', () => {
+  it('locks the account on the fifth consecutive wrong password', async () => {
+    expect(await failTimes(5)).toEqual([401, 401, 401, 401, 423]);
+    expect(lockMinutes).toEqual([5]);
+
+    // The right password is refused without being checked while locked
+    const res = await login('correct horse');
+    expect(res.status).toBe(423);
+    expect(res.body.lockedUntil).toBeTruthy();
+    expect(history[history.length - 1]).toMatchObject({ success: false, failure_reason: 'locked' });
+    expect(user.failed_login_attempts).toBe(5);
+  });
+
+  it('doubles the lock each time it is reached again', async () => {
+    await failTimes(5);
+    user.locked_until = new Date(Date.now() - 1000);
+
+    expect(await failTimes(5)).toEqual([401, 401, 401, 401, 423]);
+    expect(lockMinutes).toEqual([5, 10]);
+  });
+
+  it('clears the count on a successful sign-in', async () => {
+    await failTimes(4);
+
+    await login('correct horse').expect(200);
+    expect(user.failed_login_attempts).toBe(0);
+
+    expect(await failTimes(4)).toEqual([401, 401, 401, 401]);
+  });
+
+  it('emails the user about a sign-in from a new device, but not the first one', async () => {
+    await login('correct horse', 'phone').expect(200);
+    await login('correct horse', 'phone').expect(200);
+    expect(sent).toEqual([]);
+
+    await login('correct horse', 'laptop').expect(200);
+    expect(sent).toEqual([expect.objectContaining({ to: user.email, subject: 'New sign-in to your Chunk account' })]);
+  });
+});
@@ -0,0 +1,123 @@
+// Second sign-in step against an in-memory database
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../../src/db', () => require('../helpers/memoryDb').createMemoryDb());
+
+const bcrypt = require('bcrypt');
+const express = require('express');
+const request = require('supertest');
+const db = require('../../src/db');
+const Totp = require('../../src/utils/totp');
+const EmailService = require('../../src/services/emailService');
+const { encrypt } = require('../../src/utils/encryption');
+const { hashToken } = require('../../src/utils/tokens');
+const authRoutes = require('../../src/routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const SECRET = Totp.generateSecret();
+const currentCode = () => Totp.generateCode(SECRET, Math.floor(Date.now() / 1000 / 30));
+
+let user;
+let backupCodes;
+
+beforeAll(async () => {
+  EmailService.setTransport({ sendMail: async () => ({}) });
+  user = {
+    id: 'user-1', name: 'Dana', email: 'dana@example.com', role: 'customer', status: 'active',
+    password: await bcrypt.hash('correct horse', 4), token_version: 0,
+    mfa_enabled: true, mfa_secret: encrypt(SECRET)
+  };
+});
+
+beforeEach(() => {
+  db.reset();
+  Object.assign(user, { mfa_last_counter: null, failed_login_attempts: 0, locked_until: null });
+  backupCodes = [{ id: 1, code_hash: hashToken('abcde-fghij'), used_at: null }];
+
+  db.on('SELECT * FROM users WHERE', () => [user])
+    .on('UPDATE users SET mfa_last_counter', ([, counter]) => {
+      if (user.mfa_last_counter !== null && user.mfa_last_counter >= counter) {
+        return [];
+      }
+      user.mfa_last_counter = counter;
+      return [{ id: user.id }];
+    })
+    .on('UPDATE mfa_backup_codes SET used_at', ([, codeHash]) => {
+      const code = backupCodes.find(row => row.code_hash === codeHash && !row.used_at);
+      if (!code) {
+        return [];
+      }
+      code.used_at = new Date();
+      return [{ id: code.id }];
+    })
+    .on('UPDATE users SET failed_login_attempts = failed_login_attempts + 1', () => {
+      user.failed_login_attempts += 1;
+      return [{ failed_login_attempts: user.failed_login_attempts }];
+    })
+    .on('UPDATE users SET locked_until', () => {
+      user.locked_until = new Date(Date.now() + 5 * 60 * 1000);
+      return [{ locked_until: user.locked_until }];
+    })
+    .on('UPDATE users SET failed_login_attempts = 0', () => {
+      Object.assign(user, { failed_login_attempts: 0, locked_until: null });
+    })
+    .on('INSERT INTO refresh_tokens', () => [])
+    .on('SELECT 1 FROM login_history', () => [])
+    .on('INSERT INTO login_history', () => []);
+});
+
+const challenge = async () => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email: user.email, password: 'correct horse' })
+    .expect(200);
+  expect(res.body.mfaRequired).toBe(true);
+  return res.body.mfaToken;
+};
+
+const verify = async (mfaToken, code) => request(app).post('/api/auth/mfa/verify').send({ mfaToken, code });
+
+describe('POST /api/auth/mfa/verify', () => {
+  it('signs in with the current authenticator code', async () => {
+    const res = await verify(await challenge(), currentCode());
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+  });
+
+  it('refuses an authenticator code that has already been used', async () => {
+    const code = currentCode();
+    await verify(await challenge(), code).then(res => expect(res.status).toBe(200));
+
+    const res = await verify(await challenge(), code);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('accepts each backup code once', async () => {
+    await verify(await challenge(), 'ABCDE-FGHIJ').then(res => expect(res.status).toBe(200));
+
+    const res = await verify(await challenge(), 'abcde-fghij');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('locks the account after repeated wrong codes', async () => {
+    const mfaToken = await challenge();
+    const wrong = currentCode() === '000000' ? '111111' : '000000';
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      await verify(mfaToken, wrong).then(res => expect(res.status).toBe(401));
+    }
+    await verify(mfaToken, wrong).then(res => expect(res.status).toBe(423));
+
+    // Even the right code is refused until the lock expires
+    const res = await verify(mfaToken, currentCode());
+    expect(res.status).toBe(423);
+    expect(user.mfa_last_counter).toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+// Phone code sign-in, delivered through a fake SMS transport
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../../src/db', () => require('../helpers/memoryDb').createMemoryDb());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../../src/db');
+const SmsService = require('../../src/services/smsService');
+const EmailService = require('../../src/services/emailService');
+const authRoutes = require('../../src/routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const PHONE = '+15555550123';
+
+let driver;
+let otps;
+let texts;
+
+beforeAll(() => {
+  SmsService.setTransport({ send: async (to, body) => { texts.push({ to, body }); } });
+  EmailService.setTransport({ sendMail: async () => ({}) });
+});
+
+beforeEach(() => {
+  db.reset();
+  texts = [];
+  otps = [];
+  driver = {
+    id: 'driver-1', name: 'Robin', email: 'robin@example.com', role: 'driver', status: 'active',
+    phone: PHONE, phone_verified: true, token_version: 0, mfa_enabled: false
+  };
+  const live = (phone, purpose) => otps
+    .filter(otp => otp.phone === phone && otp.purpose === purpose && !otp.consumed_at && otp.expires_at > new Date())
+    .pop();
+
+  db.on(/^SELECT COUNT\(\*\) FILTER/, ([phone, cooldownSeconds]) => {
+    const since = (ms) => otps.filter(otp => otp.phone === phone && otp.created_at > new Date(Date.now() - ms)).length;
+    return [{ last_hour: String(since(3600000)), cooldown: String(since(cooldownSeconds * 1000)) }];
+  })
+    .on('SELECT id FROM users WHERE phone = $1', ([phone]) => (phone === driver.phone ? [driver] : []))
+    .on('UPDATE phone_otps SET consumed_at = NOW() WHERE phone', ([phone, purpose]) => {
+      otps.filter(otp => otp.phone === phone && otp.purpose === purpose).forEach(otp => { otp.consumed_at = otp.consumed_at || new Date(); });
+    })
+    .on('INSERT INTO phone_otps', ([phone, purpose, userId, codeHash, minutes]) => {
+      otps.push({
+        id: otps.length + 1, phone, purpose, user_id: userId, code_hash: codeHash, attempts: 0,
+        consumed_at: null, created_at: new Date(), expires_at: new Date(Date.now() + minutes * 60000)
+      });
+    })
+    .on('UPDATE phone_otps SET attempts = attempts + 1', ([phone, purpose, maxAttempts]) => {
+      const otp = live(phone, purpose);
+      if (!otp || otp.attempts >= maxAttempts) {
+        return [];
+      }
+      otp.attempts += 1;
+      if (otp.attempts >= maxAttempts) {
+        otp.consumed_at = new Date();
+      }
+      return [otp];
+    })
+    .on('UPDATE phone_otps SET consumed_at = NOW() WHERE id', ([id]) => {
+      const otp = otps.find(candidate => candidate.id === id && !candidate.consumed_at);
+      if (!otp) {
+        return [];
+      }
+      otp.consumed_at = new Date();
+      return [otp];
+    })
+    .on('SELECT * FROM users WHERE id = $1 AND phone = $2', ([id, phone]) => (id === driver.id && phone === driver.phone ? [driver] : []))
+    .on('INSERT INTO refresh_tokens', () => [])
+    .on('SELECT 1 FROM login_history', () => [])
+    .on('INSERT INTO login_history', () => [])
+    .on('UPDATE users SET failed_login_attempts = 0', () => []);
+});
+
+const requestCode = (phone = PHONE) => request(app).post('/api/auth/otp/request').send({ phone });
+const verify = (code) => request(app).post('/api/auth/otp/verify').send({ phone: PHONE, code });
+const textedCode = () => /\b(\d{6})\b/.exec(texts[texts.length - 1].body)[1];
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+describe('phone code sign-in', () => {
+  it('signs in with the texted code, once', async () => {
+    await requestCode().expect(200);
+    const code = textedCode();
+
+    const res = await verify(code).expect(200);
+    expect(res.body.user.id).toBe(driver.id);
+
+    await verify(code).expect(401);
+  });
+
+  it('still accepts the right code on the last allowed guess', async () => {
+    await requestCode().expect(200);
+    const code = textedCode();
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      await verify(wrongCode(code)).expect(401);
+    }
+    await verify(code).expect(200);
+  });
+
+  it('burns the code after five wrong guesses', async () => {
+    await requestCode().expect(200);
+    const code = textedCode();
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      await verify(wrongCode(code)).expect(401);
+    }
+    await verify(code).expect(401);
+    expect(otps[0].attempts).toBe(5);
+  });
+
+  it('makes the user wait before another code is sent', async () => {
+    await requestCode().expect(200);
+
+    const res = await requestCode();
+
+    expect(res.status).toBe(429);
+    expect(texts).toHaveLength(1);
+  });
+
+  it('answers the same for unknown numbers without sending a text', async () => {
+    const res = await requestCode('+15555550999').expect(200);
+
+    expect(res.body.message).toMatch(/If this number is registered/);
+    expect(texts).toEqual([]);
+  });
+});
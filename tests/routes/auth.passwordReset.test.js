@@ -0,0 +1,119 @@
+// Password reset links, delivered through a fake mail transport
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../../src/db', () => require('../helpers/memoryDb').createMemoryDb());
+
+const bcrypt = require('bcrypt');
+const express = require('express');
+const request = require('supertest');
+const db = require('../../src/db');
+const EmailService = require('../../src/services/emailService');
+const authRoutes = require('../../src/routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+let user;
+let resetTokens;
+let refreshTokens;
+let sent;
+
+beforeAll(() => {
+  EmailService.setTransport({ sendMail: async (message) => { sent.push(message); } });
+});
+
+beforeEach(async () => {
+  db.reset();
+  sent = [];
+  resetTokens = [];
+  refreshTokens = [{ id: 'rt-1', user_id: 'user-1', revoked_at: null }];
+  user = {
+    id: 'user-1', name: 'Sam', email: 'sam@example.com', role: 'customer', status: 'active',
+    password: await bcrypt.hash('old password', 4), token_version: 0, mfa_enabled: false
+  };
+
+  db.on('SELECT id, name, email FROM users WHERE email = $1', ([email]) => (email === user.email ? [user] : []))
+    .on('SELECT * FROM users WHERE email = $1', ([email]) => (email === user.email ? [user] : []))
+    .on('UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id', ([userId]) => {
+      resetTokens.filter(row => row.user_id === userId && !row.used_at).forEach(row => { row.used_at = new Date(); });
+    })
+    .on('INSERT INTO password_reset_tokens', ([userId, tokenHash, minutes]) => {
+      resetTokens.push({ user_id: userId, token_hash: tokenHash, used_at: null, expires_at: new Date(Date.now() + minutes * 60000) });
+    })
+    .on('UPDATE password_reset_tokens SET used_at = NOW() WHERE token_hash', ([tokenHash]) => {
+      const row = resetTokens.find(candidate => candidate.token_hash === tokenHash && !candidate.used_at && candidate.expires_at > new Date());
+      if (!row) {
+        return [];
+      }
+      row.used_at = new Date();
+      return [{ user_id: row.user_id }];
+    })
+    .on('UPDATE users SET password = $1, token_version', ([password]) => {
+      Object.assign(user, { password, token_version: user.token_version + 1 });
+    })
+    .on('UPDATE refresh_tokens SET revoked_at', ([userId]) => {
+      refreshTokens.filter(token => token.user_id === userId).forEach(token => { token.revoked_at = new Date(); });
+    })
+    .on('UPDATE users SET failed_login_attempts = failed_login_attempts + 1', () => [{ failed_login_attempts: 1 }])
+    .on('UPDATE users SET failed_login_attempts = 0', () => [])
+    .on('INSERT INTO refresh_tokens', () => [])
+    .on('SELECT 1 FROM login_history', () => [])
+    .on('INSERT INTO login_history', () => []);
+});
+
+// The token from the most recent reset email
+const emailedToken = () => /token=([0-9a-f]{64})/.exec(sent[sent.length - 1].text)[1];
+
+const requestReset = (email = user.email) => request(app).post('/api/auth/forgot-password').send({ email }).expect(200);
+const reset = (token, password = 'new password') => request(app).post('/api/auth/reset-password').send({ token, password });
+const login = (password) => request(app).post('/api/auth/login').send({ email: user.email, password });
+
+describe('password reset', () => {
+  it('sets the new password and signs out existing sessions', async () => {
+    await requestReset();
+
+    await reset(emailedToken()).expect(200);
+
+    expect(user.token_version).toBe(1);
+    expect(refreshTokens[0].revoked_at).toBeTruthy();
+    await login('new password').expect(200);
+    await login('old password').expect(401);
+  });
+
+  it('only accepts a link once', async () => {
+    await requestReset();
+    const token = emailedToken();
+    await reset(token).expect(200);
+
+    const res = await reset(token, 'another password');
+
+    expect(res.status).toBe(400);
+    await login('new password').expect(200);
+  });
+
+  it('invalidates earlier links when a new one is requested', async () => {
+    await requestReset();
+    const first = emailedToken();
+    await requestReset();
+
+    await reset(first).expect(400);
+    await reset(emailedToken()).expect(200);
+  });
+
+  it('refuses an expired link', async () => {
+    await requestReset();
+    resetTokens[0].expires_at = new Date(Date.now() - 1000);
+
+    await reset(emailedToken()).expect(400);
+    expect(user.token_version).toBe(0);
+  });
+
+  it('answers the same for unknown addresses without sending anything', async () => {
+    const res = await requestReset('nobody@example.com');
+
+    expect(res.body.message).toMatch(/If an account exists/);
+    expect(sent).toEqual([]);
+  });
+});
@@ -0,0 +1,48 @@
+jest.mock('../../src/db', () => ({ query: jest.fn() }));
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+
+const { rankBids } = require('../../src/services/biddingService');
+
+const now = new Date('2026-01-05T12:00:00Z');
+const hoursFromNow = (hours) => new Date(now.getTime() + hours * 3600000).toISOString();
+
+const bid = (id, overrides = {}) => ({
+  id, amount: '200.00', eta: hoursFromNow(2), average_rating: 4.5, submitted_at: '2026-01-05T10:00:00Z', ...overrides
+});
+
+describe('BiddingService.rankBids', () => {
+  it('returns nothing for no bids', () => {
+    expect(rankBids([], now)).toEqual([]);
+  });
+
+  it('ranks cheaper bids higher when everything else is equal', () => {
+    const ranked = rankBids([bid('pricey', { amount: '250.00' }), bid('cheap', { amount: '200.00' })], now);
+
+    expect(ranked.map(b => [b.id, b.rank])).toEqual([['cheap', 1], ['pricey', 2]]);
+    expect(ranked[0].score).toBe(0.975);
+    expect(ranked[1].score).toBe(0.875);
+  });
+
+  it('scores arrival against the soonest bid and gives no credit without an eta', () => {
+    const ranked = rankBids([
+      bid('none', { eta: null }),
+      bid('later', { eta: hoursFromNow(5) }),
+      bid('soon', { eta: hoursFromNow(1) })
+    ], now);
+
+    expect(ranked.map(b => b.id)).toEqual(['soon', 'later', 'none']);
+    expect(ranked[1].score).toBe(0.808);
+  });
+
+  it('treats unrated drivers as four stars', () => {
+    const ranked = rankBids([bid('unrated', { average_rating: null }), bid('rated', { average_rating: 3 })], now);
+
+    expect(ranked[0]).toMatchObject({ id: 'unrated', score: 0.95 });
+  });
+
+  it('breaks ties by who bid first', () => {
+    const ranked = rankBids([bid('second', { submitted_at: '2026-01-05T11:00:00Z' }), bid('first')], now);
+
+    expect(ranked.map(b => b.id)).toEqual(['first', 'second']);
+  });
+});
@@ -0,0 +1,36 @@
+jest.mock('../../src/db', () => ({ query: jest.fn() }));
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+
+const { rankDrivers } = require('../../src/services/dispatchService');
+
+const candidate = (driverId, overrides = {}) => ({
+  driver_id: driverId, distance_miles: 3, average_rating: 4.5, offers: 10, accepted: 9, active_jobs: 0, ...overrides
+});
+
+describe('DispatchService.rankDrivers', () => {
+  it('puts the closest driver first when everything else is equal', () => {
+    const ranked = rankDrivers([candidate('far', { distance_miles: 12 }), candidate('near', { distance_miles: 1 })]);
+
+    expect(ranked.map(driver => driver.driver_id)).toEqual(['near', 'far']);
+  });
+
+  it('scores each factor between 0 and 1', () => {
+    const [ranked] = rankDrivers([candidate('a', { distance_miles: 6, average_rating: 5, offers: 4, accepted: 3, active_jobs: 1 })]);
+
+    expect(ranked.factors).toEqual({ distance: 0.6, rating: 1, acceptance: 0.75, load: 0.5 });
+    expect(ranked.score).toBe(0.69);
+  });
+
+  it('assumes a default rating and acceptance rate for new drivers', () => {
+    const [ranked] = rankDrivers([candidate('new', { average_rating: null, offers: 1, accepted: 0 })]);
+
+    expect(ranked.factors.rating).toBe(0.8);
+    expect(ranked.factors.acceptance).toBe(0.8);
+  });
+
+  it('prefers a driver with less on their plate over a slightly closer busy one', () => {
+    const ranked = rankDrivers([candidate('busy', { distance_miles: 2, active_jobs: 1 }), candidate('free', { distance_miles: 4 })]);
+
+    expect(ranked[0].driver_id).toBe('free');
+  });
+});
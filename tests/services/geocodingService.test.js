@@ -0,0 +1,20 @@
+const GeocodingService = require('../../src/services/geocodingService');
+
+describe('GeocodingService fixture geocoder', () => {
+  const geocoder = GeocodingService.createFixtureGeocoder({
+    '350 Fifth Avenue, New York, NY': { lat: 40.7484, lng: -73.9857 }
+  });
+
+  it('matches addresses ignoring case and surrounding whitespace', async () => {
+    await expect(geocoder.geocode('  350 fifth avenue, new york, ny ')).resolves.toEqual({ lat: 40.7484, lng: -73.9857 });
+  });
+
+  it('resolves unknown addresses to null', async () => {
+    await expect(geocoder.geocode('1 Nowhere Road')).resolves.toBeNull();
+  });
+
+  it('is used by geocode() once set', async () => {
+    GeocodingService.setGeocoder(geocoder);
+    await expect(GeocodingService.geocode('350 Fifth Avenue, New York, NY')).resolves.toEqual({ lat: 40.7484, lng: -73.9857 });
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../../src/db', () => ({ query: jest.fn() }));
+
+const JobStateMachine = require('../../src/services/jobStateMachine');
+
+const customer = { id: 'customer-1', role: 'customer' };
+const otherCustomer = { id: 'customer-2', role: 'customer' };
+const driver = { id: 'driver-1', role: 'driver' };
+const otherDriver = { id: 'driver-2', role: 'driver' };
+const admin = { id: 'admin-1', role: 'operations_admin' };
+const system = { id: null, role: 'system' };
+
+const job = (status, overrides = {}) => ({ id: 'job-1', status, customer_id: 'customer-1', driver_id: null, ...overrides });
+const assigned = (status) => job(status, { driver_id: 'driver-1' });
+
+describe('JobStateMachine.assertTransition', () => {
+  it('walks the happy path', () => {
+    expect(() => JobStateMachine.assertTransition(job('pending'), 'bidding', customer)).not.toThrow();
+    expect(() => JobStateMachine.assertTransition(job('bidding'), 'reviewing_bids', system)).not.toThrow();
+    expect(() => JobStateMachine.assertTransition(job('reviewing_bids'), 'assigned', customer, { driverId: 'driver-1' })).not.toThrow();
+    expect(() => JobStateMachine.assertTransition(assigned('assigned'), 'en_route', driver)).not.toThrow();
+    expect(() => JobStateMachine.assertTransition(assigned('en_route'), 'arrived', driver)).not.toThrow();
+    expect(() => JobStateMachine.assertTransition(assigned('arrived'), 'in_progress', driver)).not.toThrow();
+    expect(() => JobStateMachine.assertTransition(assigned('in_progress'), 'completed', driver)).not.toThrow();
+  });
+
+  it('rejects unknown statuses with a 400', () => {
+    expect(() => JobStateMachine.assertTransition(job('pending'), 'teleported', admin)).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+  });
+
+  it('rejects moves the lifecycle does not have', () => {
+    expect(() => JobStateMachine.assertTransition(job('pending'), 'completed', admin)).toThrow(
+      expect.objectContaining({ status: 409, message: 'Job cannot move from pending to completed' })
+    );
+    expect(() => JobStateMachine.assertTransition(job('cancelled'), 'pending', admin)).toThrow(
+      expect.objectContaining({ status: 409 })
+    );
+  });
+
+  it('rejects roles not allowed to make a move', () => {
+    expect(() => JobStateMachine.assertTransition(job('bidding'), 'reviewing_bids', customer)).toThrow(
+      expect.objectContaining({ status: 409, message: 'A customer cannot move a job from bidding to reviewing_bids' })
+    );
+    expect(() => JobStateMachine.assertTransition(assigned('in_progress'), 'cancelled', customer)).toThrow(
+      expect.objectContaining({ status: 409 })
+    );
+  });
+
+  it('only lets customers act on their own jobs and drivers on jobs assigned to them', () => {
+    expect(() => JobStateMachine.assertTransition(job('pending'), 'cancelled', otherCustomer)).toThrow(
+      expect.objectContaining({ status: 409, message: 'Job cannot move from pending to cancelled: conditions not met' })
+    );
+    expect(() => JobStateMachine.assertTransition(assigned('assigned'), 'en_route', otherDriver)).toThrow(
+      expect.objectContaining({ status: 409 })
+    );
+  });
+
+  it('needs a driver to assign a job, even for staff', () => {
+    expect(() => JobStateMachine.assertTransition(job('pending'), 'assigned', admin)).toThrow(
+      expect.objectContaining({ status: 409 })
+    );
+    expect(() => JobStateMachine.assertTransition(job('pending'), 'assigned', admin, { driverId: 'driver-1' })).not.toThrow();
+    expect(() => JobStateMachine.assertTransition(job('pending'), 'assigned', driver, { driverId: driver.id })).not.toThrow();
+  });
+
+  it('lets staff act on any job without the ownership checks', () => {
+    expect(() => JobStateMachine.assertTransition(assigned('assigned'), 'en_route', admin)).not.toThrow();
+    expect(() => JobStateMachine.assertTransition(assigned('disputed'), 'completed', admin)).not.toThrow();
+    expect(() => JobStateMachine.assertTransition(assigned('disputed'), 'completed', driver)).toThrow(
+      expect.objectContaining({ status: 409 })
+    );
+  });
+});
+
+describe('JobStateMachine.allowedNextStatuses', () => {
+  it('lists what the actor may do next', () => {
+    expect(JobStateMachine.allowedNextStatuses(assigned('in_progress'), driver)).toEqual(['completed', 'disputed']);
+    expect(JobStateMachine.allowedNextStatuses(assigned('in_progress'), customer)).toEqual(['disputed']);
+    expect(JobStateMachine.allowedNextStatuses(assigned('in_progress'), otherDriver)).toEqual([]);
+    expect(JobStateMachine.allowedNextStatuses(job('cancelled'), admin)).toEqual([]);
+  });
+});
+
+describe('JobStateMachine.statusesForFilter', () => {
+  it('expands "active" to the statuses with a driver at work', () => {
+    expect(JobStateMachine.statusesForFilter('active')).toEqual(['assigned', 'en_route', 'arrived', 'in_progress']);
+    expect(JobStateMachine.statusesForFilter('bidding')).toEqual(['bidding']);
+  });
+});
@@ -0,0 +1,188 @@
+// Refunds against an in-memory database and an in-process Stripe fake that
+// honours idempotency keys the way Stripe does
+
+const mockDb = {
+  payments: new Map(),
+  refunds: new Map(),
+  query: async (text, params = []) => {
+    const sql = text.replace(/\s+/g, ' ').trim();
+    const rows = (list) => ({ rows: list.map(row => ({ ...row })) });
+
+    if (sql.startsWith('SELECT * FROM payments WHERE id = $1')) {
+      return rows([mockDb.payments.get(params[0])].filter(Boolean));
+    }
+    if (sql.startsWith('SELECT * FROM payment_refunds WHERE id = $1')) {
+      return rows([mockDb.refunds.get(params[0])].filter(Boolean));
+    }
+    if (/FROM payment_refunds WHERE payment_id = \$1 AND status = 'processing'/.test(sql)) {
+      return rows([...mockDb.refunds.values()].filter(r => r.payment_id === params[0] && r.status === 'processing'));
+    }
+    if (sql.startsWith('INSERT INTO payment_refunds')) {
+      const [id, paymentId, amount, reason, driverAmount, driverReversal, actorId] = params;
+      const refund = {
+        id, payment_id: paymentId, amount, reason, status: 'processing', driver_amount: driverAmount,
+        driver_reversal: driverReversal, requested_by: actorId, processed_by: actorId, stripe_refund_id: null
+      };
+      mockDb.refunds.set(id, refund);
+      return rows([refund]);
+    }
+    if (sql.startsWith("UPDATE payment_refunds SET status = 'failed'")) {
+      const refund = mockDb.refunds.get(params[0]);
+      if (refund.status === 'processing') {
+        refund.status = 'failed';
+      }
+      return rows([]);
+    }
+    if (sql.startsWith('UPDATE payment_refunds SET status = $2, stripe_refund_id = $3')) {
+      const refund = mockDb.refunds.get(params[0]);
+      if (refund.status !== 'processing') {
+        return rows([]);
+      }
+      Object.assign(refund, { status: params[1], stripe_refund_id: params[2] });
+      return rows([refund]);
+    }
+    if (sql.startsWith("UPDATE payment_refunds SET status = 'processed'")) {
+      return rows([]);
+    }
+    if (sql.startsWith('UPDATE payments SET amount_refunded')) {
+      const payment = mockDb.payments.get(params[0]);
+      const refunded = payment.amount_refunded + params[1];
+      Object.assign(payment, {
+        amount_refunded: refunded,
+        driver_amount: params[2],
+        platform_fee: payment.amount - refunded - params[2],
+        status: refunded >= payment.amount ? 'refunded' : payment.status
+      });
+      return rows([payment]);
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+};
+
+jest.mock('../../src/db', () => ({ query: (text, params) => mockDb.query(text, params) }));
+jest.mock('../../src/services/jobService', () => ({ withTransaction: (fn) => fn(mockDb) }));
+
+const PaymentService = require('../../src/services/paymentService');
+
+const stripeError = (type) => Object.assign(new Error(`Stripe said no (${type})`), { type });
+
+const createFakeStripe = () => {
+  const byKey = new Map();
+  const fake = {
+    refunds: [],
+    reversals: [],
+    failNext: null,
+    // Repeats of a key get the first answer, as with Stripe
+    idempotent: (key, create) => {
+      if (!byKey.has(key)) {
+        if (fake.failNext) {
+          const err = fake.failNext;
+          fake.failNext = null;
+          throw err;
+        }
+        byKey.set(key, create());
+      }
+      return byKey.get(key);
+    }
+  };
+  fake.refunds.create = async (params, { idempotencyKey }) => fake.idempotent(idempotencyKey, () => {
+    const refund = { id: `re_${fake.refunds.length + 1}`, status: 'succeeded', ...params };
+    fake.refunds.push(refund);
+    return refund;
+  });
+  fake.transfers = {
+    createReversal: async (transferId, params, { idempotencyKey }) => fake.idempotent(idempotencyKey, () => {
+      const reversal = { id: `trr_${fake.reversals.length + 1}`, transfer: transferId, ...params };
+      fake.reversals.push(reversal);
+      return reversal;
+    })
+  };
+  return fake;
+};
+
+let stripe;
+
+beforeEach(() => {
+  mockDb.payments.clear();
+  mockDb.refunds.clear();
+  mockDb.payments.set('pay-1', {
+    id: 'pay-1', status: 'completed', amount: 100, amount_refunded: 0, driver_amount: 80, platform_fee: 20,
+    transfer_status: 'transferred', stripe_payment_intent_id: 'pi_1', stripe_transfer_id: 'tr_1'
+  });
+  stripe = createFakeStripe();
+  PaymentService.setStripeClient(stripe);
+});
+
+describe('PaymentService.processRefund', () => {
+  it('refunds the payment and reverses the driver share already transferred', async () => {
+    const { payment, refund } = await PaymentService.processRefund('pay-1', 25, 'Damaged item', 'admin-1');
+
+    expect(stripe.refunds).toHaveLength(1);
+    expect(stripe.refunds[0]).toMatchObject({ payment_intent: 'pi_1', amount: 2500 });
+    expect(stripe.reversals).toHaveLength(1);
+    expect(stripe.reversals[0]).toMatchObject({ transfer: 'tr_1', amount: 2000 });
+    expect(refund).toMatchObject({ status: 'succeeded', stripe_refund_id: 're_1' });
+    expect(payment).toMatchObject({ status: 'completed', amount_refunded: 25, driver_amount: 60, platform_fee: 15 });
+  });
+
+  it('refunds whatever is left when no amount is given', async () => {
+    const { payment } = await PaymentService.processRefund('pay-1', null, 'Job cancelled', 'admin-1');
+
+    expect(stripe.refunds[0].amount).toBe(10000);
+    expect(payment).toMatchObject({ status: 'refunded', amount_refunded: 100, driver_amount: 0 });
+  });
+
+  it('rejects refunds beyond what is refundable without calling Stripe', async () => {
+    await expect(PaymentService.processRefund('pay-1', 150, 'Too much', 'admin-1'))
+      .rejects.toMatchObject({ status: 400 });
+    expect(stripe.refunds).toHaveLength(0);
+    expect(mockDb.refunds.size).toBe(0);
+  });
+
+  it('keeps a refund Stripe may have missed and sends it again with the same key', async () => {
+    stripe.failNext = stripeError('StripeConnectionError');
+    await expect(PaymentService.processRefund('pay-1', null, 'Job cancelled', 'admin-1'))
+      .rejects.toMatchObject({ type: 'StripeConnectionError' });
+
+    const [pending] = [...mockDb.refunds.values()];
+    expect(pending.status).toBe('processing');
+    expect(mockDb.payments.get('pay-1').amount_refunded).toBe(0);
+
+    // The retry sends the recorded refund, which uses up the payment
+    await expect(PaymentService.processRefund('pay-1', null, 'Job cancelled', 'admin-1'))
+      .rejects.toMatchObject({ status: 409 });
+    expect(stripe.refunds).toHaveLength(1);
+    expect(stripe.reversals).toHaveLength(1);
+    expect(mockDb.refunds.get(pending.id).status).toBe('succeeded');
+    expect(mockDb.payments.get('pay-1')).toMatchObject({ status: 'refunded', amount_refunded: 100 });
+  });
+
+  it('does not refund twice when the refund reached Stripe but was never recorded', async () => {
+    // Stripe refunded, then the reversal timed out before anything was saved
+    const createReversal = stripe.transfers.createReversal;
+    stripe.transfers.createReversal = async () => {
+      throw stripeError('StripeConnectionError');
+    };
+    await expect(PaymentService.processRefund('pay-1', 40, 'Damaged item', 'admin-1')).rejects.toThrow();
+    expect(stripe.refunds).toHaveLength(1);
+
+    stripe.transfers.createReversal = createReversal;
+    const { payment } = await PaymentService.processRefund('pay-1', 10, 'Late pickup', 'admin-1');
+
+    expect(stripe.refunds.map(refund => refund.amount)).toEqual([4000, 1000]);
+    expect(payment.amount_refunded).toBe(50);
+  });
+
+  it('marks the refund failed when Stripe declines it', async () => {
+    stripe.failNext = stripeError('StripeInvalidRequestError');
+    await expect(PaymentService.processRefund('pay-1', 30, 'Damaged item', 'admin-1')).rejects.toThrow();
+
+    const [refund] = [...mockDb.refunds.values()];
+    expect(refund.status).toBe('failed');
+    expect(mockDb.payments.get('pay-1')).toMatchObject({ status: 'completed', amount_refunded: 0 });
+
+    // A failed refund doesn't block the next one
+    const { refund: next } = await PaymentService.processRefund('pay-1', 30, 'Damaged item', 'admin-1');
+    expect(next.status).toBe('succeeded');
+  });
+});
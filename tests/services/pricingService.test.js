@@ -0,0 +1,75 @@
+const mockSettings = { minimumJobAmount: 0 };
+const mockHistory = { samples: 0, median: null };
+
+jest.mock('../../src/db', () => ({
+  query: async (text) => {
+    if (text.includes('system_settings')) {
+      return { rows: Object.entries(mockSettings).map(([key, value]) => ({ key, value })) };
+    }
+    return { rows: [mockHistory] };
+  }
+}));
+
+const PricingService = require('../../src/services/pricingService');
+
+const lines = (result) => Object.fromEntries(result.breakdown.map(line => [line.code, line.amount]));
+const total = (result) => Math.round(result.breakdown.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+
+beforeEach(() => {
+  mockSettings.minimumJobAmount = 0;
+  Object.assign(mockHistory, { samples: 0, median: null });
+});
+
+describe('PricingService.quote', () => {
+  it('prices the load size and category, with a range around the estimate', async () => {
+    const result = await PricingService.quote({ category: 'construction', volume: 'medium', serviceType: 'scheduled' });
+
+    expect(lines(result)).toEqual({ base: 179, category: 53.7 });
+    expect(result).toMatchObject({ modelVersion: PricingService.MODEL_VERSION, currency: 'usd', estimate: 232.7, low: 209, high: 268 });
+  });
+
+  it('charges items mentioned in the description only when none are listed', async () => {
+    const described = await PricingService.quote({
+      category: 'general', volume: 'small', description: 'Old piano and a mattress, up two flights of stairs'
+    });
+    expect(lines(described)).toEqual({ base: 89, piano: 150, mattress: 25, stairs: 30 });
+
+    const listed = await PricingService.quote({
+      category: 'general',
+      volume: 'small',
+      description: 'Old piano and a mattress',
+      items: [{ type: 'piano', weightKg: 250 }, { type: 'sofa', quantity: 2 }]
+    });
+    expect(lines(listed)).toEqual({ base: 89, item_piano: 150, heavy_items: 35 });
+  });
+
+  it('rejects restricted items', async () => {
+    await expect(PricingService.quote({ category: 'general', volume: 'small', items: [{ type: 'propane_tank' }] }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  it('adds the same-day multiplier on everything before it', async () => {
+    const result = await PricingService.quote({ category: 'general', volume: 'small', description: 'stairs', serviceType: 'asap' });
+
+    expect(lines(result).asap).toBe(17.85);
+    expect(result.estimate).toBe(136.85);
+  });
+
+  it('moves part of the way towards the median of similar accepted jobs', async () => {
+    Object.assign(mockHistory, { samples: 8, median: '229' });
+    const result = await PricingService.quote({ category: 'general', volume: 'medium' });
+
+    expect(lines(result).market).toBe(20);
+    expect(result.history).toEqual({ samples: 8, median: 229 });
+  });
+
+  it('tops small jobs up to the minimum charge, and the breakdown always adds up', async () => {
+    mockSettings.minimumJobAmount = 120;
+    const result = await PricingService.quote({ category: 'yard', volume: 'small' });
+
+    expect(lines(result).minimum).toBe(35.45);
+    expect(result.estimate).toBe(120);
+    expect(result.low).toBe(120);
+    expect(total(result)).toBe(result.estimate);
+  });
+});
@@ -0,0 +1,21 @@
+const { sniffMimeType } = require('../../src/utils/mimeSniff');
+
+const ftyp = (brand) => Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}`, 'ascii'), Buffer.alloc(8)]);
+
+describe('sniffMimeType', () => {
+  it('recognises images and videos from their first bytes', () => {
+    expect(sniffMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toEqual({ mimeType: 'image/jpeg', kind: 'image' });
+    expect(sniffMimeType(ftyp('isom'))).toEqual({ mimeType: 'video/mp4', kind: 'video' });
+    expect(sniffMimeType(ftyp('qt  '))).toEqual({ mimeType: 'video/quicktime', kind: 'video' });
+  });
+
+  it('does not accept HEIC photos, which cannot be processed', () => {
+    for (const brand of ['heic', 'heix', 'mif1', 'msf1']) {
+      expect(sniffMimeType(ftyp(brand))).toBeNull();
+    }
+  });
+
+  it('does not trust anything else', () => {
+    expect(sniffMimeType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+  });
+});
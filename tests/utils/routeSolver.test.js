@@ -0,0 +1,68 @@
+const RouteSolver = require('../../src/utils/routeSolver');
+
+// Points on a line, one minute's drive (1 km) apart
+const travel = (from, to) => ({ meters: Math.abs(to - from) * 1000, seconds: Math.abs(to - from) * 60 });
+const startAt = new Date('2026-01-05T13:00:00Z');
+const minutesAfterStart = (minutes) => new Date(startAt.getTime() + minutes * 60000);
+
+const job = (id, point, extra = {}) => ({ id, point, units: 1, serviceSeconds: 600, ...extra });
+
+const problem = (overrides) => ({
+  start: 0,
+  startAt,
+  capacity: 10,
+  sites: [],
+  dumpSeconds: 900,
+  travel,
+  ...overrides
+});
+
+const jobOrder = (result) => result.stops.filter(stop => stop.type === 'job').map(stop => stop.jobId);
+
+describe('RouteSolver.solve', () => {
+  it('visits stops along the way in order of distance', () => {
+    const result = RouteSolver.solve(problem({ jobs: [job('c', 30), job('a', 10), job('b', 20)] }));
+
+    expect(jobOrder(result)).toEqual(['a', 'b', 'c']);
+    expect(result.drivingSeconds).toBe(30 * 60);
+    expect(result.lateSeconds).toBe(0);
+  });
+
+  it('puts a job first when its window closes before the others could be done', () => {
+    const result = RouteSolver.solve(problem({
+      jobs: [job('near', 10), job('far', 30, { windowEnd: minutesAfterStart(35) })]
+    }));
+
+    expect(jobOrder(result)).toEqual(['far', 'near']);
+    expect(result.lateSeconds).toBe(0);
+  });
+
+  it('waits for a window to open before starting the job', () => {
+    const result = RouteSolver.solve(problem({ jobs: [job('a', 10, { windowStart: minutesAfterStart(60) })] }));
+    const [stop] = result.stops;
+
+    expect(stop.arriveAt).toBe(minutesAfterStart(10).getTime());
+    expect(stop.serviceStartAt).toBe(minutesAfterStart(60).getTime());
+  });
+
+  it('keeps pinned jobs at the front and routes the rest from there', () => {
+    const result = RouteSolver.solve(problem({
+      jobs: [job('a', 10), job('b', 20), job('c', 30)],
+      pinned: [2]
+    }));
+
+    expect(result.order[0]).toBe(2);
+    expect(jobOrder(result)).toEqual(['c', 'b', 'a']);
+  });
+
+  it('empties the truck at a disposal site when the next load would not fit, and at the end of the day', () => {
+    const result = RouteSolver.solve(problem({
+      capacity: 2,
+      sites: [{ id: 'site-1', point: 15 }],
+      jobs: [job('a', 10, { units: 2 }), job('b', 20, { units: 2 })]
+    }));
+
+    expect(result.stops.map(stop => stop.type)).toEqual(['job', 'dump', 'job', 'dump']);
+    expect(result.stops[1]).toMatchObject({ siteId: 'site-1', loadAfter: 0 });
+  });
+});
@@ -0,0 +1,74 @@
+const RRule = require('../../src/utils/rrule');
+
+const at = (iso) => new Date(iso);
+const isoDates = (dates) => dates.map(date => date.toISOString());
+
+describe('RRule.between', () => {
+  const start = at('2026-01-05T14:30:00Z'); // a Monday
+
+  it('repeats weekly on the start weekday and keeps its time of day', () => {
+    const dates = RRule.between('FREQ=WEEKLY;INTERVAL=1', start, start, at('2026-01-26T23:59:59Z'));
+    expect(isoDates(dates)).toEqual([
+      '2026-01-05T14:30:00.000Z',
+      '2026-01-12T14:30:00.000Z',
+      '2026-01-19T14:30:00.000Z',
+      '2026-01-26T14:30:00.000Z'
+    ]);
+  });
+
+  it('skips weeks with INTERVAL and expands BYDAY within each week', () => {
+    const dates = RRule.between('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', start, start, at('2026-01-31T00:00:00Z'));
+    expect(isoDates(dates)).toEqual([
+      '2026-01-05T14:30:00.000Z',
+      '2026-01-08T14:30:00.000Z',
+      '2026-01-19T14:30:00.000Z',
+      '2026-01-22T14:30:00.000Z'
+    ]);
+  });
+
+  it('only returns occurrences inside the window but counts those before it', () => {
+    const dates = RRule.between('FREQ=DAILY;COUNT=5', start, at('2026-01-08T00:00:00Z'), at('2026-02-01T00:00:00Z'));
+    expect(isoDates(dates)).toEqual(['2026-01-08T14:30:00.000Z', '2026-01-09T14:30:00.000Z']);
+  });
+
+  it('stops at UNTIL', () => {
+    const dates = RRule.between('FREQ=DAILY;INTERVAL=3;UNTIL=20260111', start, start, at('2026-02-01T00:00:00Z'));
+    expect(isoDates(dates)).toEqual(['2026-01-05T14:30:00.000Z', '2026-01-08T14:30:00.000Z', '2026-01-11T14:30:00.000Z']);
+  });
+
+  it('counts BYMONTHDAY back from the month end and skips months without the day', () => {
+    const monthEnd = RRule.between('FREQ=MONTHLY;BYMONTHDAY=-1', start, start, at('2026-03-31T23:59:59Z'));
+    expect(isoDates(monthEnd)).toEqual([
+      '2026-01-31T14:30:00.000Z',
+      '2026-02-28T14:30:00.000Z',
+      '2026-03-31T14:30:00.000Z'
+    ]);
+
+    const thirtieth = RRule.between('FREQ=MONTHLY;BYMONTHDAY=30', start, start, at('2026-03-31T23:59:59Z'));
+    expect(isoDates(thirtieth)).toEqual(['2026-01-30T14:30:00.000Z', '2026-03-30T14:30:00.000Z']);
+  });
+
+  it('keeps the local time of day across DST changes in the given time zone', () => {
+    const zone = 'America/New_York';
+
+    // 09:30 EST; clocks go forward on 2026-03-08
+    const spring = RRule.between('FREQ=WEEKLY', at('2026-03-02T14:30:00Z'), at('2026-03-01T00:00:00Z'), at('2026-03-10T00:00:00Z'), zone);
+    expect(isoDates(spring)).toEqual(['2026-03-02T14:30:00.000Z', '2026-03-09T13:30:00.000Z']);
+
+    // 09:30 EDT; clocks go back on 2026-11-01
+    const autumn = RRule.between('FREQ=DAILY;INTERVAL=3', at('2026-10-30T13:30:00Z'), at('2026-10-30T00:00:00Z'), at('2026-11-03T00:00:00Z'), zone);
+    expect(isoDates(autumn)).toEqual(['2026-10-30T13:30:00.000Z', '2026-11-02T14:30:00.000Z']);
+  });
+
+  it('reads an UNTIL date as the end of that day in the given time zone', () => {
+    // 21:00 EST on the 6th is 02:00 UTC on the 7th
+    const dates = RRule.between('FREQ=DAILY;UNTIL=20260106', at('2026-01-06T02:00:00Z'), start, at('2026-02-01T00:00:00Z'), 'America/New_York');
+    expect(isoDates(dates)).toEqual(['2026-01-06T02:00:00.000Z', '2026-01-07T02:00:00.000Z']);
+  });
+
+  it('rejects rules it does not support', () => {
+    expect(() => RRule.between('FREQ=YEARLY', start, start, start)).toThrow(RRule.RRuleError);
+    expect(() => RRule.between('FREQ=DAILY;BYDAY=MO', start, start, start)).toThrow(RRule.RRuleError);
+    expect(() => RRule.between('FREQ=WEEKLY;BYSETPOS=1', start, start, start)).toThrow('Unsupported rule parts: BYSETPOS');
+  });
+});